@@ -23,6 +23,14 @@ var deviceAccessRouter = require('./routes/deviceAccess');
 
 // Import authentication middleware
 const { attachUser, redirectIfAuth } = require('./middleware/auth');
+const { rejectBannedIps } = require('./middleware/ipBan');
+
+// Background jobs
+const { scheduleJob, stopAllJobs } = require('./utils/scheduler');
+const { deleteExpiredPermissions } = require('./utils/devicePermissions');
+const { closeExpiredConnections } = require('./utils/deviceConnections');
+const { startRulesEngine } = require('./utils/securityRules');
+const { escalateOverdueAlerts } = require('./utils/securityAlerts');
 
 var app = express();
 
@@ -62,6 +70,9 @@ app.use(session({
 
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Refuse banned IP addresses before any route runs (static assets stay available for the error page)
+app.use(rejectBannedIps);
+
 // Make user session available to all templates
 app.use(attachUser);
 
@@ -72,10 +83,20 @@ app.use('/dashboard', dashboardRouter);
 app.use('/device-access', deviceAccessRouter);
 app.use('/api/devices', devicesRouter);
 app.use('/api/alerts', alertsRouter);
+app.use('/api/access-requests', require('./routes/access-requests'));
+app.use('/api/connections', require('./routes/connections'));
+app.use('/api/blocked-attempts', require('./routes/blocked-attempts'));
+app.use('/api/ip-bans', require('./routes/ip-bans'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/security-rules', require('./routes/security-rules'));
 
 // View routes
 app.use('/alerts', require('./routes/alerts-view'));
 app.use('/devices', require('./routes/devices-view'));
+app.use('/access-requests', require('./routes/access-requests-view'));
+app.use('/connections', require('./routes/connections-view'));
+app.use('/blocked-attempts', require('./routes/blocked-attempts-view'));
+app.use('/rules', require('./routes/security-rules-view'));
 
 // catch 404 and forward to error handler
 app.use((req, res, next) => {
@@ -93,15 +114,25 @@ app.use((err, req, res, next) => {
   res.render('error');
 });
 
+// Start background jobs
+scheduleJob('expired-permission-cleanup', environment.deviceAccess.grantCleanupIntervalMs, deleteExpiredPermissions);
+scheduleJob('connection-timeout-sweep', environment.deviceAccess.connectionSweepIntervalMs, closeExpiredConnections);
+scheduleJob('alert-sla-escalation', environment.alerts.slaCheckIntervalMs, escalateOverdueAlerts);
+
+// Evaluate security rules against published security events
+startRulesEngine();
+
 // Graceful shutdown handling
 process.on('SIGINT', async () => {
   appLogger.info('Received SIGINT. Graceful shutdown');
+  stopAllJobs();
   await db.close();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
   appLogger.info('Received SIGTERM. Graceful shutdown');
+  stopAllJobs();
   await db.close();
   process.exit(0);
 });
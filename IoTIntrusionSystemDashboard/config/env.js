@@ -31,6 +31,17 @@ function toNumber(value, defaultValue = 0) {
   return Number.isNaN(num) ? defaultValue : num;
 }
 
+// Parse a JSON string, falling back to a default on missing or invalid input
+function toJson(value, defaultValue = null) {
+  if (!value) return defaultValue;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.error(`Invalid JSON configuration value: ${value}`);
+    return defaultValue;
+  }
+}
+
 // Environment configuration object
 const config = {
   // Server Configuration
@@ -68,6 +79,35 @@ const config = {
   security: {
     jwtSecret: validateEnvVar('JWT_SECRET', 'your_jwt_secret_key_here'),
     bcryptRounds: toNumber(validateEnvVar('BCRYPT_ROUNDS', '12')),
+    // Repeated blocked attempts within this window are counted on one row (BR-BA005)
+    blockedAttemptWindowMinutes: toNumber(validateEnvVar('BLOCKED_ATTEMPT_WINDOW_MINUTES', '60')),
+    // A source IP with this many blocked attempts within the window is banned (BR-IB002); 0 disables auto-bans
+    ipBans: {
+      autoBanThreshold: toNumber(validateEnvVar('IP_BAN_THRESHOLD', '20')),
+      autoBanWindowMinutes: toNumber(validateEnvVar('IP_BAN_WINDOW_MINUTES', '10')),
+      autoBanDurationMinutes: toNumber(validateEnvVar('IP_BAN_DURATION_MINUTES', '60')),
+      // Comma-separated addresses or CIDR blocks that are never auto-banned
+      exempt: validateEnvVar('IP_BAN_EXEMPT', '').split(',').map(entry => entry.trim()).filter(Boolean),
+    },
+  },
+  
+  // Security Alert Configuration
+  alerts: {
+    slaCheckIntervalMs: toNumber(validateEnvVar('ALERT_SLA_CHECK_INTERVAL_MS', '60000')), // 1 minute
+  },
+  
+  // Device Access Configuration
+  deviceAccess: {
+    grantCleanupIntervalMs: toNumber(validateEnvVar('GRANT_CLEANUP_INTERVAL_MS', '300000')), // 5 minutes
+    connectionSweepIntervalMs: toNumber(validateEnvVar('CONNECTION_SWEEP_INTERVAL_MS', '60000')), // 1 minute
+    timeoutWarningSeconds: toNumber(validateEnvVar('CONNECTION_TIMEOUT_WARNING_SECONDS', '120')),
+    // Per device type idle/max minutes; 'default' applies to types not listed, null disables a limit
+    connectionTimeouts: toJson(validateEnvVar('CONNECTION_TIMEOUTS'), {
+      default: { idleMinutes: 30, maxMinutes: 480 },
+      camera: { idleMinutes: 15 },
+      controller: { maxMinutes: 120 }
+    }),
+    breakGlassDurationMinutes: toNumber(validateEnvVar('BREAK_GLASS_DURATION_MINUTES', '30')),
   },
   
   // Email Configuration
@@ -0,0 +1,58 @@
+/**
+ * IP Ban Middleware
+ * Refuses every request from an address that is currently banned
+ */
+
+const { routeLogger } = require('../utils/logger');
+const { normalizeIp } = require('../utils/network');
+const { findActiveBan } = require('../utils/ipBans');
+
+/**
+ * Middleware to reject requests from banned IP addresses
+ * Browser page loads (which ask for text/html) get the error page; API and fetch() calls
+ * get a JSON 403 so the page scripts can show the message. If the ban lookup itself
+ * fails the request is let through, so a database outage does not lock everyone out.
+ */
+async function rejectBannedIps(req, res, next) {
+  let ban;
+  try {
+    ban = await findActiveBan(req.ip);
+  } catch (error) {
+    routeLogger.error('IP ban lookup failed', { ip: req.ip, error: error.message });
+    return next();
+  }
+
+  if (!ban) {
+    return next();
+  }
+
+  routeLogger.warn('Request from banned IP address refused', {
+    ip: normalizeIp(req.ip),
+    banId: ban.id,
+    originalUrl: req.originalUrl
+  });
+
+  const message = ban.expires_at
+    ? `Access from your IP address is blocked until ${new Date(ban.expires_at).toLocaleString()}`
+    : 'Access from your IP address is blocked';
+
+  const wantsPage = !req.originalUrl.startsWith('/api/') && (req.get('Accept') || '').includes('text/html');
+  if (!wantsPage) {
+    return res.status(403).json({
+      success: false,
+      error: 'IP address banned',
+      message: message,
+      bannedUntil: ban.expires_at
+    });
+  }
+
+  return res.status(403).render('error', {
+    title: 'Access Denied',
+    message: message,
+    error: { status: 403 }
+  });
+}
+
+module.exports = {
+  rejectBannedIps
+};
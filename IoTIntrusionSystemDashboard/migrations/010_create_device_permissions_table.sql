@@ -0,0 +1,13 @@
+CREATE TABLE device_permissions (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    device_id INTEGER NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+    access_level VARCHAR(20) NOT NULL DEFAULT 'connect', -- 'view', 'connect', 'control'
+    granted_by INTEGER REFERENCES users(id),
+    granted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT device_permissions_access_level_check CHECK (access_level IN ('view', 'connect', 'control')),
+    CONSTRAINT device_permissions_user_device_unique UNIQUE (user_id, device_id)
+);
+
+CREATE INDEX idx_device_permissions_device_id ON device_permissions(device_id);
@@ -0,0 +1,11 @@
+-- Time-boxed and scheduled device access grants
+ALTER TABLE device_permissions
+    ADD COLUMN valid_from TIMESTAMP, -- null = valid immediately
+    ADD COLUMN valid_until TIMESTAMP, -- null = no expiry
+    ADD COLUMN schedule_days SMALLINT[], -- 0 = Sunday ... 6 = Saturday, null = every day
+    ADD COLUMN schedule_start TIME, -- daily window start (server local time)
+    ADD COLUMN schedule_end TIME, -- daily window end (server local time)
+    ADD CONSTRAINT device_permissions_validity_check CHECK (valid_until IS NULL OR valid_from IS NULL OR valid_until > valid_from),
+    ADD CONSTRAINT device_permissions_schedule_check CHECK ((schedule_start IS NULL) = (schedule_end IS NULL));
+
+CREATE INDEX idx_device_permissions_valid_until ON device_permissions(valid_until);
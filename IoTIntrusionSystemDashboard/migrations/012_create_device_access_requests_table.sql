@@ -0,0 +1,22 @@
+CREATE TABLE device_access_requests (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    device_id INTEGER NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+    access_level VARCHAR(20) NOT NULL DEFAULT 'connect', -- 'view', 'connect', 'control'
+    justification TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'approved', 'denied'
+    source_ip INET,
+    requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    reviewed_by INTEGER REFERENCES users(id),
+    reviewed_at TIMESTAMP,
+    review_reason TEXT, -- denial reason or approval note
+    approved_duration_minutes INTEGER, -- null = permanent grant
+    permission_id INTEGER REFERENCES device_permissions(id) ON DELETE SET NULL,
+    CONSTRAINT device_access_requests_status_check CHECK (status IN ('pending', 'approved', 'denied')),
+    CONSTRAINT device_access_requests_access_level_check CHECK (access_level IN ('view', 'connect', 'control'))
+);
+
+-- Only one open request per user and device
+CREATE UNIQUE INDEX idx_device_access_requests_pending ON device_access_requests(user_id, device_id) WHERE status = 'pending';
+CREATE INDEX idx_device_access_requests_status ON device_access_requests(status);
+CREATE INDEX idx_device_access_requests_user_id ON device_access_requests(user_id);
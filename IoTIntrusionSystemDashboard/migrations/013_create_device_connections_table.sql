@@ -0,0 +1,15 @@
+CREATE TABLE device_connections (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id),
+    device_id INTEGER NOT NULL REFERENCES devices(id),
+    access_level VARCHAR(20), -- level the connection was made with, null for unsecured access without a grant
+    source_ip INET,
+    user_agent TEXT,
+    connected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    disconnected_at TIMESTAMP, -- null while the connection is open
+    disconnect_reason VARCHAR(50) -- 'user', 'replaced', 'logout'
+);
+
+CREATE INDEX idx_device_connections_device_id ON device_connections(device_id, connected_at DESC);
+CREATE INDEX idx_device_connections_user_id ON device_connections(user_id, connected_at DESC);
+CREATE INDEX idx_device_connections_open ON device_connections(device_id) WHERE disconnected_at IS NULL;
@@ -0,0 +1,4 @@
+-- Admin forced disconnects: who closed the connection and why
+ALTER TABLE device_connections
+    ADD COLUMN disconnected_by INTEGER REFERENCES users(id),
+    ADD COLUMN disconnect_note TEXT;
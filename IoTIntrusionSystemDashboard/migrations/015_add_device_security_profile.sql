@@ -0,0 +1,12 @@
+-- Explicit device security profile, replacing the "firmware_version is set" heuristic
+ALTER TABLE devices
+    ADD COLUMN auth_required BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN encryption_in_transit BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN default_credentials_changed BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN security_level VARCHAR(20) NOT NULL DEFAULT 'none', -- 'none', 'low', 'medium', 'high'
+    ADD CONSTRAINT devices_security_level_check CHECK (security_level IN ('none', 'low', 'medium', 'high'));
+
+-- Keep existing devices behaving as before: a reported firmware version meant "secured"
+UPDATE devices
+SET auth_required = true, security_level = 'low'
+WHERE firmware_version IS NOT NULL AND firmware_version != '';
@@ -0,0 +1,11 @@
+CREATE TABLE user_activity_events (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id),
+    event_type VARCHAR(50) NOT NULL, -- 'login', 'logout', 'settings_change', 'password_reset'
+    source_ip INET,
+    user_agent TEXT,
+    details JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_user_activity_events_user_id ON user_activity_events(user_id, created_at DESC);
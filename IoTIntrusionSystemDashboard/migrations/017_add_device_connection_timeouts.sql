@@ -0,0 +1,7 @@
+-- Idle and absolute timeouts for device connections
+ALTER TABLE device_connections
+    ADD COLUMN last_activity_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    ADD COLUMN idle_timeout_minutes INTEGER, -- null = no idle timeout
+    ADD COLUMN max_duration_minutes INTEGER; -- null = no maximum duration
+
+UPDATE device_connections SET last_activity_at = COALESCE(disconnected_at, connected_at);
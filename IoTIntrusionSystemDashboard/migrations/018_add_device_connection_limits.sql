@@ -0,0 +1,8 @@
+-- Concurrent connection limits and exclusive control per device
+ALTER TABLE devices
+    ADD COLUMN max_concurrent_connections INTEGER, -- null = unlimited
+    ADD COLUMN exclusive_control BOOLEAN NOT NULL DEFAULT false,
+    ADD CONSTRAINT devices_max_concurrent_connections_check CHECK (max_concurrent_connections IS NULL OR max_concurrent_connections > 0);
+
+-- Controllers and gateways are driven by one operator at a time
+UPDATE devices SET exclusive_control = true WHERE device_type IN ('controller', 'gateway');
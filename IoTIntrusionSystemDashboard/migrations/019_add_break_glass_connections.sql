@@ -0,0 +1,14 @@
+-- Emergency (break-glass) connections made without a grant, pending admin review
+ALTER TABLE device_connections
+    ADD COLUMN break_glass BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN break_glass_justification TEXT,
+    ADD COLUMN break_glass_alert_id INTEGER REFERENCES security_alerts(id) ON DELETE SET NULL,
+    ADD COLUMN break_glass_reviewed_by INTEGER REFERENCES users(id),
+    ADD COLUMN break_glass_reviewed_at TIMESTAMP,
+    ADD COLUMN break_glass_review_outcome VARCHAR(20), -- 'justified', 'unjustified'
+    ADD COLUMN break_glass_review_note TEXT,
+    ADD CONSTRAINT device_connections_break_glass_review_outcome_check
+        CHECK (break_glass_review_outcome IS NULL OR break_glass_review_outcome IN ('justified', 'unjustified'));
+
+CREATE INDEX idx_device_connections_break_glass_pending ON device_connections(connected_at)
+    WHERE break_glass = true AND break_glass_reviewed_at IS NULL;
@@ -0,0 +1,21 @@
+-- Repeated attempts are aggregated into one row per source IP, target device and attempt type (BR-BA005)
+ALTER TABLE blocked_attempts
+    ADD COLUMN first_seen_at TIMESTAMP,
+    ADD COLUMN last_seen_at TIMESTAMP;
+
+UPDATE blocked_attempts
+SET first_seen_at = COALESCE(blocked_at, CURRENT_TIMESTAMP),
+    last_seen_at = COALESCE(blocked_at, CURRENT_TIMESTAMP),
+    attempt_count = COALESCE(attempt_count, 1);
+
+ALTER TABLE blocked_attempts
+    ALTER COLUMN first_seen_at SET NOT NULL,
+    ALTER COLUMN first_seen_at SET DEFAULT CURRENT_TIMESTAMP,
+    ALTER COLUMN last_seen_at SET NOT NULL,
+    ALTER COLUMN last_seen_at SET DEFAULT CURRENT_TIMESTAMP,
+    ALTER COLUMN attempt_count SET NOT NULL,
+    ADD CONSTRAINT blocked_attempts_attempt_count_check CHECK (attempt_count > 0);
+
+CREATE INDEX idx_blocked_attempts_aggregate_key
+    ON blocked_attempts(source_ip, target_device_id, attempt_type, last_seen_at DESC);
+CREATE INDEX idx_blocked_attempts_last_seen_at ON blocked_attempts(last_seen_at);
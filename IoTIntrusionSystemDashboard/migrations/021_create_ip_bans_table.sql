@@ -0,0 +1,24 @@
+-- Source IPs (or CIDR blocks) refused by the IP ban middleware (BR-IB001)
+CREATE TABLE ip_bans (
+    id SERIAL PRIMARY KEY,
+    ip_address INET NOT NULL,
+    reason TEXT NOT NULL,
+    source VARCHAR(20) NOT NULL DEFAULT 'manual', -- 'auto', 'manual'
+    banned_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP, -- NULL = until lifted
+    created_by INTEGER REFERENCES users(id),
+    alert_id INTEGER REFERENCES security_alerts(id) ON DELETE SET NULL,
+    lifted_at TIMESTAMP,
+    lifted_by INTEGER REFERENCES users(id),
+    lift_reason TEXT,
+    CONSTRAINT ip_bans_source_check CHECK (source IN ('auto', 'manual')),
+    CONSTRAINT ip_bans_auto_expiry_check CHECK (source = 'manual' OR expires_at IS NOT NULL)
+);
+
+CREATE INDEX idx_ip_bans_in_force ON ip_bans USING gist (ip_address inet_ops) WHERE lifted_at IS NULL;
+CREATE INDEX idx_ip_bans_banned_at ON ip_bans(banned_at);
+
+-- Blocked attempts are now recorded with IPv4-mapped IPv6 addresses reduced to plain IPv4
+UPDATE blocked_attempts
+SET source_ip = substring(host(source_ip) from 8)::inet
+WHERE family(source_ip) = 6 AND host(source_ip) ILIKE '::ffff:%.%.%.%';
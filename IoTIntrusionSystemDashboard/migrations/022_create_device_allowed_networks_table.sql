@@ -0,0 +1,12 @@
+-- Source networks a device accepts connections from; a device without entries accepts any source (BR-DN001)
+CREATE TABLE device_allowed_networks (
+    id SERIAL PRIMARY KEY,
+    device_id INTEGER NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+    network CIDR NOT NULL,
+    description VARCHAR(255),
+    created_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT device_allowed_networks_device_network_unique UNIQUE (device_id, network)
+);
+
+CREATE INDEX idx_device_allowed_networks_device_id ON device_allowed_networks(device_id);
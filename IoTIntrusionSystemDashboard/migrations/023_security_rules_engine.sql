@@ -0,0 +1,27 @@
+-- Rules engine bookkeeping, rule-driven IP bans and admin notifications (see docs/SECURITY_RULES.md)
+ALTER TABLE security_rules
+    ADD COLUMN last_triggered_at TIMESTAMP,
+    ADD COLUMN trigger_count INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX idx_security_rules_active_priority ON security_rules(priority, id) WHERE is_active = true;
+
+ALTER TABLE ip_bans
+    ADD COLUMN rule_id INTEGER REFERENCES security_rules(id) ON DELETE SET NULL,
+    DROP CONSTRAINT ip_bans_source_check,
+    ADD CONSTRAINT ip_bans_source_check CHECK (source IN ('auto', 'manual', 'rule'));
+
+CREATE TABLE admin_notifications (
+    id SERIAL PRIMARY KEY,
+    title VARCHAR(255) NOT NULL,
+    message TEXT NOT NULL,
+    severity VARCHAR(20) NOT NULL DEFAULT 'medium', -- 'low', 'medium', 'high', 'critical'
+    link VARCHAR(255),
+    source VARCHAR(50) NOT NULL DEFAULT 'system', -- 'system', 'rule'
+    metadata JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    read_at TIMESTAMP,
+    read_by INTEGER REFERENCES users(id),
+    CONSTRAINT admin_notifications_severity_check CHECK (severity IN ('low', 'medium', 'high', 'critical'))
+);
+
+CREATE INDEX idx_admin_notifications_unread ON admin_notifications(created_at) WHERE read_at IS NULL;
@@ -0,0 +1,10 @@
+-- Security rule names are unique regardless of case (BR-SR001)
+-- Existing duplicates keep the oldest rule's name; the others get their ID appended
+UPDATE security_rules sr
+SET rule_name = LEFT(sr.rule_name, 240) || ' (' || sr.id || ')'
+WHERE EXISTS (
+    SELECT 1 FROM security_rules older
+    WHERE LOWER(older.rule_name) = LOWER(sr.rule_name) AND older.id < sr.id
+);
+
+CREATE UNIQUE INDEX idx_security_rules_name_unique ON security_rules (LOWER(rule_name));
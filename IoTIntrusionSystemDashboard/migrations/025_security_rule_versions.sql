@@ -0,0 +1,28 @@
+-- Security rule change history (BR-SR019, BR-SR020)
+-- Every change to a rule writes a new version; versions are never updated or deleted
+ALTER TABLE security_rules
+    ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+
+CREATE TABLE security_rule_versions (
+    id SERIAL PRIMARY KEY,
+    rule_id INTEGER NOT NULL, -- No foreign key: the history outlives a deleted rule
+    version INTEGER NOT NULL,
+    change_type VARCHAR(20) NOT NULL, -- 'created', 'updated', 'restored', 'deleted'
+    rule_name VARCHAR(255) NOT NULL,
+    rule_type VARCHAR(100) NOT NULL,
+    conditions JSONB NOT NULL,
+    actions JSONB NOT NULL,
+    is_active BOOLEAN NOT NULL,
+    priority INTEGER NOT NULL,
+    diff JSONB NOT NULL DEFAULT '[]', -- Changes from the previous version
+    restored_from INTEGER, -- Version copied by a restore
+    changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT security_rule_versions_change_type_check CHECK (change_type IN ('created', 'updated', 'restored', 'deleted')),
+    UNIQUE (rule_id, version)
+);
+
+-- Existing rules start their history with their current definition
+INSERT INTO security_rule_versions (rule_id, version, change_type, rule_name, rule_type, conditions, actions, is_active, priority, changed_by, changed_at)
+SELECT id, 1, 'created', rule_name, rule_type, conditions, actions, COALESCE(is_active, true), COALESCE(priority, 100), created_by, COALESCE(updated_at, created_at, CURRENT_TIMESTAMP)
+FROM security_rules;
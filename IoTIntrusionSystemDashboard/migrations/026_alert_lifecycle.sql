@@ -0,0 +1,30 @@
+-- Alert lifecycle (BR-SA002, BR-SA003) and the history of changes made to each alert
+-- 'dismissed' was shown by the alerts page but never documented; it meant a false positive
+UPDATE security_alerts SET status = 'false_positive' WHERE status = 'dismissed';
+UPDATE security_alerts SET status = 'active'
+WHERE status IS NULL OR status NOT IN ('active', 'investigating', 'resolved', 'false_positive');
+
+-- Only resolved alerts have a resolution time and resolver
+UPDATE security_alerts SET resolved_at = NULL, resolved_by = NULL
+WHERE status <> 'resolved' AND (resolved_at IS NOT NULL OR resolved_by IS NOT NULL);
+UPDATE security_alerts SET resolved_at = COALESCE(detected_at, CURRENT_TIMESTAMP)
+WHERE status = 'resolved' AND resolved_at IS NULL;
+
+ALTER TABLE security_alerts
+    ALTER COLUMN status SET NOT NULL,
+    ADD CONSTRAINT security_alerts_status_check CHECK (status IN ('active', 'investigating', 'resolved', 'false_positive')),
+    ADD CONSTRAINT security_alerts_resolved_at_check CHECK ((status = 'resolved') = (resolved_at IS NOT NULL));
+
+CREATE TABLE security_alert_history (
+    id SERIAL PRIMARY KEY,
+    alert_id INTEGER NOT NULL REFERENCES security_alerts(id) ON DELETE CASCADE,
+    event_type VARCHAR(50) NOT NULL, -- 'status_changed'
+    from_status VARCHAR(50),
+    to_status VARCHAR(50),
+    note TEXT,
+    details JSONB,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_security_alert_history_alert ON security_alert_history(alert_id, created_at);
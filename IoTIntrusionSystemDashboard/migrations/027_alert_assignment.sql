@@ -0,0 +1,7 @@
+-- Alert ownership: the user working an alert
+-- Changes are recorded in security_alert_history as 'assigned', 'reassigned' and 'unassigned' entries
+ALTER TABLE security_alerts
+    ADD COLUMN assigned_to INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    ADD COLUMN assigned_at TIMESTAMP;
+
+CREATE INDEX idx_security_alerts_open_assignee ON security_alerts(assigned_to) WHERE status IN ('active', 'investigating');
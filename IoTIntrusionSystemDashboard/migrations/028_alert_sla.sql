@@ -0,0 +1,29 @@
+-- Response deadlines for critical and high alerts (BR-SA005, BR-SA006)
+-- An alert is addressed when it first leaves 'active'; one still active after its deadline is escalated once
+ALTER TABLE security_alerts
+    ADD COLUMN sla_due_at TIMESTAMP,
+    ADD COLUMN addressed_at TIMESTAMP,
+    ADD COLUMN escalated_at TIMESTAMP;
+
+UPDATE security_alerts
+SET sla_due_at = COALESCE(detected_at, CURRENT_TIMESTAMP)
+    + CASE severity WHEN 'critical' THEN INTERVAL '1 hour' ELSE INTERVAL '4 hours' END
+WHERE severity IN ('critical', 'high');
+
+-- Alerts already handled were addressed at their first move out of 'active', or failing that when resolved
+UPDATE security_alerts sa
+SET addressed_at = COALESCE(
+    (SELECT MIN(h.created_at) FROM security_alert_history h
+     WHERE h.alert_id = sa.id AND h.event_type = 'status_changed' AND h.from_status = 'active'),
+    sa.resolved_at, sa.detected_at, CURRENT_TIMESTAMP)
+WHERE sa.status <> 'active';
+
+-- Open alerts already past their deadline are flagged as escalated without notifying admins,
+-- so the first SLA check does not send a notification for every historical alert
+UPDATE security_alerts
+SET escalated_at = CURRENT_TIMESTAMP
+WHERE addressed_at IS NULL AND sla_due_at <= CURRENT_TIMESTAMP;
+
+-- Open alerts the SLA checker still has to look at
+CREATE INDEX idx_security_alerts_sla_pending ON security_alerts(sla_due_at)
+WHERE addressed_at IS NULL AND escalated_at IS NULL AND sla_due_at IS NOT NULL;
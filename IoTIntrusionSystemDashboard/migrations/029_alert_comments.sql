@@ -0,0 +1,18 @@
+-- Investigation notes on alerts (BR-SA015); replies point at the comment that starts their thread
+CREATE TABLE security_alert_comments (
+    id SERIAL PRIMARY KEY,
+    alert_id INTEGER NOT NULL REFERENCES security_alerts(id) ON DELETE CASCADE,
+    parent_id INTEGER REFERENCES security_alert_comments(id) ON DELETE CASCADE,
+    body TEXT NOT NULL,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT security_alert_comments_body_check CHECK (length(trim(body)) > 0)
+);
+
+CREATE INDEX idx_security_alert_comments_alert ON security_alert_comments(alert_id, created_at);
+
+-- Resolution notes used to be written into the alert's metadata; keep them as the resolver's comment
+INSERT INTO security_alert_comments (alert_id, body, created_by, created_at)
+SELECT id, metadata->>'resolution_note', resolved_by, COALESCE(resolved_at, detected_at, CURRENT_TIMESTAMP)
+FROM security_alerts
+WHERE jsonb_typeof(metadata) = 'object' AND length(trim(COALESCE(metadata->>'resolution_note', ''))) > 0;
@@ -0,0 +1,2 @@
+-- Source IP history on the alert detail page: earlier alerts from the same address, newest first
+CREATE INDEX idx_security_alerts_source_ip ON security_alerts(source_ip, detected_at DESC);
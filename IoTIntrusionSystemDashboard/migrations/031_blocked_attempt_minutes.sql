@@ -0,0 +1,15 @@
+-- Attempts counted on each aggregated blocked_attempts row, per minute they were made (BR-BA007)
+-- Totals over a period sum these buckets, so a row that spans hours only adds the attempts made inside the period
+CREATE TABLE blocked_attempt_minutes (
+    attempt_id INTEGER NOT NULL REFERENCES blocked_attempts(id) ON DELETE CASCADE,
+    minute TIMESTAMP NOT NULL,
+    attempt_count INTEGER NOT NULL CHECK (attempt_count > 0),
+    PRIMARY KEY (attempt_id, minute)
+);
+
+-- Existing rows did not keep their attempt times; count them in the minute they were last seen
+INSERT INTO blocked_attempt_minutes (attempt_id, minute, attempt_count)
+SELECT id, date_trunc('minute', last_seen_at), attempt_count
+FROM blocked_attempts;
+
+CREATE INDEX idx_blocked_attempt_minutes_minute ON blocked_attempt_minutes(minute);
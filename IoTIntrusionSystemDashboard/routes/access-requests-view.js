@@ -0,0 +1,45 @@
+var express = require('express');
+var router = express.Router();
+const { routeLogger } = require('../utils/logger');
+const { requireAdmin } = require('../middleware/auth');
+const { listAccessRequests, formatAccessRequest } = require('../utils/accessRequests');
+
+/* GET access requests view page */
+router.get('/', requireAdmin, async (req, res, next) => {
+  try {
+    const [pendingRequests, approvedRequests, deniedRequests] = await Promise.all([
+      listAccessRequests({ status: 'pending', limit: 100 }),
+      listAccessRequests({ status: 'approved', limit: 10 }),
+      listAccessRequests({ status: 'denied', limit: 10 })
+    ]);
+
+    const reviewedRequests = [...approvedRequests, ...deniedRequests]
+      .sort((a, b) => new Date(b.reviewed_at) - new Date(a.reviewed_at))
+      .slice(0, 10);
+
+    res.render('access-requests/index', {
+      title: 'Access Requests - IoT Intrusion System',
+      pageTitle: 'Device Access Requests',
+      pendingRequests: pendingRequests.map(request => ({
+        ...formatAccessRequest(request),
+        requestedAt: new Date(request.requested_at).toLocaleString()
+      })),
+      reviewedRequests: reviewedRequests.map(request => ({
+        ...formatAccessRequest(request),
+        reviewedAt: new Date(request.reviewed_at).toLocaleString(),
+        statusBadge: request.status === 'approved' ? 'success' : 'danger'
+      }))
+    });
+  } catch (error) {
+    routeLogger.error('Get access requests view error', {
+      error: error.message
+    });
+    res.status(500).render('error', {
+      title: 'Access Requests Error',
+      message: 'An error occurred while loading access requests.',
+      error: { status: 500 }
+    });
+  }
+});
+
+module.exports = router;
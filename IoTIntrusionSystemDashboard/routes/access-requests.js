@@ -0,0 +1,149 @@
+var express = require('express');
+var router = express.Router();
+const { routeLogger } = require('../utils/logger');
+const { requireAdminAPI } = require('../middleware/auth');
+const {
+  REQUEST_STATUSES,
+  listAccessRequests,
+  approveAccessRequest,
+  denyAccessRequest,
+  formatAccessRequest
+} = require('../utils/accessRequests');
+
+/* GET access requests listing */
+router.get('/', requireAdminAPI, async (req, res, next) => {
+  try {
+    const { status = 'pending', limit = 50, offset = 0 } = req.query;
+
+    if (status !== 'all' && !REQUEST_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status. Must be one of: all, ${REQUEST_STATUSES.join(', ')}`
+      });
+    }
+
+    const requests = await listAccessRequests({
+      status: status === 'all' ? null : status,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      data: requests.map(formatAccessRequest)
+    });
+  } catch (error) {
+    routeLogger.error('Get access requests error', {
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch access requests',
+      message: error.message
+    });
+  }
+});
+
+/* POST approve access request */
+router.post('/:id/approve', requireAdminAPI, async (req, res, next) => {
+  try {
+    const requestId = parseInt(req.params.id);
+    const { duration_minutes, access_level, note } = req.body;
+
+    if (isNaN(requestId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid access request ID'
+      });
+    }
+
+    const durationMinutes = duration_minutes === undefined || duration_minutes === '' || duration_minutes === null
+      ? null
+      : parseInt(duration_minutes);
+
+    const { request, permission } = await approveAccessRequest(requestId, req.session.user.id, {
+      durationMinutes,
+      accessLevel: access_level,
+      note
+    });
+
+    res.json({
+      success: true,
+      message: 'Access request approved',
+      data: {
+        id: request.id,
+        status: request.status,
+        reviewedAt: request.reviewed_at,
+        approvedDurationMinutes: request.approved_duration_minutes,
+        permission: {
+          id: permission.id,
+          accessLevel: permission.access_level,
+          validUntil: permission.valid_until
+        }
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    routeLogger.error('Approve access request error', {
+      requestId: req.params.id,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to approve access request',
+      message: error.message
+    });
+  }
+});
+
+/* POST deny access request */
+router.post('/:id/deny', requireAdminAPI, async (req, res, next) => {
+  try {
+    const requestId = parseInt(req.params.id);
+
+    if (isNaN(requestId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid access request ID'
+      });
+    }
+
+    const request = await denyAccessRequest(requestId, req.session.user.id, req.body.reason);
+
+    res.json({
+      success: true,
+      message: 'Access request denied',
+      data: {
+        id: request.id,
+        status: request.status,
+        reviewedAt: request.reviewed_at,
+        reviewReason: request.review_reason
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    routeLogger.error('Deny access request error', {
+      requestId: req.params.id,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to deny access request',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -3,11 +3,208 @@ var router = express.Router();
 const db = require('../config/database');
 const { routeLogger } = require('../utils/logger');
 const { requireAuth } = require('../middleware/auth');
+const { ALERT_STATUSES, STATUS_LABELS, allowedAlertTransitions, isAlertClosed } = require('../utils/alertLifecycle');
+const { SLA_SEVERITIES, SLA_RESPONSE_MINUTES, SLA_FILTERS, SLA_FILTER_CONDITIONS, describeSla, formatSlaDuration } = require('../utils/alertSla');
+const { getSlaComplianceReport, getAlertTimeline } = require('../utils/securityAlerts');
+const { listBlockedAttempts, formatBlockedAttempt } = require('../utils/blockedAttempts');
+const { findActiveBan } = require('../utils/ipBans');
+
+// Number of related alerts and blocked attempts shown on the alert detail page
+const RELATED_LIMIT = 10;
+
+// Button shown for each status an alert can be moved to
+const TRANSITION_ACTIONS = {
+  active: { label: 'Reopen', icon: 'arrow-counterclockwise', style: 'outline-secondary' },
+  investigating: { label: 'Investigate', icon: 'search', style: 'outline-warning' },
+  resolved: { label: 'Resolve', icon: 'check-circle', style: 'outline-success' },
+  false_positive: { label: 'False Positive', icon: 'x-circle', style: 'outline-secondary' }
+};
+
+// Text colour for each SLA state
+const SLA_STYLES = {
+  on_track: 'warning',
+  breached: 'danger',
+  met: 'success',
+  missed: 'muted'
+};
+
+// Icon shown for each kind of timeline entry
+const TIMELINE_ICONS = {
+  raised: 'bell',
+  status_changed: 'arrow-left-right',
+  assigned: 'person-plus',
+  reassigned: 'person-check',
+  unassigned: 'person-dash',
+  escalated: 'arrow-up-circle',
+  comment: 'chat-left-text'
+};
+
+// Helper function to pick the badge colour and label for an alert's severity
+function formatSeverity(severity) {
+  switch (severity) {
+    case 'low': return { severityBadge: 'info', severityText: 'Low' };
+    case 'medium': return { severityBadge: 'warning', severityText: 'Medium' };
+    case 'high': return { severityBadge: 'danger', severityText: 'High' };
+    case 'critical': return { severityBadge: 'danger', severityText: 'Critical' };
+    default: return { severityBadge: 'secondary', severityText: severity };
+  }
+}
+
+// Helper function to pick the badge colour and label for an alert's status
+function formatStatus(status) {
+  const badges = { active: 'danger', investigating: 'warning', resolved: 'success', false_positive: 'secondary' };
+  return { statusBadge: badges[status] || 'secondary', statusText: STATUS_LABELS[status] || status };
+}
+
+// Helper function to describe an alert's SLA for the alerts table
+function formatSla(alert) {
+  const sla = describeSla(alert);
+  return sla && { ...sla, style: SLA_STYLES[sla.state], dueAt: sla.dueAt.toLocaleString() };
+}
+
+// Helper function to work out which assignment buttons the current user gets for an alert
+function formatAssignment(alert, user) {
+  const open = !isAlertClosed(alert.status);
+  return {
+    isMine: alert.assigned_to === user.id,
+    // Anyone can pick up an open alert; releasing or taking over someone else's is for the assignee or an admin
+    canAssignSelf: open && !alert.assigned_to,
+    canUnassign: open && !!alert.assigned_to && (alert.assigned_to === user.id || user.role === 'admin'),
+    canTakeOver: open && !!alert.assigned_to && alert.assigned_to !== user.id && user.role === 'admin'
+  };
+}
+
+// Helper function to list the status buttons for an alert
+function formatTransitions(status) {
+  return allowedAlertTransitions(status).map(next => ({ status: next, ...TRANSITION_ACTIONS[next] }));
+}
+
+// Helper function to describe the rule version that raised an alert, linking to that version's definition
+function formatRuleSource(metadata) {
+  if (!metadata || !metadata.rule_id) {
+    return null;
+  }
+
+  return {
+    ruleName: metadata.rule_name,
+    version: metadata.rule_version || null,
+    link: `/rules/${metadata.rule_id}/history${metadata.rule_version ? `#version-${metadata.rule_version}` : ''}`
+  };
+}
+
+// Helper function to describe the events behind a sequence rule's alert, with a link to each one's records
+function formatEventChain(metadata) {
+  const sequence = metadata && metadata.sequence;
+  if (!sequence || !Array.isArray(sequence.events)) {
+    return null;
+  }
+
+  return sequence.events.map(entry => {
+    const data = entry.data || {};
+    let summary = entry.type;
+    switch (entry.type) {
+      case 'blocked_attempt': summary = `Blocked ${data.attemptType || 'attempt'}${data.reason ? ` (${data.reason})` : ''}`; break;
+      case 'device_connect': summary = `${data.breakGlass ? 'Break-glass connect' : 'Connected'} with ${data.accessLevel || 'unknown'} access`; break;
+      case 'device_log': summary = `${data.logLevel || 'info'} log: ${data.message || ''}`; break;
+      case 'heartbeat': summary = 'Heartbeat'; break;
+      case 'alert_created': summary = `${data.severity || ''} alert: ${data.alertType || ''}`; break;
+    }
+
+    let link = null;
+    if (entry.type === 'blocked_attempt' && entry.sourceIp) {
+      link = `/blocked-attempts?source_ip=${encodeURIComponent(entry.sourceIp)}`;
+    } else if (entry.deviceId) {
+      link = `/devices/manage/${entry.deviceId}`;
+    }
+
+    return {
+      stage: entry.stage,
+      summary: summary,
+      sourceIp: entry.sourceIp,
+      occurredAt: new Date(entry.occurredAt).toLocaleString(),
+      link: link
+    };
+  });
+}
+
+// Helper function to describe the window a threshold rule counted when it raised an alert
+function formatRuleWindow(metadata) {
+  const window = metadata && metadata.window;
+  if (!window) {
+    return null;
+  }
+
+  let measure = 'Events';
+  if (window.aggregate === 'distinct_count') {
+    measure = `Distinct ${window.field}`;
+  } else if (window.aggregate === 'rate') {
+    measure = 'Events per minute';
+  }
+
+  return {
+    measure: measure,
+    groupBy: window.groupBy,
+    groupKey: window.groupKey,
+    value: window.value,
+    condition: `${window.operator === 'gt' ? '>' : '>='} ${window.threshold}`,
+    count: window.count,
+    ratePerMinute: window.ratePerMinute,
+    period: window.windowSeconds < 60 ? `${window.windowSeconds}s` : formatSlaDuration(window.windowSeconds / 60),
+    windowStart: window.windowStart ? new Date(window.windowStart).toLocaleString() : null,
+    windowEnd: window.windowEnd ? new Date(window.windowEnd).toLocaleString() : null
+  };
+}
+
+// Helper function to shape a related alert for the detail page lists
+function formatRelatedAlert(alert) {
+  return {
+    id: alert.id,
+    type: alert.alert_type,
+    ...formatSeverity(alert.severity),
+    ...formatStatus(alert.status),
+    description: alert.description,
+    deviceName: alert.device_name,
+    sourceIp: alert.source_ip,
+    detectedAt: new Date(alert.detected_at).toLocaleString()
+  };
+}
+
+// Helper function to load the other alerts sharing a device or source IP with an alert, newest first
+async function findRelatedAlerts(column, value, excludeId) {
+  const [summary, recent] = await Promise.all([
+    db.query(`
+      SELECT COUNT(*) as total, MIN(detected_at) as first_seen, MAX(detected_at) as last_seen,
+             COUNT(DISTINCT device_id) as devices
+      FROM security_alerts
+      WHERE ${column} = $1 AND id <> $2
+    `, [value, excludeId]),
+    db.query(`
+      SELECT sa.id, sa.alert_type, sa.severity, sa.status, sa.description, sa.source_ip, sa.detected_at,
+             d.name as device_name
+      FROM security_alerts sa
+      LEFT JOIN devices d ON sa.device_id = d.id
+      WHERE sa.${column} = $1 AND sa.id <> $2
+      ORDER BY sa.detected_at DESC
+      LIMIT $3
+    `, [value, excludeId, RELATED_LIMIT])
+  ]);
+
+  const row = summary.rows[0];
+  return {
+    total: parseInt(row.total),
+    devices: parseInt(row.devices),
+    firstSeen: row.first_seen ? new Date(row.first_seen).toLocaleString() : null,
+    lastSeen: row.last_seen ? new Date(row.last_seen).toLocaleString() : null,
+    alerts: recent.rows.map(formatRelatedAlert),
+    hasMore: parseInt(row.total) > recent.rows.length
+  };
+}
 
 /* GET alerts view page */
 router.get('/', requireAuth, async (req, res, next) => {
   try {
-    const { status, severity, device_id, page = 1, limit = 20 } = req.query;
+    const { status, severity, device_id, assigned_to, sla, page = 1, limit = 20 } = req.query;
+    const user = req.session.user;
     
     let whereClause = '';
     let params = [];
@@ -29,6 +226,16 @@ router.get('/', requireAuth, async (req, res, next) => {
       conditions.push(`sa.device_id = $${paramCount}`);
       params.push(parseInt(device_id));
     }
+    if (assigned_to === 'none') {
+      conditions.push('sa.assigned_to IS NULL');
+    } else if (assigned_to === 'me') {
+      paramCount++;
+      conditions.push(`sa.assigned_to = $${paramCount}`);
+      params.push(user.id);
+    }
+    if (SLA_FILTERS.includes(sla)) {
+      conditions.push(SLA_FILTER_CONDITIONS[sla]);
+    }
     
     if (conditions.length > 0) {
       whereClause = 'WHERE ' + conditions.join(' AND ');
@@ -46,12 +253,14 @@ router.get('/', requireAuth, async (req, res, next) => {
     
     const query = `
       SELECT sa.id, sa.alert_type, sa.severity, sa.description, sa.source_ip,
-             sa.detected_at, sa.resolved_at, sa.status, sa.metadata,
+             sa.detected_at, sa.resolved_at, sa.status, sa.metadata, sa.assigned_to,
+             sa.sla_due_at, sa.addressed_at, sa.escalated_at,
              d.name as device_name, d.device_type,
-             u.name as resolved_by_name
+             u.name as resolved_by_name, a.name as assignee_name
       FROM security_alerts sa
       LEFT JOIN devices d ON sa.device_id = d.id
       LEFT JOIN users u ON sa.resolved_by = u.id
+      LEFT JOIN users a ON sa.assigned_to = a.id
       ${whereClause}
       ORDER BY sa.detected_at DESC
       LIMIT $${limitParam} OFFSET $${offsetParam}
@@ -74,40 +283,28 @@ router.get('/', requireAuth, async (req, res, next) => {
       title: 'Security Alerts - IoT Intrusion System',
       pageTitle: 'Security Alerts',
       alerts: alertsResult.rows.map(alert => {
-        let severityBadge = 'secondary';
-        let severityText = alert.severity;
-        switch (alert.severity) {
-          case 'low': severityBadge = 'info'; severityText = 'Low'; break;
-          case 'medium': severityBadge = 'warning'; severityText = 'Medium'; break;
-          case 'high': severityBadge = 'danger'; severityText = 'High'; break;
-          case 'critical': severityBadge = 'danger'; severityText = 'Critical'; break;
-        }
-        
-        let statusBadge = 'secondary';
-        let statusText = alert.status;
-        switch (alert.status) {
-          case 'active': statusBadge = 'danger'; statusText = 'Active'; break;
-          case 'resolved': statusBadge = 'success'; statusText = 'Resolved'; break;
-          case 'dismissed': statusBadge = 'secondary'; statusText = 'Dismissed'; break;
-        }
-        
         return {
           id: alert.id,
           type: alert.alert_type,
           severity: alert.severity,
-          severityBadge: severityBadge,
-          severityText: severityText,
+          ...formatSeverity(alert.severity),
           description: alert.description,
           sourceIp: alert.source_ip,
           detectedAt: alert.detected_at,
           resolvedAt: alert.resolved_at,
+          sla: formatSla(alert),
+          escalatedAt: alert.escalated_at ? new Date(alert.escalated_at).toLocaleString() : null,
           status: alert.status,
-          statusBadge: statusBadge,
-          statusText: statusText,
+          ...formatStatus(alert.status),
           deviceName: alert.device_name,
           deviceType: alert.device_type,
           resolvedByName: alert.resolved_by_name,
-          metadata: alert.metadata
+          assigneeName: alert.assignee_name,
+          ...formatAssignment(alert, user),
+          metadata: alert.metadata,
+          ruleSource: formatRuleSource(alert.metadata),
+          transitions: formatTransitions(alert.status),
+          eventChain: formatEventChain(alert.metadata)
         };
       }),
       pagination: {
@@ -119,7 +316,14 @@ router.get('/', requireAuth, async (req, res, next) => {
         nextPage: parseInt(page) + 1,
         prevPage: parseInt(page) - 1
       },
+      statuses: ALERT_STATUSES.map(value => ({ value, label: STATUS_LABELS[value], selected: value === status })),
       filters: {
+        assigned_to: assigned_to,
+        assignedToMe: assigned_to === 'me',
+        unassigned: assigned_to === 'none',
+        sla: sla,
+        slaBreached: sla === 'breached',
+        slaEscalated: sla === 'escalated',
         status: status,
         severity: severity,
         device_id: device_id
@@ -137,4 +341,161 @@ router.get('/', requireAuth, async (req, res, next) => {
   }
 });
 
+/* GET weekly SLA compliance report page */
+router.get('/sla', requireAuth, async (req, res, next) => {
+  try {
+    const weeks = [4, 8, 12, 26].includes(parseInt(req.query.weeks)) ? parseInt(req.query.weeks) : 8;
+    const report = await getSlaComplianceReport(weeks);
+
+    res.render('alerts/sla', {
+      title: 'Alert SLA Report - IoT Intrusion System',
+      pageTitle: 'Alert SLA Report',
+      targets: SLA_SEVERITIES.map(severity => ({
+        severity: severity,
+        label: severity === 'critical' ? 'Critical' : 'High',
+        window: formatSlaDuration(SLA_RESPONSE_MINUTES[severity])
+      })),
+      weekOptions: [4, 8, 12, 26].map(value => ({ value, selected: value === weeks })),
+      weeks: report.map(week => ({
+        weekStart: week.weekStart.toLocaleDateString(),
+        total: week.total,
+        met: week.met,
+        breached: week.breached,
+        pending: week.pending,
+        escalated: week.escalated,
+        compliance: week.compliance,
+        hasCompliance: week.compliance !== null,
+        complianceStyle: week.compliance === null ? 'secondary' : week.compliance >= 95 ? 'success' : week.compliance >= 80 ? 'warning' : 'danger',
+        severities: SLA_SEVERITIES.map(severity => {
+          const counts = week.severities[severity];
+          return {
+            ...counts,
+            hasCompliance: counts.compliance !== null,
+            avgResponse: counts.avgResponseMinutes === null ? null : formatSlaDuration(counts.avgResponseMinutes)
+          };
+        })
+      }))
+    });
+  } catch (error) {
+    routeLogger.error('Get SLA report view error', {
+      error: error.message
+    });
+    res.status(500).render('error', {
+      title: 'SLA Report Error',
+      message: 'An error occurred while loading the SLA report.',
+      error: { status: 500 }
+    });
+  }
+});
+
+/* GET alert detail page */
+router.get('/:id', requireAuth, async (req, res, next) => {
+  try {
+    const alertId = parseInt(req.params.id);
+    const result = isNaN(alertId) ? { rows: [] } : await db.query(`
+      SELECT sa.*, d.name as device_name, d.device_type,
+             u.name as resolved_by_name, a.name as assignee_name
+      FROM security_alerts sa
+      LEFT JOIN devices d ON sa.device_id = d.id
+      LEFT JOIN users u ON sa.resolved_by = u.id
+      LEFT JOIN users a ON sa.assigned_to = a.id
+      WHERE sa.id = $1
+    `, [alertId]);
+    const alert = result.rows[0];
+
+    if (!alert) {
+      return res.status(404).render('error', {
+        title: 'Alert Not Found',
+        message: 'The requested security alert could not be found.',
+        error: { status: 404 }
+      });
+    }
+
+    const user = req.session.user;
+    const isAdmin = user.role === 'admin';
+    const sourceIp = alert.source_ip;
+
+    // Blocked attempts and bans are only shown to admins, as on the blocked attempts page (BR-SA016)
+    const [timeline, ipHistory, deviceAlerts, blocked, activeBan] = await Promise.all([
+      getAlertTimeline(alertId),
+      sourceIp ? findRelatedAlerts('source_ip', sourceIp, alertId) : null,
+      alert.device_id ? findRelatedAlerts('device_id', alert.device_id, alertId) : null,
+      isAdmin && sourceIp ? listBlockedAttempts({ sourceIp }, { limit: RELATED_LIMIT }) : null,
+      isAdmin && sourceIp ? findActiveBan(sourceIp) : null
+    ]);
+    const metadata = alert.metadata || {};
+
+    res.render('alerts/show', {
+      title: `Alert #${alert.id} - IoT Intrusion System`,
+      pageTitle: `Alert #${alert.id}`,
+      alert: {
+        id: alert.id,
+        type: alert.alert_type,
+        severity: alert.severity,
+        ...formatSeverity(alert.severity),
+        description: alert.description,
+        sourceIp: alert.source_ip,
+        detectedAt: new Date(alert.detected_at).toLocaleString(),
+        status: alert.status,
+        ...formatStatus(alert.status),
+        deviceId: alert.device_id,
+        deviceName: alert.device_name,
+        deviceType: alert.device_type,
+        assigneeName: alert.assignee_name,
+        resolvedByName: alert.resolved_by_name,
+        resolvedAt: alert.resolved_at ? new Date(alert.resolved_at).toLocaleString() : null,
+        sla: formatSla(alert),
+        escalatedAt: alert.escalated_at ? new Date(alert.escalated_at).toLocaleString() : null,
+        ...formatAssignment(alert, user),
+        transitions: formatTransitions(alert.status),
+        ruleSource: formatRuleSource(metadata),
+        ruleWindow: formatRuleWindow(metadata),
+        eventChain: formatEventChain(metadata),
+        metadataJson: Object.keys(metadata).length > 0 ? JSON.stringify(metadata, null, 2) : null
+      },
+      ipHistory: ipHistory,
+      deviceAlerts: deviceAlerts,
+      blockedAttempts: blocked && {
+        total: blocked.total,
+        totalAttempts: blocked.totalAttempts,
+        link: `/blocked-attempts?source_ip=${encodeURIComponent(sourceIp)}`,
+        attempts: blocked.attempts.map(attempt => {
+          const formatted = formatBlockedAttempt(attempt);
+          return {
+            ...formatted,
+            firstSeenAt: new Date(formatted.firstSeenAt).toLocaleString(),
+            lastSeenAt: new Date(formatted.lastSeenAt).toLocaleString()
+          };
+        })
+      },
+      activeBan: activeBan && {
+        reason: activeBan.reason,
+        source: activeBan.source,
+        bannedAt: new Date(activeBan.banned_at).toLocaleString(),
+        expiresAt: activeBan.expires_at ? new Date(activeBan.expires_at).toLocaleString() : null
+      },
+      timeline: timeline.map(entry => {
+        const formatEntry = item => ({
+          ...item,
+          icon: TIMELINE_ICONS[item.eventType] || 'dot',
+          isComment: item.kind === 'comment',
+          authorName: item.author ? item.author.name : null,
+          at: new Date(item.at).toLocaleString()
+        });
+        return { ...formatEntry(entry), replies: (entry.replies || []).map(formatEntry) };
+      })
+    });
+  } catch (error) {
+    routeLogger.error('Get alert detail view error', {
+      alertId: req.params.id,
+      error: error.message
+    });
+    res.status(500).render('error', {
+      title: 'Alert Error',
+      message: 'An error occurred while loading the security alert.',
+      error: { status: 500 }
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
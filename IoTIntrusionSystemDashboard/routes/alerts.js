@@ -3,11 +3,40 @@ var router = express.Router();
 const db = require('../config/database');
 const { routeLogger } = require('../utils/logger');
 const { requireAuthAPI } = require('../middleware/auth');
+const { emitSecurityEvent } = require('../utils/securityEvents');
+const {
+  changeAlertStatus,
+  changeAlertAssignment,
+  getSlaComplianceReport,
+  addAlertComment,
+  getAlertTimeline
+} = require('../utils/securityAlerts');
+const { ALERT_STATUSES, STATUS_LABELS, allowedAlertTransitions } = require('../utils/alertLifecycle');
+const { SLA_FILTERS, SLA_FILTER_CONDITIONS, slaDeadline, describeSla } = require('../utils/alertSla');
 
 /* GET alerts listing */
 router.get('/', requireAuthAPI, async (req, res, next) => {
   try {
-    const { status, severity, device_id, limit = 50, offset = 0 } = req.query;
+    const { status, severity, device_id, assigned_to, sla, limit = 50, offset = 0 } = req.query;
+    
+    if (status && !ALERT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status. Must be one of: ${ALERT_STATUSES.join(', ')}`
+      });
+    }
+    if (assigned_to && !['me', 'none'].includes(assigned_to) && isNaN(parseInt(assigned_to))) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid assigned_to. Must be 'me', 'none' or a user ID"
+      });
+    }
+    if (sla && !SLA_FILTERS.includes(sla)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid sla. Must be one of: ${SLA_FILTERS.join(', ')}`
+      });
+    }
     
     let whereClause = '';
     let params = [];
@@ -29,6 +58,16 @@ router.get('/', requireAuthAPI, async (req, res, next) => {
       conditions.push(`sa.device_id = $${paramCount}`);
       params.push(parseInt(device_id));
     }
+    if (assigned_to === 'none') {
+      conditions.push('sa.assigned_to IS NULL');
+    } else if (assigned_to) {
+      paramCount++;
+      conditions.push(`sa.assigned_to = $${paramCount}`);
+      params.push(assigned_to === 'me' ? req.session.user.id : parseInt(assigned_to));
+    }
+    if (sla) {
+      conditions.push(SLA_FILTER_CONDITIONS[sla]);
+    }
     
     if (conditions.length > 0) {
       whereClause = 'WHERE ' + conditions.join(' AND ');
@@ -46,11 +85,13 @@ router.get('/', requireAuthAPI, async (req, res, next) => {
     const query = `
       SELECT sa.id, sa.alert_type, sa.severity, sa.description, sa.source_ip,
              sa.detected_at, sa.resolved_at, sa.status, sa.metadata,
+             sa.assigned_to, sa.assigned_at, sa.sla_due_at, sa.addressed_at, sa.escalated_at,
              d.name as device_name, d.device_type,
-             u.name as resolved_by_name
+             u.name as resolved_by_name, a.name as assignee_name
       FROM security_alerts sa
       LEFT JOIN devices d ON sa.device_id = d.id
       LEFT JOIN users u ON sa.resolved_by = u.id
+      LEFT JOIN users a ON sa.assigned_to = a.id
       ${whereClause}
       ORDER BY sa.detected_at DESC
       LIMIT $${limitParam} OFFSET $${offsetParam}
@@ -74,7 +115,10 @@ router.get('/', requireAuthAPI, async (req, res, next) => {
           name: alert.device_name,
           type: alert.device_type
         },
-        resolvedBy: alert.resolved_by_name
+        resolvedBy: alert.resolved_by_name,
+        assignee: alert.assigned_to ? { id: alert.assigned_to, name: alert.assignee_name } : null,
+        assignedAt: alert.assigned_at,
+        sla: describeSla(alert)
       }))
     });
   } catch (error) {
@@ -104,10 +148,11 @@ router.get('/:id', async (req, res, next) => {
     
     const result = await db.query(`
       SELECT sa.*, d.name as device_name, d.device_type,
-             u.name as resolved_by_name
+             u.name as resolved_by_name, a.name as assignee_name
       FROM security_alerts sa
       LEFT JOIN devices d ON sa.device_id = d.id
       LEFT JOIN users u ON sa.resolved_by = u.id
+      LEFT JOIN users a ON sa.assigned_to = a.id
       WHERE sa.id = $1
     `, [alertId]);
     
@@ -140,7 +185,11 @@ router.get('/:id', async (req, res, next) => {
         resolvedBy: {
           id: alert.resolved_by,
           name: alert.resolved_by_name
-        }
+        },
+        assignee: alert.assigned_to ? { id: alert.assigned_to, name: alert.assignee_name } : null,
+        assignedAt: alert.assigned_at,
+        sla: describeSla(alert),
+        allowedTransitions: allowedAlertTransitions(alert.status)
       }
     });
   } catch (error) {
@@ -188,9 +237,12 @@ router.post('/', async (req, res, next) => {
       }
     }
     
+    const detectedAt = new Date();
     const alertData = {
       alert_type,
       severity,
+      detected_at: detectedAt,
+      sla_due_at: slaDeadline(severity, detectedAt),
       status: 'active'
     };
     
@@ -201,6 +253,18 @@ router.post('/', async (req, res, next) => {
     
     const newAlert = await db.insert('security_alerts', alertData);
     
+    emitSecurityEvent('alert_created', {
+      sourceIp: newAlert.source_ip,
+      deviceId: newAlert.device_id,
+      data: {
+        alertId: newAlert.id,
+        alertType: newAlert.alert_type,
+        severity: newAlert.severity,
+        description: newAlert.description,
+        metadata: newAlert.metadata || {}
+      }
+    });
+    
     res.status(201).json({
       success: true,
       message: 'Alert created successfully',
@@ -212,7 +276,8 @@ router.post('/', async (req, res, next) => {
         sourceIp: newAlert.source_ip,
         detectedAt: newAlert.detected_at,
         status: newAlert.status,
-        metadata: newAlert.metadata
+        metadata: newAlert.metadata,
+        sla: describeSla(newAlert)
       }
     });
   } catch (error) {
@@ -228,87 +293,233 @@ router.post('/', async (req, res, next) => {
   }
 });
 
+// Helper function to send the result of a status change
+function sendStatusChange(res, alert, message) {
+  res.json({
+    success: true,
+    message: message,
+    data: {
+      id: alert.id,
+      status: alert.status,
+      resolvedAt: alert.resolved_at,
+      resolvedBy: alert.resolved_by,
+      allowedTransitions: allowedAlertTransitions(alert.status)
+    }
+  });
+}
+
+/* PUT change alert status */
+router.put('/:id/status', requireAuthAPI, async (req, res, next) => {
+  try {
+    const alertId = parseInt(req.params.id);
+
+    if (isNaN(alertId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid alert ID'
+      });
+    }
+
+    const alert = await changeAlertStatus(alertId, req.body.status, req.session.user.id, {
+      note: req.body.note
+    });
+
+    sendStatusChange(res, alert, `Alert marked ${STATUS_LABELS[alert.status].toLowerCase()}`);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    routeLogger.error('Change alert status error', {
+      alertId: req.params.id,
+      status: req.body.status,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change alert status',
+      message: error.message
+    });
+  }
+});
+
 /* PUT resolve alert */
-router.put('/:id/resolve', async (req, res, next) => {
+router.put('/:id/resolve', requireAuthAPI, async (req, res, next) => {
   try {
     const alertId = parseInt(req.params.id);
-    const { resolved_by, resolution_note } = req.body;
-    
+
     if (isNaN(alertId)) {
       return res.status(400).json({
         success: false,
         error: 'Invalid alert ID'
       });
     }
-    
-    // Check if alert exists and is active
-    const alert = await db.findById('security_alerts', alertId);
-    if (!alert) {
-      return res.status(404).json({
+
+    // Kept for existing clients; the same as PUT /:id/status with status 'resolved'
+    const alert = await changeAlertStatus(alertId, 'resolved', req.session.user.id, {
+      note: req.body.resolution_note
+    });
+
+    sendStatusChange(res, alert, 'Alert resolved successfully');
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
         success: false,
-        error: 'Alert not found'
+        error: error.message
       });
     }
-    
-    if (alert.status !== 'active') {
+
+    routeLogger.error('Resolve alert error', {
+      alertId: req.params.id,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve alert',
+      message: error.message
+    });
+  }
+});
+
+/* PUT assign, reassign or unassign alert */
+router.put('/:id/:action(assign|reassign|unassign)', requireAuthAPI, async (req, res, next) => {
+  try {
+    const alertId = parseInt(req.params.id);
+    const assigneeId = req.body.user_id === undefined || req.body.user_id === null ? null : parseInt(req.body.user_id);
+
+    if (isNaN(alertId)) {
       return res.status(400).json({
         success: false,
-        error: 'Alert is already resolved or not active'
+        error: 'Invalid alert ID'
       });
     }
-    
-    // Validate user exists if resolved_by is provided
-    if (resolved_by) {
-      const user = await db.findById('users', resolved_by);
-      if (!user) {
-        return res.status(400).json({
-          success: false,
-          error: 'User not found'
-        });
+    if (Number.isNaN(assigneeId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+
+    const alert = await changeAlertAssignment(alertId, req.params.action, req.session.user, assigneeId);
+
+    res.json({
+      success: true,
+      message: alert.assigned_to ? `Alert assigned to ${alert.assignee_name}` : 'Alert unassigned',
+      data: {
+        id: alert.id,
+        assignee: alert.assigned_to ? { id: alert.assigned_to, name: alert.assignee_name } : null,
+        assignedAt: alert.assigned_at
       }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
     }
-    
-    const updateData = {
-      status: 'resolved',
-      resolved_at: new Date()
-    };
-    
-    if (resolved_by) updateData.resolved_by = resolved_by;
-    
-    // Add resolution note to metadata if provided
-    if (resolution_note) {
-      const currentMetadata = alert.metadata ? JSON.parse(alert.metadata) : {};
-      currentMetadata.resolution_note = resolution_note;
-      updateData.metadata = JSON.stringify(currentMetadata);
+
+    routeLogger.error('Change alert assignment error', {
+      alertId: req.params.id,
+      action: req.params.action,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: `Failed to ${req.params.action} alert`,
+      message: error.message
+    });
+  }
+});
+
+/* GET alert timeline */
+router.get('/:id/timeline', requireAuthAPI, async (req, res, next) => {
+  try {
+    const alertId = parseInt(req.params.id);
+
+    if (isNaN(alertId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid alert ID'
+      });
     }
-    
-    const updatedAlerts = await db.update('security_alerts', updateData, { id: alertId });
-    
-    if (updatedAlerts.length === 0) {
+
+    const timeline = await getAlertTimeline(alertId);
+    if (!timeline) {
       return res.status(404).json({
         success: false,
         error: 'Alert not found'
       });
     }
-    
+
     res.json({
       success: true,
-      message: 'Alert resolved successfully',
+      data: timeline
+    });
+  } catch (error) {
+    routeLogger.error('Get alert timeline error', {
+      alertId: req.params.id,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch alert timeline',
+      message: error.message
+    });
+  }
+});
+
+/* POST add comment to alert */
+router.post('/:id/comments', requireAuthAPI, async (req, res, next) => {
+  try {
+    const alertId = parseInt(req.params.id);
+    const parentId = req.body.parent_id === undefined || req.body.parent_id === null ? null : parseInt(req.body.parent_id);
+
+    if (isNaN(alertId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid alert ID'
+      });
+    }
+    if (Number.isNaN(parentId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid parent comment ID'
+      });
+    }
+
+    const comment = await addAlertComment(alertId, req.session.user.id, req.body.body, parentId);
+
+    res.status(201).json({
+      success: true,
+      message: parentId ? 'Reply added' : 'Comment added',
       data: {
-        id: updatedAlerts[0].id,
-        status: updatedAlerts[0].status,
-        resolvedAt: updatedAlerts[0].resolved_at,
-        resolvedBy: updatedAlerts[0].resolved_by
+        id: comment.id,
+        alertId: comment.alert_id,
+        parentId: comment.parent_id,
+        body: comment.body,
+        author: comment.created_by ? { id: comment.created_by, name: comment.created_by_name } : null,
+        createdAt: comment.created_at
       }
     });
   } catch (error) {
-    routeLogger.error('Resolve alert error', {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    routeLogger.error('Add alert comment error', {
       alertId: req.params.id,
       error: error.message
     });
     res.status(500).json({
       success: false,
-      error: 'Failed to resolve alert',
+      error: 'Failed to add comment',
       message: error.message
     });
   }
@@ -395,4 +606,32 @@ router.get('/stats/summary', async (req, res, next) => {
   }
 });
 
+/* GET weekly SLA compliance report */
+router.get('/stats/sla', requireAuthAPI, async (req, res, next) => {
+  try {
+    const weeks = req.query.weeks === undefined ? 8 : parseInt(req.query.weeks);
+
+    if (isNaN(weeks) || weeks < 1 || weeks > 52) {
+      return res.status(400).json({
+        success: false,
+        error: 'weeks must be between 1 and 52'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await getSlaComplianceReport(weeks)
+    });
+  } catch (error) {
+    routeLogger.error('Get SLA report error', {
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch SLA report',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
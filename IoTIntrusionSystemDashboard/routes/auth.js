@@ -5,6 +5,43 @@ const db = require('../config/database');
 const { routeLogger } = require('../utils/logger');
 const config = require('../config/env');
 const { redirectIfAuth } = require('../middleware/auth');
+const { closeDeviceConnection } = require('../utils/deviceConnections');
+const { recordUserActivity } = require('../utils/userActivity');
+const { recordBlockedAttempt } = require('../utils/blockedAttempts');
+const { applyAutoBan } = require('../utils/ipBans');
+const { emitSecurityEvent } = require('../utils/securityEvents');
+
+// Helper function to record a failed login as a blocked attempt, banning the source IP if it keeps failing
+async function logFailedLogin(req, reason, email) {
+  const userAgent = req.get('User-Agent');
+  try {
+    const { attempt } = await recordBlockedAttempt({
+      sourceIp: req.ip,
+      attemptType: 'brute_force',
+      userAgent,
+      details: {
+        blocked_reason: reason,
+        email: email || null
+      }
+    });
+    
+    emitSecurityEvent('blocked_attempt', {
+      sourceIp: req.ip,
+      data: {
+        attemptId: attempt.id,
+        attemptType: 'brute_force',
+        reason,
+        attemptCount: attempt.attempt_count,
+        userAgent,
+        details: { email: email || null }
+      }
+    });
+    
+    await applyAutoBan(req.ip, { userAgent });
+  } catch (error) {
+    routeLogger.error('Error logging failed login', { error: error.message });
+  }
+}
 
 /* GET login page. */
 router.get('/login', redirectIfAuth, (req, res, next) => {
@@ -43,6 +80,7 @@ router.post('/login', async (req, res, next) => {
         ip: req.ip,
         userAgent: req.get('User-Agent')
       });
+      await logFailedLogin(req, 'missing_credentials', email);
       return res.redirect('/access-denied?from=login');
     }
     
@@ -58,6 +96,7 @@ router.post('/login', async (req, res, next) => {
         ip: req.ip,
         userAgent: req.get('User-Agent')
       });
+      await logFailedLogin(req, 'invalid_email', email);
       return res.redirect('/access-denied?from=login');
     }
     
@@ -71,6 +110,7 @@ router.post('/login', async (req, res, next) => {
         ip: req.ip,
         userAgent: req.get('User-Agent')
       });
+      await logFailedLogin(req, 'account_deactivated', email);
       return res.redirect('/access-denied?from=login');
     }
     
@@ -84,6 +124,7 @@ router.post('/login', async (req, res, next) => {
         ip: req.ip,
         userAgent: req.get('User-Agent')
       });
+      await logFailedLogin(req, 'invalid_password', email);
       return res.redirect('/access-denied?from=login');
     }
     
@@ -93,6 +134,11 @@ router.post('/login', async (req, res, next) => {
       [user.id]
     );
     
+    await recordUserActivity(user.id, 'login', {
+      sourceIp: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    
     // Store user in session (implement proper session management later)
     req.session = req.session || {};
     req.session.user = {
@@ -352,6 +398,10 @@ router.post('/reset-password', async (req, res, next) => {
       [passwordHash, userId]);
     
     routeLogger.info('Password reset successful', { userId: userId });
+    await recordUserActivity(userId, 'password_reset', {
+      sourceIp: req.ip,
+      userAgent: req.get('User-Agent')
+    });
     
     res.redirect('/auth/login?message=password_reset');
     
@@ -369,13 +419,32 @@ router.post('/reset-password', async (req, res, next) => {
 });
 
 /* GET logout */
-router.get('/logout', (req, res, next) => {
+router.get('/logout', async (req, res, next) => {
   // Log the logout attempt
   routeLogger.info('User logout attempt', {
     userId: req.session?.user?.id || 'unknown',
     email: req.session?.user?.email || 'unknown'
   });
   
+  if (req.session?.user) {
+    await recordUserActivity(req.session.user.id, 'logout', {
+      sourceIp: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  }
+  
+  // Close any open device connection held by this session
+  if (req.session?.deviceConnectionId) {
+    try {
+      await closeDeviceConnection(req.session.deviceConnectionId, 'logout');
+    } catch (error) {
+      routeLogger.error('Error closing device connection on logout', {
+        connectionId: req.session.deviceConnectionId,
+        error: error.message
+      });
+    }
+  }
+  
   // Clear session
   if (req.session) {
     req.session.destroy((err) => {
@@ -0,0 +1,94 @@
+var express = require('express');
+var router = express.Router();
+const db = require('../config/database');
+const { routeLogger } = require('../utils/logger');
+const { requireAdmin } = require('../middleware/auth');
+const {
+  parseBlockedAttemptFilters,
+  listBlockedAttempts,
+  listAttemptTypes,
+  formatBlockedAttempt
+} = require('../utils/blockedAttempts');
+
+const FILTER_PARAMS = ['source_ip', 'device_id', 'attempt_type', 'user_id', 'from', 'to'];
+
+/* GET blocked attempts investigation page */
+router.get('/', requireAdmin, async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = 25;
+
+    // Keep the submitted values so the form and pagination links can repeat them
+    const formValues = {};
+    FILTER_PARAMS.forEach(param => {
+      formValues[param] = req.query[param] || '';
+    });
+    const filterQuery = new URLSearchParams(
+      FILTER_PARAMS.filter(param => formValues[param]).map(param => [param, formValues[param]])
+    ).toString();
+
+    const [attemptTypes, devices] = await Promise.all([
+      listAttemptTypes(),
+      db.query('SELECT id, name FROM devices ORDER BY name ASC')
+    ]);
+
+    const { filters, error } = parseBlockedAttemptFilters(req.query);
+    let attempts = [];
+    let total = 0;
+    let totalAttempts = 0;
+
+    if (!error) {
+      const result = await listBlockedAttempts(filters, { limit, offset: (page - 1) * limit });
+      attempts = result.attempts;
+      total = result.total;
+      totalAttempts = result.totalAttempts;
+    }
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.render('blocked-attempts/index', {
+      title: 'Blocked Attempts - IoT Intrusion System',
+      pageTitle: 'Blocked Attempts',
+      error: error,
+      attempts: attempts.map(row => {
+        const attempt = formatBlockedAttempt(row);
+        return {
+          ...attempt,
+          firstSeenAt: new Date(attempt.firstSeenAt).toLocaleString(),
+          lastSeenAt: new Date(attempt.lastSeenAt).toLocaleString(),
+          isRepeated: attempt.attemptCount > 1,
+          requestDetailsJson: JSON.stringify(attempt.requestDetails, null, 2)
+        };
+      }),
+      attemptTypes: attemptTypes.map(type => ({ value: type, selected: type === formValues.attempt_type })),
+      devices: devices.rows.map(device => ({
+        id: device.id,
+        name: device.name,
+        selected: String(device.id) === formValues.device_id
+      })),
+      filters: formValues,
+      filterQuery: filterQuery,
+      totalAttempts: totalAttempts,
+      pagination: {
+        currentPage: page,
+        totalPages: totalPages,
+        total: total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1,
+        nextPage: page + 1,
+        prevPage: page - 1
+      }
+    });
+  } catch (error) {
+    routeLogger.error('Get blocked attempts view error', {
+      error: error.message
+    });
+    res.status(500).render('error', {
+      title: 'Blocked Attempts Error',
+      message: 'An error occurred while loading blocked attempts.',
+      error: { status: 500 }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,88 @@
+var express = require('express');
+var router = express.Router();
+const { routeLogger } = require('../utils/logger');
+const { requireAdminAPI } = require('../middleware/auth');
+const {
+  parseBlockedAttemptFilters,
+  listBlockedAttempts,
+  getBlockedAttempt,
+  formatBlockedAttempt
+} = require('../utils/blockedAttempts');
+
+/* GET blocked attempts listing */
+router.get('/', requireAdminAPI, async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const { filters, error } = parseBlockedAttemptFilters(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error
+      });
+    }
+
+    const { attempts, total, totalAttempts } = await listBlockedAttempts(filters, { limit, offset });
+
+    res.json({
+      success: true,
+      data: attempts.map(formatBlockedAttempt),
+      pagination: {
+        total: total,
+        totalAttempts: totalAttempts,
+        limit: limit,
+        offset: offset
+      }
+    });
+  } catch (error) {
+    routeLogger.error('Get blocked attempts error', {
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch blocked attempts',
+      message: error.message
+    });
+  }
+});
+
+/* GET blocked attempt by ID */
+router.get('/:id', requireAdminAPI, async (req, res, next) => {
+  try {
+    const attemptId = parseInt(req.params.id);
+
+    if (isNaN(attemptId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid blocked attempt ID'
+      });
+    }
+
+    const attempt = await getBlockedAttempt(attemptId);
+
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Blocked attempt not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatBlockedAttempt(attempt)
+    });
+  } catch (error) {
+    routeLogger.error('Get blocked attempt error', {
+      attemptId: req.params.id,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch blocked attempt',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
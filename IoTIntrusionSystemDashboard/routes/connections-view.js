@@ -0,0 +1,61 @@
+var express = require('express');
+var router = express.Router();
+const { routeLogger } = require('../utils/logger');
+const { requireAdmin } = require('../middleware/auth');
+const { listDeviceConnections, formatDeviceConnection } = require('../utils/deviceConnections');
+
+/* GET live connections view page */
+router.get('/', requireAdmin, async (req, res, next) => {
+  try {
+    const [rows, breakGlassRows] = await Promise.all([
+      listDeviceConnections({ active: true, limit: 200 }),
+      listDeviceConnections({ breakGlass: true, reviewed: false, limit: 50 })
+    ]);
+    const connections = rows.map(row => ({
+      ...formatDeviceConnection(row),
+      connectedAt: new Date(row.connected_at).toLocaleString(),
+      connectedAtIso: new Date(row.connected_at).toISOString(),
+      exclusiveControl: row.exclusive_control
+    }));
+
+    // Group by device so all sessions on a device can be closed at once
+    const devices = [];
+    connections.forEach(connection => {
+      let device = devices.find(entry => entry.id === connection.deviceId);
+      if (!device) {
+        device = {
+          id: connection.deviceId,
+          name: connection.deviceName,
+          deviceType: connection.deviceType,
+          exclusiveControl: connection.exclusiveControl,
+          connections: []
+        };
+        devices.push(device);
+      }
+      device.connections.push(connection);
+    });
+
+    res.render('connections/index', {
+      title: 'Live Connections - IoT Intrusion System',
+      pageTitle: 'Live Device Connections',
+      devices: devices,
+      totalConnections: connections.length,
+      pendingBreakGlass: breakGlassRows.map(row => ({
+        ...formatDeviceConnection(row),
+        connectedAt: new Date(row.connected_at).toLocaleString(),
+        disconnectedAt: row.disconnected_at ? new Date(row.disconnected_at).toLocaleString() : null
+      }))
+    });
+  } catch (error) {
+    routeLogger.error('Get connections view error', {
+      error: error.message
+    });
+    res.status(500).render('error', {
+      title: 'Connections Error',
+      message: 'An error occurred while loading live connections.',
+      error: { status: 500 }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,310 @@
+var express = require('express');
+var router = express.Router();
+const db = require('../config/database');
+const { routeLogger } = require('../utils/logger');
+const { requireAdminAPI } = require('../middleware/auth');
+const {
+  closeDeviceConnection,
+  closeDeviceConnectionsForDevice,
+  listDeviceConnections,
+  formatDeviceConnection
+} = require('../utils/deviceConnections');
+const { reviewBreakGlassConnection } = require('../utils/breakGlass');
+
+/* GET active device connections */
+router.get('/', requireAdminAPI, async (req, res, next) => {
+  try {
+    const { device_id, limit = 100, offset = 0 } = req.query;
+
+    const connections = await listDeviceConnections({
+      deviceId: device_id ? parseInt(device_id) : null,
+      active: true,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      data: connections.map(formatDeviceConnection)
+    });
+  } catch (error) {
+    routeLogger.error('Get active connections error', {
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch active connections',
+      message: error.message
+    });
+  }
+});
+
+/* GET break-glass connections */
+router.get('/break-glass', requireAdminAPI, async (req, res, next) => {
+  try {
+    const { status = 'pending', limit = 50, offset = 0 } = req.query;
+
+    if (!['pending', 'reviewed', 'all'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status. Must be one of: pending, reviewed, all'
+      });
+    }
+
+    const connections = await listDeviceConnections({
+      breakGlass: true,
+      reviewed: status === 'all' ? null : status === 'reviewed',
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      data: connections.map(formatDeviceConnection)
+    });
+  } catch (error) {
+    routeLogger.error('Get break-glass connections error', {
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch break-glass connections',
+      message: error.message
+    });
+  }
+});
+
+/* POST review a break-glass connection */
+router.post('/:id/review', requireAdminAPI, async (req, res, next) => {
+  try {
+    const connectionId = parseInt(req.params.id);
+
+    if (isNaN(connectionId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid connection ID'
+      });
+    }
+
+    const connection = await reviewBreakGlassConnection(connectionId, req.session.user.id, {
+      outcome: req.body.outcome,
+      note: req.body.note
+    });
+
+    res.json({
+      success: true,
+      message: 'Break-glass connection reviewed',
+      data: {
+        id: connection.id,
+        outcome: connection.break_glass_review_outcome,
+        reviewedAt: connection.break_glass_reviewed_at,
+        note: connection.break_glass_review_note
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    routeLogger.error('Review break-glass connection error', {
+      connectionId: req.params.id,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to review break-glass connection',
+      message: error.message
+    });
+  }
+});
+
+/* POST force-disconnect a single connection */
+router.post('/:id/disconnect', requireAdminAPI, async (req, res, next) => {
+  try {
+    const connectionId = parseInt(req.params.id);
+    const { reason } = req.body;
+
+    if (isNaN(connectionId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid connection ID'
+      });
+    }
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'A reason is required to force a disconnect'
+      });
+    }
+
+    const connection = await closeDeviceConnection(connectionId, 'admin', {
+      disconnectedBy: req.session.user.id,
+      note: reason.trim()
+    });
+
+    if (!connection) {
+      return res.status(404).json({
+        success: false,
+        error: 'Active connection not found'
+      });
+    }
+
+    routeLogger.warn('Device connection force-closed by admin', {
+      connectionId,
+      userId: connection.user_id,
+      deviceId: connection.device_id,
+      adminId: req.session.user.id,
+      reason: reason.trim()
+    });
+
+    res.json({
+      success: true,
+      message: 'Connection closed',
+      data: {
+        id: connection.id,
+        disconnectedAt: connection.disconnected_at
+      }
+    });
+  } catch (error) {
+    routeLogger.error('Force disconnect error', {
+      connectionId: req.params.id,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to close connection',
+      message: error.message
+    });
+  }
+});
+
+/* POST force-disconnect every connection to a device */
+router.post('/device/:deviceId/disconnect', requireAdminAPI, async (req, res, next) => {
+  try {
+    const deviceId = parseInt(req.params.deviceId);
+    const { reason } = req.body;
+
+    if (isNaN(deviceId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid device ID'
+      });
+    }
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'A reason is required to force a disconnect'
+      });
+    }
+
+    const device = await db.findById('devices', deviceId);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not found'
+      });
+    }
+
+    const closed = await closeDeviceConnectionsForDevice(deviceId, {
+      disconnectedBy: req.session.user.id,
+      note: reason.trim()
+    });
+
+    res.json({
+      success: true,
+      message: `${closed.length} connection(s) to ${device.name} closed`,
+      data: {
+        deviceId,
+        closedCount: closed.length,
+        connectionIds: closed.map(connection => connection.id)
+      }
+    });
+  } catch (error) {
+    routeLogger.error('Force disconnect device error', {
+      deviceId: req.params.deviceId,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to close device connections',
+      message: error.message
+    });
+  }
+});
+
+/* POST break the connection lock on a device */
+router.post('/device/:deviceId/break-lock', requireAdminAPI, async (req, res, next) => {
+  try {
+    const deviceId = parseInt(req.params.deviceId);
+    const { reason } = req.body;
+
+    if (isNaN(deviceId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid device ID'
+      });
+    }
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'A reason is required to break a lock'
+      });
+    }
+
+    const device = await db.findById('devices', deviceId);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not found'
+      });
+    }
+
+    const closed = await closeDeviceConnectionsForDevice(deviceId, {
+      disconnectedBy: req.session.user.id,
+      note: reason.trim(),
+      reason: 'lock_broken'
+    });
+
+    if (closed.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: `Nobody is connected to ${device.name}`
+      });
+    }
+
+    routeLogger.warn('Device lock broken by admin', {
+      deviceId,
+      adminId: req.session.user.id,
+      userIds: closed.map(connection => connection.user_id),
+      reason: reason.trim()
+    });
+
+    res.json({
+      success: true,
+      message: `Lock on ${device.name} released`,
+      data: {
+        deviceId,
+        closedCount: closed.length,
+        connectionIds: closed.map(connection => connection.id)
+      }
+    });
+  } catch (error) {
+    routeLogger.error('Break device lock error', {
+      deviceId: req.params.deviceId,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to break device lock',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
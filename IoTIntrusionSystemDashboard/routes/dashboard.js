@@ -4,28 +4,39 @@ const db = require('../config/database');
 const { routeLogger } = require('../utils/logger');
 const { requireAuthAPI, requireAdmin } = require('../middleware/auth');
 const { createAllSampleData } = require('../utils/createSampleData');
+const { countRecentBlockedAttempts } = require('../utils/blockedAttempts');
+const { listNotifications, countUnreadNotifications, formatNotification } = require('../utils/notifications');
+const { SLA_BREACHED_CONDITION, describeSla } = require('../utils/alertSla');
+
+const UNASSIGNED_ALERTS_QUERY = "SELECT COUNT(*) as count FROM security_alerts WHERE status IN ('active', 'investigating') AND assigned_to IS NULL";
+const SLA_BREACHED_ALERTS_QUERY = `SELECT COUNT(*) as count FROM security_alerts sa WHERE ${SLA_BREACHED_CONDITION}`;
 
 /* GET dashboard page. */
 router.get('/', requireAdmin, async (req, res, next) => {
   
   try {
     // Get dashboard statistics from database
-    const [devicesCount, activeAlertsCount, blockedAttemptsCount, recentAlerts, devices] = await Promise.all([
+    const [devicesCount, activeAlertsCount, unassignedAlertsCount, slaBreachedAlertsCount, blockedAttemptsCount, recentAlerts, devices, notifications, unreadNotifications] = await Promise.all([
       // Total devices count
       db.query('SELECT COUNT(*) as count FROM devices'),
       
       // Active threats count
       db.query("SELECT COUNT(*) as count FROM security_alerts WHERE status = 'active'"),
       
-      // Blocked attempts count (last 24 hours)
-      db.query(
-        "SELECT COUNT(*) as count FROM blocked_attempts WHERE blocked_at >= NOW() - INTERVAL '24 hours'"
-      ),
+      // Open alerts nobody has picked up
+      db.query(UNASSIGNED_ALERTS_QUERY),
+      
+      // Alerts still active past their SLA deadline
+      db.query(SLA_BREACHED_ALERTS_QUERY),
+      
+      // Blocked attempts total (last 24 hours)
+      countRecentBlockedAttempts(24),
       
       // Recent alerts (last 10)
       db.query(`
         SELECT sa.id, sa.alert_type as type, d.name as device, 
-               sa.detected_at as timestamp, sa.severity
+               sa.detected_at as timestamp, sa.severity,
+               sa.sla_due_at, sa.addressed_at, sa.escalated_at
         FROM security_alerts sa
         LEFT JOIN devices d ON sa.device_id = d.id
         WHERE sa.status = 'active'
@@ -45,7 +56,11 @@ router.get('/', requireAdmin, async (req, res, next) => {
         FROM devices
         ORDER BY last_seen DESC NULLS LAST
         LIMIT 10
-      `)
+      `),
+      
+      // Unread admin notifications (latest 5)
+      listNotifications({ unreadOnly: true, limit: 5 }),
+      countUnreadNotifications()
     ]);
     
     // Format the data for the view
@@ -55,7 +70,9 @@ router.get('/', requireAdmin, async (req, res, next) => {
       stats: {
         totalDevices: parseInt(devicesCount.rows[0].count) || 0,
         activeThreats: parseInt(activeAlertsCount.rows[0].count) || 0,
-        blockedAttempts: parseInt(blockedAttemptsCount.rows[0].count) || 0,
+        unassignedAlerts: parseInt(unassignedAlertsCount.rows[0].count) || 0,
+        slaBreachedAlerts: parseInt(slaBreachedAlertsCount.rows[0].count) || 0,
+        blockedAttempts: blockedAttemptsCount,
         systemStatus: 'Active'
       },
       recentAlerts: recentAlerts.rows.map(alert => ({
@@ -63,13 +80,20 @@ router.get('/', requireAdmin, async (req, res, next) => {
         type: alert.type,
         device: alert.device || 'Unknown Device',
         timestamp: new Date(alert.timestamp).toLocaleString(),
-        severity: alert.severity
+        severity: alert.severity,
+        sla: describeSla(alert),
+        escalated: !!alert.escalated_at
       })),
       devices: devices.rows.map(device => ({
         name: device.name,
         status: device.status,
         lastSeen: device.lastseen
-      }))
+      })),
+      notifications: notifications.map(notification => ({
+        ...formatNotification(notification),
+        createdAt: new Date(notification.created_at).toLocaleString()
+      })),
+      unreadNotifications
     };
     
     res.render('dashboard', dashboardData);
@@ -87,18 +111,20 @@ router.get('/', requireAdmin, async (req, res, next) => {
 /* GET dashboard API data */
 router.get('/api/stats', requireAuthAPI, async (req, res, next) => {
   try {
-    const [devicesCount, activeAlertsCount, blockedAttemptsCount] = await Promise.all([
+    const [devicesCount, activeAlertsCount, unassignedAlertsCount, slaBreachedAlertsCount, blockedAttemptsCount] = await Promise.all([
       db.query('SELECT COUNT(*) as count FROM devices'),
       db.query("SELECT COUNT(*) as count FROM security_alerts WHERE status = 'active'"),
-      db.query(
-        "SELECT COUNT(*) as count FROM blocked_attempts WHERE blocked_at >= NOW() - INTERVAL '24 hours'"
-      )
+      db.query(UNASSIGNED_ALERTS_QUERY),
+      db.query(SLA_BREACHED_ALERTS_QUERY),
+      countRecentBlockedAttempts(24)
     ]);
     
     res.json({
       totalDevices: parseInt(devicesCount.rows[0].count) || 0,
       activeThreats: parseInt(activeAlertsCount.rows[0].count) || 0,
-      blockedAttempts: parseInt(blockedAttemptsCount.rows[0].count) || 0,
+      unassignedAlerts: parseInt(unassignedAlertsCount.rows[0].count) || 0,
+      slaBreachedAlerts: parseInt(slaBreachedAlertsCount.rows[0].count) || 0,
+      blockedAttempts: blockedAttemptsCount,
       systemStatus: 'Active',
       timestamp: new Date().toISOString()
     });
@@ -1,42 +1,42 @@
 var express = require('express');
 var router = express.Router();
 const db = require('../config/database');
+const config = require('../config/env');
 const { routeLogger } = require('../utils/logger');
 const { requireAuthOrDeny } = require('../middleware/auth');
-
-// Helper function to check if user has explicit permission to access device
-async function hasDevicePermission(userId, deviceId) {
-  try {
-    // Check if there's a device_permissions table or if user has admin role
-    const userResult = await db.query('SELECT role FROM users WHERE id = $1', [userId]);
-    if (userResult.rows.length > 0 && userResult.rows[0].role === 'admin') {
-      return true;
-    }
-    
-    // For non-admin users, check specific device permissions (could be implemented later)
-    // For now, assume no explicit permissions for regular users
-    return false;
-  } catch (error) {
-    routeLogger.error('Error checking device permissions', { userId, deviceId, error: error.message });
-    return false;
-  }
-}
+const { checkDevicePermission, describeAccessWindow } = require('../utils/devicePermissions');
+const { createAccessRequest, listAccessRequests } = require('../utils/accessRequests');
+const { evaluateConnectPolicy, formatSecurityProfile } = require('../utils/deviceSecurity');
+const { checkSourceAllowed } = require('../utils/deviceNetworks');
+const {
+  formatDuration,
+  getConnectionExpiry,
+  openDeviceConnection,
+  touchDeviceConnection,
+  closeDeviceConnection,
+  closeExpiredConnections,
+  getDeviceConnection
+} = require('../utils/deviceConnections');
+const { getUserActivityTimeline } = require('../utils/userActivity');
+const { validateBreakGlassJustification, openBreakGlassConnection } = require('../utils/breakGlass');
+const { recordBlockedAttempt } = require('../utils/blockedAttempts');
+const { createSecurityAlert } = require('../utils/securityAlerts');
+const { applyAutoBan } = require('../utils/ipBans');
+const { emitSecurityEvent } = require('../utils/securityEvents');
 
 // Helper function to log blocked attempts
 async function logBlockedAttempt(userId, deviceId, sourceIp, attemptType, userAgent, details = {}) {
   try {
-    await db.insert('blocked_attempts', {
-      source_ip: sourceIp,
-      target_device_id: deviceId,
-      attempt_type: attemptType,
-      blocked_at: new Date(),
-      attempt_count: 1,
-      user_agent: userAgent,
-      request_details: JSON.stringify({
+    const { attempt, aggregated } = await recordBlockedAttempt({
+      sourceIp,
+      deviceId,
+      attemptType,
+      userAgent,
+      details: {
         user_id: userId,
         blocked_reason: details.reason || 'unauthorized_access',
         ...details
-      })
+      }
     });
     
     routeLogger.warn('Blocked device access attempt logged', {
@@ -44,70 +44,111 @@ async function logBlockedAttempt(userId, deviceId, sourceIp, attemptType, userAg
       deviceId,
       sourceIp,
       attemptType,
-      reason: details.reason
+      reason: details.reason,
+      attemptCount: attempt.attempt_count,
+      aggregated
+    });
+    
+    emitSecurityEvent('blocked_attempt', {
+      sourceIp,
+      deviceId,
+      userId,
+      data: {
+        attemptId: attempt.id,
+        attemptType,
+        reason: details.reason || 'unauthorized_access',
+        attemptCount: attempt.attempt_count,
+        userAgent,
+        details
+      }
     });
+    
+    await applyAutoBan(sourceIp, { userAgent });
   } catch (error) {
     routeLogger.error('Error logging blocked attempt', { error: error.message });
   }
 }
 
-// Helper function to create security alert
-async function createSecurityAlert(deviceId, alertType, severity, description, sourceIp, metadata = {}) {
-  try {
-    await db.insert('security_alerts', {
-      device_id: deviceId,
-      alert_type: alertType,
-      severity: severity,
-      description: description,
-      source_ip: sourceIp,
-      detected_at: new Date(),
-      status: 'active',
-      metadata: JSON.stringify(metadata)
-    });
-    
-    routeLogger.warn('Security alert created', {
-      deviceId,
-      alertType,
-      severity,
-      description
-    });
-  } catch (error) {
-    routeLogger.error('Error creating security alert', { error: error.message });
+// Helper function to load the open connection referenced by the session
+async function getSessionConnection(req) {
+  const connectionId = req.session.deviceConnectionId;
+  if (!connectionId) {
+    return null;
+  }
+  
+  let connection = await getDeviceConnection(connectionId);
+  
+  // Close the connection now if it timed out since the last sweep
+  if (connection && !connection.disconnected_at) {
+    const expiry = getConnectionExpiry(connection);
+    if (expiry.expiresAt && expiry.expiresAt <= new Date()) {
+      await closeExpiredConnections();
+      connection = await getDeviceConnection(connectionId);
+    }
+  }
+  
+  if (!connection || connection.disconnected_at) {
+    // Connection was closed elsewhere - drop the stale pointer
+    delete req.session.deviceConnectionId;
+    
+    // Remember why the connection ended so the user is told about it once
+    const disconnectedAt = connection ? new Date(connection.disconnected_at).toLocaleString() : null;
+    if (connection && connection.disconnect_reason === 'admin') {
+      req.session.disconnectNotice = {
+        title: 'Disconnected by an administrator',
+        message: `Your connection to ${connection.device_name} was closed by ${connection.disconnected_by_name} at ${disconnectedAt}. Reason: ${connection.disconnect_note}`
+      };
+    } else if (connection && connection.disconnect_reason === 'max_duration' && connection.break_glass) {
+      req.session.disconnectNotice = {
+        title: 'Emergency access ended',
+        message: `Your emergency connection to ${connection.device_name} ended at ${disconnectedAt}. Emergency access lasts at most ${connection.max_duration_minutes} minutes; request access if you still need this device.`
+      };
+    } else if (connection && connection.disconnect_reason === 'lock_broken') {
+      req.session.disconnectNotice = {
+        title: 'Control lock released by an administrator',
+        message: `Your exclusive connection to ${connection.device_name} was closed by ${connection.disconnected_by_name} at ${disconnectedAt}. Reason: ${connection.disconnect_note}`
+      };
+    } else if (connection && connection.disconnect_reason === 'idle_timeout') {
+      req.session.disconnectNotice = {
+        title: 'Connection timed out',
+        message: `Your connection to ${connection.device_name} was closed at ${disconnectedAt} after ${connection.idle_timeout_minutes} minutes without activity.`
+      };
+    } else if (connection && connection.disconnect_reason === 'max_duration') {
+      req.session.disconnectNotice = {
+        title: 'Connection time limit reached',
+        message: `Your connection to ${connection.device_name} was closed at ${disconnectedAt}. Connections to this device are limited to ${connection.max_duration_minutes} minutes.`
+      };
+    }
+    return null;
   }
+  
+  return connection;
 }
 
-// Helper function to get user's recent activity
-async function getUserRecentActivity(userId, limit = 5) {
-  try {
-    const activities = [];
-    
-    // Get recent blocked attempts
-    const blockedAttempts = await db.query(`
-      SELECT ba.blocked_at, ba.attempt_type, d.name as device_name
-      FROM blocked_attempts ba
-      LEFT JOIN devices d ON ba.target_device_id = d.id
-      WHERE ba.request_details::jsonb->>'user_id' = $1
-      ORDER BY ba.blocked_at DESC
-      LIMIT $2
-    `, [userId.toString(), Math.floor(limit / 2)]);
-    
-    blockedAttempts.rows.forEach(attempt => {
-      activities.push({
-        message: `Access blocked to ${attempt.device_name || 'Unknown Device'} (${attempt.attempt_type})`,
-        timestamp: new Date(attempt.blocked_at).toLocaleString(),
-        icon: 'bi-shield-x',
-        iconClass: 'text-danger'
-      });
-    });
-    
-    // Get recent successful connections (would need a connections table in production)
-    // For now, we'll simulate some activity
-    
-    return activities.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp)).slice(0, limit);
-  } catch (error) {
-    routeLogger.error('Error getting user activity', { userId, error: error.message });
-    return [];
-  }
+// Helper function to shape a connection for the device access page
+function toConnectedDevice(connection) {
+  const connectedAt = new Date(connection.connected_at);
+  const expiry = getConnectionExpiry(connection);
+  return {
+    id: connection.device_id,
+    connectionId: connection.id,
+    name: connection.device_name,
+    deviceType: connection.device_type,
+    macAddress: connection.mac_address,
+    ipAddress: connection.ip_address,
+    location: connection.location,
+    firmwareVersion: connection.firmware_version,
+    status: connection.device_status,
+    accessLevel: connection.access_level,
+    connectedAt: connectedAt.toLocaleString(),
+    connectedAtIso: connectedAt.toISOString(),
+    sessionDuration: formatDuration((Date.now() - connectedAt.getTime()) / 1000),
+    idleTimeoutMinutes: connection.idle_timeout_minutes,
+    maxDurationMinutes: connection.max_duration_minutes,
+    expiresAtIso: expiry.expiresAt ? expiry.expiresAt.toISOString() : null,
+    expiryReason: expiry.reason,
+    breakGlass: connection.break_glass
+  };
 }
 
 /* GET device access page */
@@ -115,14 +156,11 @@ router.get('/', requireAuthOrDeny, async (req, res, next) => {
   try {
     const userId = req.session.user.id;
     
-    // Get all devices with their security status
+    // Get all devices with their security profile
     const devicesResult = await db.query(`
       SELECT id, name, device_type, mac_address, ip_address, location, 
              firmware_version, status, last_seen,
-             CASE 
-               WHEN firmware_version IS NOT NULL AND firmware_version != '' THEN true
-               ELSE false
-             END as has_security_enabled
+             auth_required, encryption_in_transit, default_credentials_changed, security_level
       FROM devices
       ORDER BY name ASC
     `);
@@ -137,21 +175,28 @@ router.get('/', requireAuthOrDeny, async (req, res, next) => {
       firmwareVersion: device.firmware_version,
       status: device.status,
       lastSeen: device.last_seen ? new Date(device.last_seen).toLocaleString() : 'Never',
-      hasSecurityEnabled: device.has_security_enabled
+      security: formatSecurityProfile(device)
     }));
     
     // Check if user is currently connected to any device
-    const connectedDevice = req.session.connectedDevice || null;
+    const connection = await getSessionConnection(req);
+    const connectedDevice = connection ? toConnectedDevice(connection) : null;
+    
+    const disconnectNotice = req.session.disconnectNotice || null;
+    delete req.session.disconnectNotice;
     
-    // Get user's recent activity
-    const recentActivity = await getUserRecentActivity(userId);
+    // Get the first page of the user's activity timeline
+    const activity = await getUserActivityTimeline(userId, { limit: 10 });
     
     res.render('device-access', {
       title: 'Device Access - IoT Intrusion System',
       pageTitle: 'Device Access',
       devices: devices,
       connectedDevice: connectedDevice,
-      recentActivity: recentActivity,
+      disconnectNotice: disconnectNotice,
+      timeoutWarningSeconds: config.deviceAccess.timeoutWarningSeconds,
+      recentActivity: activity.events,
+      hasMoreActivity: activity.hasMore,
       error: req.query.error,
       warning: req.query.warning
     });
@@ -186,10 +231,7 @@ router.post('/connect/:deviceId', requireAuthOrDeny, async (req, res, next) => {
     const deviceResult = await db.query(`
       SELECT id, name, device_type, mac_address, ip_address, location, 
              firmware_version, status,
-             CASE 
-               WHEN firmware_version IS NOT NULL AND firmware_version != '' THEN true
-               ELSE false
-             END as has_security_enabled
+             auth_required, encryption_in_transit, default_credentials_changed, security_level
       FROM devices WHERE id = $1
     `, [deviceId]);
     
@@ -218,75 +260,178 @@ router.post('/connect/:deviceId', requireAuthOrDeny, async (req, res, next) => {
       });
     }
     
+    // Network allowlists apply to everyone, admins included
+    const source = await checkSourceAllowed(deviceId, sourceIp);
+    if (!source.allowed) {
+      await logBlockedAttempt(userId, deviceId, sourceIp, 'unauthorized_access', userAgent, {
+        reason: 'source_not_allowed',
+        device_name: device.name,
+        allowed_networks: source.networks
+      });
+      
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. ${device.name} only accepts connections from its allowed networks.`
+      });
+    }
+    
     // Check if user has explicit permission
-    const hasPermission = await hasDevicePermission(userId, deviceId);
-    
-    if (!hasPermission) {
-      // User doesn't have explicit permission
-      if (device.has_security_enabled) {
-        // Device has security - block the attempt
-        await logBlockedAttempt(userId, deviceId, sourceIp, 'unauthorized_access', userAgent, {
-          reason: 'no_permission_secured_device',
-          device_name: device.name,
-          security_enabled: true
-        });
-        
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied. This device requires explicit permission and has security enabled.'
-        });
-      } else {
-        // Device doesn't have security - allow access but create security alert
-        await createSecurityAlert(
-          deviceId,
-          'Unauthorized Device Access',
-          'medium',
-          `User accessed unsecured device without explicit permission: ${device.name}`,
-          sourceIp,
-          {
-            user_id: userId,
-            device_name: device.name,
-            access_granted: true,
-            security_enabled: false,
-            reason: 'unsecured_device_access'
-          }
-        );
-        
-        routeLogger.warn('Unsecured device accessed without permission', {
-          userId,
-          deviceId,
-          deviceName: device.name,
-          sourceIp
-        });
+    const permission = await checkDevicePermission(userId, deviceId, 'connect');
+    const hasPermission = permission.allowed;
+    
+    if (permission.reason === 'insufficient_access_level') {
+      // An explicit grant below 'connect' is a deliberate restriction - always block
+      await logBlockedAttempt(userId, deviceId, sourceIp, 'unauthorized_access', userAgent, {
+        reason: 'insufficient_access_level',
+        device_name: device.name,
+        access_level: permission.grant.access_level
+      });
+      
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Your access level for this device is '${permission.grant.access_level}', which does not allow connections.`,
+        canRequestAccess: true,
+        canBreakGlass: true
+      });
+    }
+    
+    if (permission.reason === 'outside_access_window') {
+      // Grant exists but is not valid right now
+      const accessWindow = describeAccessWindow(permission.grant);
+      await logBlockedAttempt(userId, deviceId, sourceIp, 'unauthorized_access', userAgent, {
+        reason: 'outside_access_window',
+        device_name: device.name,
+        access_window: accessWindow
+      });
+      
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Your access to this device is only valid ${accessWindow}.`,
+        canRequestAccess: true,
+        canBreakGlass: true
+      });
+    }
+    
+    // Without a usable grant, the device's security profile decides
+    const policy = evaluateConnectPolicy(device, permission);
+    const securityProfile = formatSecurityProfile(device);
+    
+    if (policy.action === 'block') {
+      // Device requires explicit permission - block the attempt
+      await logBlockedAttempt(userId, deviceId, sourceIp, 'unauthorized_access', userAgent, {
+        reason: policy.reason,
+        device_name: device.name,
+        security_level: device.security_level,
+        auth_required: device.auth_required
+      });
+      
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. This device requires explicit permission.',
+        canRequestAccess: true,
+        canBreakGlass: true
+      });
+    }
+    
+    // Successful connection - a session holds one connection at a time, and the
+    // device may limit how many connections it takes
+    let connection;
+    try {
+      connection = await openDeviceConnection({
+        userId,
+        deviceId,
+        deviceType: device.device_type,
+        accessLevel: permission.grant ? permission.grant.access_level : (permission.reason === 'admin' ? 'control' : null),
+        sourceIp,
+        userAgent,
+        replaceConnectionId: req.session.deviceConnectionId
+      });
+    } catch (error) {
+      if (!error.contention) {
+        throw error;
       }
+      
+      await logBlockedAttempt(userId, deviceId, sourceIp, 'connection_contention', userAgent, {
+        reason: error.contention.reason,
+        device_name: device.name,
+        max_concurrent_connections: error.contention.maxConcurrentConnections,
+        holder_user_ids: error.contention.holders.map(holder => holder.userId)
+      });
+      
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        lock: error.contention.exclusiveControl ? {
+          heldBy: error.contention.holders[0].userName,
+          heldSince: error.contention.holders[0].connectedAt
+        } : null
+      });
     }
     
-    // Successful connection
-    const connectionTime = new Date();
-    const connectedDevice = {
-      id: device.id,
-      name: device.name,
-      deviceType: device.device_type,
-      macAddress: device.mac_address,
-      ipAddress: device.ip_address,
-      location: device.location,
-      firmwareVersion: device.firmware_version,
-      status: device.status,
-      connectedAt: connectionTime.toLocaleString(),
-      sessionDuration: '0m 0s'
-    };
+    // Store a pointer to the connection in the session
+    req.session.deviceConnectionId = connection.id;
+    
+    if (policy.action === 'allow_with_alert') {
+      // Unsecured device - access was allowed, so alert on the connection that was opened
+      await createSecurityAlert(
+        deviceId,
+        'Unauthorized Device Access',
+        policy.severity,
+        `User accessed unsecured device without explicit permission: ${device.name}`,
+        sourceIp,
+        {
+          user_id: userId,
+          device_name: device.name,
+          connection_id: connection.id,
+          access_granted: true,
+          security_level: device.security_level,
+          weaknesses: securityProfile.weaknesses,
+          reason: policy.reason
+        }
+      );
+      
+      routeLogger.warn('Unsecured device accessed without permission', {
+        userId,
+        deviceId,
+        connectionId: connection.id,
+        deviceName: device.name,
+        sourceIp,
+        weaknesses: securityProfile.weaknesses
+      });
+    }
     
-    // Store connection in session
-    req.session.connectedDevice = connectedDevice;
+    const connectedDevice = toConnectedDevice({
+      ...connection,
+      device_name: device.name,
+      device_type: device.device_type,
+      mac_address: device.mac_address,
+      ip_address: device.ip_address,
+      location: device.location,
+      firmware_version: device.firmware_version,
+      device_status: device.status
+    });
     
     // Log successful connection
     routeLogger.info('Device connection established', {
       userId,
       deviceId,
+      connectionId: connection.id,
       deviceName: device.name,
       sourceIp,
       hasPermission,
-      securityEnabled: device.has_security_enabled
+      securityLevel: device.security_level
+    });
+    
+    emitSecurityEvent('device_connect', {
+      sourceIp,
+      deviceId,
+      userId,
+      data: {
+        connectionId: connection.id,
+        accessLevel: connection.access_level,
+        breakGlass: false,
+        permissionReason: permission.reason
+      }
     });
     
     res.json({
@@ -309,6 +454,169 @@ router.post('/connect/:deviceId', requireAuthOrDeny, async (req, res, next) => {
   }
 });
 
+/* POST break-glass emergency connection */
+router.post('/break-glass/:deviceId', requireAuthOrDeny, async (req, res, next) => {
+  try {
+    const userId = req.session.user.id;
+    const deviceId = parseInt(req.params.deviceId);
+    const sourceIp = req.ip;
+    const userAgent = req.get('User-Agent');
+    
+    if (isNaN(deviceId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid device ID'
+      });
+    }
+    
+    const justification = validateBreakGlassJustification(req.body.justification);
+    
+    const deviceResult = await db.query(`
+      SELECT id, name, device_type, mac_address, ip_address, location, firmware_version, status
+      FROM devices WHERE id = $1
+    `, [deviceId]);
+    
+    if (deviceResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+    
+    const device = deviceResult.rows[0];
+    
+    if (device.status !== 'online') {
+      await logBlockedAttempt(userId, deviceId, sourceIp, 'offline_device', userAgent, {
+        reason: 'device_offline',
+        device_status: device.status,
+        break_glass: true
+      });
+      
+      return res.status(400).json({
+        success: false,
+        message: 'Device is currently offline'
+      });
+    }
+    
+    // Emergency access bypasses grants, not network allowlists
+    const source = await checkSourceAllowed(deviceId, sourceIp);
+    if (!source.allowed) {
+      await logBlockedAttempt(userId, deviceId, sourceIp, 'unauthorized_access', userAgent, {
+        reason: 'source_not_allowed',
+        device_name: device.name,
+        allowed_networks: source.networks,
+        break_glass: true
+      });
+      
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. ${device.name} only accepts connections from its allowed networks.`
+      });
+    }
+    
+    // Break-glass is only for users who would otherwise be refused
+    const permission = await checkDevicePermission(userId, deviceId, 'connect');
+    if (permission.allowed) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have access to this device. Connect normally instead.'
+      });
+    }
+    
+    // The alert is stored with the emergency connection, so neither exists without the other (BR-DC017)
+    let connection;
+    try {
+      ({ connection } = await openBreakGlassConnection({
+        user: req.session.user,
+        device,
+        sourceIp,
+        userAgent,
+        justification,
+        deniedReason: permission.reason,
+        replaceConnectionId: req.session.deviceConnectionId
+      }));
+    } catch (error) {
+      if (!error.contention) {
+        throw error;
+      }
+      
+      await logBlockedAttempt(userId, deviceId, sourceIp, 'connection_contention', userAgent, {
+        reason: error.contention.reason,
+        device_name: device.name,
+        break_glass: true,
+        max_concurrent_connections: error.contention.maxConcurrentConnections,
+        holder_user_ids: error.contention.holders.map(holder => holder.userId)
+      });
+      
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        lock: error.contention.exclusiveControl ? {
+          heldBy: error.contention.holders[0].userName,
+          heldSince: error.contention.holders[0].connectedAt
+        } : null
+      });
+    }
+    
+    req.session.deviceConnectionId = connection.id;
+    
+    routeLogger.warn('Break-glass device connection established', {
+      userId,
+      deviceId,
+      connectionId: connection.id,
+      deviceName: device.name,
+      sourceIp,
+      deniedReason: permission.reason
+    });
+    
+    emitSecurityEvent('device_connect', {
+      sourceIp,
+      deviceId,
+      userId,
+      data: {
+        connectionId: connection.id,
+        accessLevel: connection.access_level,
+        breakGlass: true,
+        permissionReason: permission.reason
+      }
+    });
+    
+    res.json({
+      success: true,
+      message: `Emergency access to ${device.name} granted for up to ${connection.max_duration_minutes} minutes. An administrator will review this connection.`,
+      device: toConnectedDevice({
+        ...connection,
+        device_name: device.name,
+        device_type: device.device_type,
+        mac_address: device.mac_address,
+        ip_address: device.ip_address,
+        location: device.location,
+        firmware_version: device.firmware_version,
+        device_status: device.status
+      })
+    });
+    
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    routeLogger.error('Break-glass connection error', {
+      deviceId: req.params.deviceId,
+      userId: req.session.user.id,
+      error: error.message
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while connecting to the device'
+    });
+  }
+});
+
 /* POST disconnect from device */
 router.post('/disconnect/:deviceId', requireAuthOrDeny, async (req, res, next) => {
   try {
@@ -323,23 +631,26 @@ router.post('/disconnect/:deviceId', requireAuthOrDeny, async (req, res, next) =
     }
     
     // Check if user is connected to this device
-    if (!req.session.connectedDevice || req.session.connectedDevice.id !== deviceId) {
+    const connection = await getSessionConnection(req);
+    if (!connection || connection.device_id !== deviceId) {
       return res.status(400).json({
         success: false,
         message: 'You are not connected to this device'
       });
     }
     
-    const deviceName = req.session.connectedDevice.name;
+    const deviceName = connection.device_name;
     
-    // Clear the connection
-    delete req.session.connectedDevice;
+    // Close the connection
+    await closeDeviceConnection(connection.id, 'user');
+    delete req.session.deviceConnectionId;
     
     // Log disconnection
     routeLogger.info('Device disconnection', {
       userId,
       deviceId,
-      deviceName
+      deviceName,
+      connectionId: connection.id
     });
     
     res.json({
@@ -361,4 +672,164 @@ router.post('/disconnect/:deviceId', requireAuthOrDeny, async (req, res, next) =
   }
 });
 
+/* POST keep the current device connection alive */
+router.post('/keep-alive', requireAuthOrDeny, async (req, res, next) => {
+  try {
+    const connection = await getSessionConnection(req);
+    
+    if (!connection) {
+      return res.status(409).json({
+        success: false,
+        disconnected: true,
+        message: 'You are no longer connected to a device'
+      });
+    }
+    
+    const touched = await touchDeviceConnection(connection.id);
+    if (!touched) {
+      return res.status(409).json({
+        success: false,
+        disconnected: true,
+        message: 'You are no longer connected to a device'
+      });
+    }
+    
+    const expiry = getConnectionExpiry(touched);
+    
+    res.json({
+      success: true,
+      data: {
+        connectionId: touched.id,
+        lastActivityAt: touched.last_activity_at,
+        expiresAt: expiry.expiresAt,
+        expiryReason: expiry.reason
+      }
+    });
+  } catch (error) {
+    routeLogger.error('Connection keep-alive error', {
+      userId: req.session.user.id,
+      error: error.message
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while refreshing your connection'
+    });
+  }
+});
+
+/* GET current user's activity timeline */
+router.get('/activity', requireAuthOrDeny, async (req, res, next) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    
+    const activity = await getUserActivityTimeline(req.session.user.id, { limit, offset });
+    
+    res.json({
+      success: true,
+      data: activity.events,
+      pagination: {
+        limit: activity.limit,
+        offset: activity.offset,
+        hasMore: activity.hasMore
+      }
+    });
+  } catch (error) {
+    routeLogger.error('Get activity timeline error', {
+      userId: req.session.user.id,
+      error: error.message
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while loading your activity'
+    });
+  }
+});
+
+/* POST request access to device */
+router.post('/requests/:deviceId', requireAuthOrDeny, async (req, res, next) => {
+  try {
+    const userId = req.session.user.id;
+    const deviceId = parseInt(req.params.deviceId);
+    
+    if (isNaN(deviceId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid device ID'
+      });
+    }
+    
+    const request = await createAccessRequest({
+      userId,
+      deviceId,
+      accessLevel: req.body.access_level || 'connect',
+      justification: req.body.justification,
+      sourceIp: req.ip
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Your access request has been submitted for review',
+      data: {
+        id: request.id,
+        status: request.status,
+        requestedAt: request.requested_at
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    routeLogger.error('Device access request error', {
+      deviceId: req.params.deviceId,
+      userId: req.session.user.id,
+      error: error.message
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while submitting your access request'
+    });
+  }
+});
+
+/* GET current user's access requests */
+router.get('/requests', requireAuthOrDeny, async (req, res, next) => {
+  try {
+    const requests = await listAccessRequests({ userId: req.session.user.id });
+    
+    res.json({
+      success: true,
+      data: requests.map(request => ({
+        id: request.id,
+        deviceId: request.device_id,
+        deviceName: request.device_name,
+        accessLevel: request.access_level,
+        justification: request.justification,
+        status: request.status,
+        requestedAt: request.requested_at,
+        reviewedAt: request.reviewed_at,
+        reviewReason: request.review_reason,
+        approvedDurationMinutes: request.approved_duration_minutes
+      }))
+    });
+  } catch (error) {
+    routeLogger.error('Get access requests error', {
+      userId: req.session.user.id,
+      error: error.message
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while loading your access requests'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
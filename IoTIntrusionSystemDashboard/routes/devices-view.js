@@ -3,6 +3,21 @@ var router = express.Router();
 const db = require('../config/database');
 const { routeLogger } = require('../utils/logger');
 const { requireAuth } = require('../middleware/auth');
+const {
+  ACCESS_LEVELS,
+  DAY_NAMES,
+  isWithinAccessWindow,
+  describeAccessWindow,
+  listDevicePermissions
+} = require('../utils/devicePermissions');
+const {
+  EXCLUSIVE_CONTROL_TYPES,
+  listDeviceConnections,
+  formatDeviceConnection,
+  formatConnectionLimits
+} = require('../utils/deviceConnections');
+const { SECURITY_LEVELS, formatSecurityProfile } = require('../utils/deviceSecurity');
+const { listDeviceAllowedNetworks, formatAllowedNetwork } = require('../utils/deviceNetworks');
 
 /* GET devices view page */
 router.get('/', requireAuth, async (req, res, next) => {
@@ -146,7 +161,8 @@ router.post('/add', requireAuth, async (req, res, next) => {
     const deviceData = {
       name,
       device_type,
-      status: 'offline'
+      status: 'offline',
+      exclusive_control: EXCLUSIVE_CONTROL_TYPES.includes(device_type)
     };
     
     if (mac_address) deviceData.mac_address = mac_address;
@@ -211,6 +227,25 @@ router.get('/manage/:id', requireAuth, async (req, res, next) => {
       [deviceId]
     );
     
+    // Network allowlist rules are shown to everyone who can open the page
+    const allowedNetworks = await listDeviceAllowedNetworks(deviceId);
+    
+    // Permission management is admin-only
+    const isAdmin = req.session.user.role === 'admin';
+    let permissions = [];
+    let users = [];
+    let connections = [];
+    if (isAdmin) {
+      const [permissionRows, userRows, connectionRows] = await Promise.all([
+        listDevicePermissions(deviceId),
+        db.query(`SELECT id, name, email FROM users WHERE is_active = true AND role != 'admin' ORDER BY name ASC`),
+        listDeviceConnections({ deviceId, limit: 20 })
+      ]);
+      permissions = permissionRows;
+      users = userRows.rows;
+      connections = connectionRows;
+    }
+    
     let statusBadge = 'secondary';
     let statusText = device.status;
     switch (device.status) {
@@ -237,6 +272,13 @@ router.get('/manage/:id', requireAuth, async (req, res, next) => {
         createdAt: device.created_at,
         updatedAt: device.updated_at
       },
+      securityProfile: formatSecurityProfile(device),
+      securityLevels: SECURITY_LEVELS,
+      connectionLimits: formatConnectionLimits(device),
+      allowedNetworks: allowedNetworks.map(network => ({
+        ...formatAllowedNetwork(network),
+        createdAt: new Date(network.created_at).toLocaleString()
+      })),
       recentAlerts: recentAlerts.rows.map(alert => {
         let severityBadge = 'secondary';
         let severityText = alert.severity;
@@ -257,7 +299,28 @@ router.get('/manage/:id', requireAuth, async (req, res, next) => {
           detectedAt: alert.detected_at,
           status: alert.status
         };
-      })
+      }),
+      permissions: permissions.map(permission => ({
+        userId: permission.user_id,
+        userName: permission.user_name,
+        userEmail: permission.user_email,
+        accessLevel: permission.access_level,
+        accessWindow: describeAccessWindow(permission),
+        isWithinWindow: isWithinAccessWindow(permission),
+        grantedBy: permission.granted_by_name,
+        grantedAt: new Date(permission.granted_at).toLocaleString()
+      })),
+      connections: connections.map(row => {
+        const connection = formatDeviceConnection(row);
+        return {
+          ...connection,
+          connectedAt: new Date(connection.connectedAt).toLocaleString(),
+          disconnectedAt: connection.disconnectedAt ? new Date(connection.disconnectedAt).toLocaleString() : null
+        };
+      }),
+      users: users,
+      accessLevels: ACCESS_LEVELS,
+      days: DAY_NAMES.map((name, index) => ({ value: index, name }))
     });
   } catch (error) {
     routeLogger.error('Get manage device error', {
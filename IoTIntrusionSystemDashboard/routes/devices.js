@@ -2,7 +2,38 @@ var express = require('express');
 var router = express.Router();
 const db = require('../config/database');
 const { routeLogger } = require('../utils/logger');
-const { requireAuthAPI } = require('../middleware/auth');
+const { requireAuthAPI, requireAdminAPI } = require('../middleware/auth');
+const {
+  ACCESS_LEVELS,
+  isWithinAccessWindow,
+  describeAccessWindow,
+  parseAccessWindow,
+  listDevicePermissions,
+  grantDevicePermission,
+  revokeDevicePermission
+} = require('../utils/devicePermissions');
+const {
+  EXCLUSIVE_CONTROL_TYPES,
+  listDeviceConnections,
+  formatDeviceConnection,
+  parseConnectionLimits,
+  updateConnectionLimits,
+  formatConnectionLimits
+} = require('../utils/deviceConnections');
+const {
+  formatSecurityProfile,
+  parseSecurityProfile,
+  updateSecurityProfile
+} = require('../utils/deviceSecurity');
+const {
+  listDeviceAllowedNetworks,
+  addDeviceAllowedNetwork,
+  removeDeviceAllowedNetwork,
+  formatAllowedNetwork
+} = require('../utils/deviceNetworks');
+const { recordDeviceLog, formatDeviceLog } = require('../utils/deviceLogs');
+const { emitSecurityEvent } = require('../utils/securityEvents');
+const { normalizeIp } = require('../utils/network');
 
 /* GET devices listing */
 router.get('/', requireAuthAPI, async (req, res, next) => {
@@ -30,6 +61,8 @@ router.get('/', requireAuthAPI, async (req, res, next) => {
         status: device.status,
         location: device.location,
         firmwareVersion: device.firmware_version,
+        securityProfile: formatSecurityProfile(device),
+        connectionLimits: formatConnectionLimits(device),
         lastSeen: device.last_seen,
         createdAt: device.created_at,
         updatedAt: device.updated_at
@@ -79,6 +112,8 @@ router.get('/:id', async (req, res, next) => {
         status: device.status,
         location: device.location,
         firmwareVersion: device.firmware_version,
+        securityProfile: formatSecurityProfile(device),
+        connectionLimits: formatConnectionLimits(device),
         lastSeen: device.last_seen,
         createdAt: device.created_at,
         updatedAt: device.updated_at
@@ -127,7 +162,8 @@ router.post('/', async (req, res, next) => {
     const deviceData = {
       name,
       device_type,
-      status: 'offline'
+      status: 'offline',
+      exclusive_control: EXCLUSIVE_CONTROL_TYPES.includes(device_type)
     };
     
     if (mac_address) deviceData.mac_address = mac_address;
@@ -225,6 +261,8 @@ router.put('/:id', async (req, res, next) => {
         status: updatedDevice.status,
         location: updatedDevice.location,
         firmwareVersion: updatedDevice.firmware_version,
+        securityProfile: formatSecurityProfile(updatedDevice),
+        connectionLimits: formatConnectionLimits(updatedDevice),
         lastSeen: updatedDevice.last_seen,
         createdAt: updatedDevice.created_at,
         updatedAt: updatedDevice.updated_at
@@ -302,18 +340,37 @@ router.post('/:id/heartbeat', async (req, res, next) => {
       });
     }
     
+    const device = await db.findById('devices', deviceId);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not found'
+      });
+    }
+    
     const updatedDevices = await db.update('devices', {
       last_seen: new Date(),
       status: 'online',
       updated_at: new Date()
     }, { id: deviceId });
     
-    if (updatedDevices.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Device not found'
-      });
-    }
+    const log = await recordDeviceLog({
+      deviceId,
+      logLevel: 'info',
+      message: 'Heartbeat received',
+      eventType: 'heartbeat',
+      metadata: { previous_status: device.status, source_ip: normalizeIp(req.ip) }
+    });
+    
+    emitSecurityEvent('heartbeat', {
+      sourceIp: req.ip,
+      deviceId,
+      data: {
+        logId: log.id,
+        previousStatus: device.status,
+        status: updatedDevices[0].status
+      }
+    });
     
     res.json({
       success: true,
@@ -336,4 +393,514 @@ router.post('/:id/heartbeat', async (req, res, next) => {
   }
 });
 
+/* POST report a device log line */
+router.post('/:id/logs', async (req, res, next) => {
+  try {
+    const deviceId = parseInt(req.params.id);
+    
+    if (isNaN(deviceId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid device ID'
+      });
+    }
+    
+    const device = await db.findById('devices', deviceId);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not found'
+      });
+    }
+    
+    const { log_level, message, event_type, metadata } = req.body;
+    const log = await recordDeviceLog({
+      deviceId,
+      logLevel: log_level,
+      message,
+      eventType: event_type || null,
+      metadata: metadata === undefined ? {} : metadata
+    });
+    
+    emitSecurityEvent('device_log', {
+      sourceIp: req.ip,
+      deviceId,
+      data: {
+        logId: log.id,
+        logLevel: log.log_level,
+        eventType: log.event_type,
+        message: log.message,
+        metadata: log.metadata || {}
+      }
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Device log recorded',
+      data: formatDeviceLog(log)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    routeLogger.error('Device log error', {
+      deviceId: req.params.id,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record device log',
+      message: error.message
+    });
+  }
+});
+
+/* PUT update device security profile */
+router.put('/:id/security', requireAdminAPI, async (req, res, next) => {
+  try {
+    const deviceId = parseInt(req.params.id);
+    
+    if (isNaN(deviceId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid device ID'
+      });
+    }
+    
+    const { profile, error } = parseSecurityProfile(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error
+      });
+    }
+    
+    const device = await updateSecurityProfile(deviceId, profile, req.session.user.id);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Device security profile updated successfully',
+      data: formatSecurityProfile(device)
+    });
+  } catch (error) {
+    routeLogger.error('Update device security profile error', {
+      deviceId: req.params.id,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update device security profile',
+      message: error.message
+    });
+  }
+});
+
+/* PUT update device connection limits */
+router.put('/:id/connection-limits', requireAdminAPI, async (req, res, next) => {
+  try {
+    const deviceId = parseInt(req.params.id);
+    
+    if (isNaN(deviceId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid device ID'
+      });
+    }
+    
+    const { limits, error } = parseConnectionLimits(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error
+      });
+    }
+    
+    const device = await updateConnectionLimits(deviceId, limits, req.session.user.id);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Device connection limits updated successfully',
+      data: formatConnectionLimits(device)
+    });
+  } catch (error) {
+    routeLogger.error('Update device connection limits error', {
+      deviceId: req.params.id,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update device connection limits',
+      message: error.message
+    });
+  }
+});
+
+/* GET device connection history */
+router.get('/:id/connections', requireAdminAPI, async (req, res, next) => {
+  try {
+    const deviceId = parseInt(req.params.id);
+    const { limit = 50, offset = 0 } = req.query;
+    
+    if (isNaN(deviceId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid device ID'
+      });
+    }
+    
+    const device = await db.findById('devices', deviceId);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not found'
+      });
+    }
+    
+    const connections = await listDeviceConnections({
+      deviceId,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+    
+    res.json({
+      success: true,
+      data: connections.map(formatDeviceConnection)
+    });
+  } catch (error) {
+    routeLogger.error('Get device connections error', {
+      deviceId: req.params.id,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch device connections',
+      message: error.message
+    });
+  }
+});
+
+/* GET device permission grants */
+router.get('/:id/permissions', requireAdminAPI, async (req, res, next) => {
+  try {
+    const deviceId = parseInt(req.params.id);
+    
+    if (isNaN(deviceId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid device ID'
+      });
+    }
+    
+    const device = await db.findById('devices', deviceId);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not found'
+      });
+    }
+    
+    const permissions = await listDevicePermissions(deviceId);
+    
+    res.json({
+      success: true,
+      data: permissions.map(permission => ({
+        id: permission.id,
+        userId: permission.user_id,
+        userName: permission.user_name,
+        userEmail: permission.user_email,
+        accessLevel: permission.access_level,
+        validFrom: permission.valid_from,
+        validUntil: permission.valid_until,
+        scheduleDays: permission.schedule_days,
+        scheduleStart: permission.schedule_start,
+        scheduleEnd: permission.schedule_end,
+        accessWindow: describeAccessWindow(permission),
+        isWithinWindow: isWithinAccessWindow(permission),
+        grantedBy: permission.granted_by_name,
+        grantedAt: permission.granted_at,
+        updatedAt: permission.updated_at
+      }))
+    });
+  } catch (error) {
+    routeLogger.error('Get device permissions error', {
+      deviceId: req.params.id,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch device permissions',
+      message: error.message
+    });
+  }
+});
+
+/* POST grant device permission */
+router.post('/:id/permissions', requireAdminAPI, async (req, res, next) => {
+  try {
+    const deviceId = parseInt(req.params.id);
+    const userId = parseInt(req.body.user_id);
+    const { access_level } = req.body;
+    
+    if (isNaN(deviceId) || isNaN(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid device ID and user ID are required'
+      });
+    }
+    
+    if (!ACCESS_LEVELS.includes(access_level)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid access level. Must be one of: ${ACCESS_LEVELS.join(', ')}`
+      });
+    }
+    
+    const { window, error: windowError } = parseAccessWindow(req.body);
+    if (windowError) {
+      return res.status(400).json({
+        success: false,
+        error: windowError
+      });
+    }
+    
+    const [device, user] = await Promise.all([
+      db.findById('devices', deviceId),
+      db.findById('users', userId)
+    ]);
+    
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not found'
+      });
+    }
+    
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+    
+    const permission = await grantDevicePermission({
+      userId,
+      deviceId,
+      accessLevel: access_level,
+      grantedBy: req.session.user.id,
+      window
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: `Granted ${access_level} access on ${device.name} to ${user.name}`,
+      data: {
+        id: permission.id,
+        userId: permission.user_id,
+        deviceId: permission.device_id,
+        accessLevel: permission.access_level,
+        validFrom: permission.valid_from,
+        validUntil: permission.valid_until,
+        accessWindow: describeAccessWindow(permission),
+        grantedAt: permission.granted_at
+      }
+    });
+  } catch (error) {
+    routeLogger.error('Grant device permission error', {
+      deviceId: req.params.id,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to grant device permission',
+      message: error.message
+    });
+  }
+});
+
+/* DELETE revoke device permission */
+router.delete('/:id/permissions/:userId', requireAdminAPI, async (req, res, next) => {
+  try {
+    const deviceId = parseInt(req.params.id);
+    const userId = parseInt(req.params.userId);
+    
+    if (isNaN(deviceId) || isNaN(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid device ID or user ID'
+      });
+    }
+    
+    const revoked = await revokeDevicePermission(userId, deviceId);
+    
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: 'Permission not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Device permission revoked successfully'
+    });
+  } catch (error) {
+    routeLogger.error('Revoke device permission error', {
+      deviceId: req.params.id,
+      userId: req.params.userId,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke device permission',
+      message: error.message
+    });
+  }
+});
+
+/* GET device allowed networks */
+router.get('/:id/allowed-networks', requireAdminAPI, async (req, res, next) => {
+  try {
+    const deviceId = parseInt(req.params.id);
+    
+    if (isNaN(deviceId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid device ID'
+      });
+    }
+    
+    const device = await db.findById('devices', deviceId);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not found'
+      });
+    }
+    
+    const networks = await listDeviceAllowedNetworks(deviceId);
+    
+    res.json({
+      success: true,
+      data: networks.map(formatAllowedNetwork)
+    });
+  } catch (error) {
+    routeLogger.error('Get device allowed networks error', {
+      deviceId: req.params.id,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch device allowed networks',
+      message: error.message
+    });
+  }
+});
+
+/* POST add device allowed network */
+router.post('/:id/allowed-networks', requireAdminAPI, async (req, res, next) => {
+  try {
+    const deviceId = parseInt(req.params.id);
+    
+    if (isNaN(deviceId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid device ID'
+      });
+    }
+    
+    const device = await db.findById('devices', deviceId);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not found'
+      });
+    }
+    
+    const network = await addDeviceAllowedNetwork({
+      deviceId,
+      network: req.body.network,
+      description: req.body.description,
+      createdBy: req.session.user.id
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: `${device.name} now accepts connections from ${network.network}`,
+      data: formatAllowedNetwork({ ...network, created_by_name: req.session.user.name })
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    routeLogger.error('Add device allowed network error', {
+      deviceId: req.params.id,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add device allowed network',
+      message: error.message
+    });
+  }
+});
+
+/* DELETE remove device allowed network */
+router.delete('/:id/allowed-networks/:networkId', requireAdminAPI, async (req, res, next) => {
+  try {
+    const deviceId = parseInt(req.params.id);
+    const networkId = parseInt(req.params.networkId);
+    
+    if (isNaN(deviceId) || isNaN(networkId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid device ID or network ID'
+      });
+    }
+    
+    const removed = await removeDeviceAllowedNetwork(deviceId, networkId);
+    
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Allowed network not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Allowed network removed successfully'
+    });
+  } catch (error) {
+    routeLogger.error('Remove device allowed network error', {
+      deviceId: req.params.id,
+      networkId: req.params.networkId,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove device allowed network',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
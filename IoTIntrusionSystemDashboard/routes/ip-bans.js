@@ -0,0 +1,136 @@
+var express = require('express');
+var router = express.Router();
+const { routeLogger } = require('../utils/logger');
+const { requireAdminAPI } = require('../middleware/auth');
+const { isIpOrCidr } = require('../utils/network');
+const {
+  BAN_STATUSES,
+  createIpBan,
+  liftIpBan,
+  listIpBans,
+  formatIpBan
+} = require('../utils/ipBans');
+
+/* GET IP bans listing */
+router.get('/', requireAdminAPI, async (req, res, next) => {
+  try {
+    const { status = 'active', ip_address, limit = 50, offset = 0 } = req.query;
+
+    if (status !== 'all' && !BAN_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status. Must be one of: all, ${BAN_STATUSES.join(', ')}`
+      });
+    }
+
+    if (ip_address && !isIpOrCidr(ip_address)) {
+      return res.status(400).json({
+        success: false,
+        error: 'ip_address must be an IP address or CIDR block'
+      });
+    }
+
+    const bans = await listIpBans({
+      status: status === 'all' ? null : status,
+      ipAddress: ip_address,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      data: bans.map(formatIpBan)
+    });
+  } catch (error) {
+    routeLogger.error('Get IP bans error', {
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch IP bans',
+      message: error.message
+    });
+  }
+});
+
+/* POST ban an IP address */
+router.post('/', requireAdminAPI, async (req, res, next) => {
+  try {
+    const { ip_address, reason, duration_minutes } = req.body;
+
+    const durationMinutes = duration_minutes === undefined || duration_minutes === '' || duration_minutes === null
+      ? null
+      : parseInt(duration_minutes);
+
+    const ban = await createIpBan({
+      ipAddress: ip_address,
+      reason,
+      durationMinutes,
+      createdBy: req.session.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${ban.ip_address} banned`,
+      data: formatIpBan({ ...ban, created_by_name: req.session.user.name })
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    routeLogger.error('Create IP ban error', {
+      ipAddress: req.body.ip_address,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to ban IP address',
+      message: error.message
+    });
+  }
+});
+
+/* POST lift IP ban */
+router.post('/:id/lift', requireAdminAPI, async (req, res, next) => {
+  try {
+    const banId = parseInt(req.params.id);
+
+    if (isNaN(banId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid IP ban ID'
+      });
+    }
+
+    const ban = await liftIpBan(banId, req.session.user.id, req.body.reason);
+
+    res.json({
+      success: true,
+      message: `Ban on ${ban.ip_address} lifted`,
+      data: formatIpBan({ ...ban, lifted_by_name: req.session.user.name })
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    routeLogger.error('Lift IP ban error', {
+      banId: req.params.id,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to lift IP ban',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,99 @@
+var express = require('express');
+var router = express.Router();
+const { routeLogger } = require('../utils/logger');
+const { requireAdminAPI } = require('../middleware/auth');
+const {
+  listNotifications,
+  countUnreadNotifications,
+  markNotificationsRead,
+  formatNotification
+} = require('../utils/notifications');
+
+/* GET admin notifications */
+router.get('/', requireAdminAPI, async (req, res, next) => {
+  try {
+    const unreadOnly = req.query.unread === 'true';
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const [notifications, unreadCount] = await Promise.all([
+      listNotifications({ unreadOnly, limit }),
+      countUnreadNotifications()
+    ]);
+
+    res.json({
+      success: true,
+      data: notifications.map(formatNotification),
+      unreadCount
+    });
+  } catch (error) {
+    routeLogger.error('Get notifications error', {
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch notifications',
+      message: error.message
+    });
+  }
+});
+
+/* POST mark a notification read */
+router.post('/:id/read', requireAdminAPI, async (req, res, next) => {
+  try {
+    const notificationId = parseInt(req.params.id);
+
+    if (isNaN(notificationId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid notification ID'
+      });
+    }
+
+    const marked = await markNotificationsRead(req.session.user.id, notificationId);
+    if (marked === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unread notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification marked read'
+    });
+  } catch (error) {
+    routeLogger.error('Mark notification read error', {
+      notificationId: req.params.id,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark notification read',
+      message: error.message
+    });
+  }
+});
+
+/* POST mark all notifications read */
+router.post('/read-all', requireAdminAPI, async (req, res, next) => {
+  try {
+    const marked = await markNotificationsRead(req.session.user.id);
+
+    res.json({
+      success: true,
+      message: `${marked} notification(s) marked read`,
+      data: { marked }
+    });
+  } catch (error) {
+    routeLogger.error('Mark all notifications read error', {
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark notifications read',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
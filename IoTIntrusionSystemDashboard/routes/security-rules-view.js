@@ -0,0 +1,199 @@
+var express = require('express');
+var router = express.Router();
+const { routeLogger } = require('../utils/logger');
+const { requireAdmin } = require('../middleware/auth');
+const {
+  RULE_TYPES,
+  EVENT_TYPES,
+  ACTION_TYPES,
+  ALERT_SEVERITIES,
+  DEVICE_STATUSES,
+  OPERATORS,
+  THRESHOLD_GROUP_BY,
+  THRESHOLD_AGGREGATES,
+  THRESHOLD_OPERATORS,
+  ruleEventTypes
+} = require('../utils/rulesEngine');
+const { listSecurityRules, getSecurityRule, formatSecurityRule } = require('../utils/securityRules');
+const { listRuleVersions, formatRuleVersion } = require('../utils/ruleVersions');
+const { MAX_BACKTEST_DAYS, MAX_BACKTEST_EVENTS } = require('../utils/ruleBacktest');
+
+// Choices the editor script builds its inputs from
+const EDITOR_SCHEMA = JSON.stringify({
+  eventTypes: EVENT_TYPES,
+  actionTypes: ACTION_TYPES,
+  severities: ALERT_SEVERITIES,
+  deviceStatuses: DEVICE_STATUSES,
+  operators: OPERATORS,
+  thresholdGroupBy: THRESHOLD_GROUP_BY,
+  thresholdAggregates: THRESHOLD_AGGREGATES,
+  thresholdOperators: THRESHOLD_OPERATORS
+});
+
+// Helper function to describe a threshold for the rules list, e.g. 'count > 20 in 300s per sourceIp'
+function describeThreshold(threshold) {
+  if (!threshold || typeof threshold !== 'object') {
+    return null;
+  }
+  const measure = threshold.aggregate === 'distinct_count' ? `distinct ${threshold.field}` : threshold.aggregate;
+  const operator = threshold.operator === 'gte' ? '>=' : '>';
+  return `${measure} ${operator} ${threshold.value} in ${threshold.windowSeconds}s per ${threshold.groupBy}`;
+}
+
+// Helper function to describe a sequence for the rules list, e.g. '3-stage sequence within 600s per sourceIp'
+function describeSequence(sequence) {
+  if (!sequence || typeof sequence !== 'object' || !Array.isArray(sequence.stages)) {
+    return null;
+  }
+  return `${sequence.stages.length}-stage sequence within ${sequence.withinSeconds}s per ${sequence.joinOn}`;
+}
+
+// Badge colour for each kind of change in a rule's history
+const CHANGE_BADGES = {
+  created: 'success',
+  updated: 'primary',
+  restored: 'info',
+  deleted: 'danger'
+};
+
+// Helper function to show a value from a version diff, e.g. '"brute_force"' or '20'
+function describeDiffValue(value) {
+  return value === undefined ? '' : JSON.stringify(value);
+}
+
+// Helper function to render the rule editor for a new or existing rule
+function renderEditor(res, rule) {
+  res.render('rules/edit', {
+    title: `${rule ? 'Edit' : 'New'} Security Rule - IoT Intrusion System`,
+    pageTitle: rule ? `Edit Rule: ${rule.ruleName}` : 'New Security Rule',
+    rule: rule,
+    ruleTypes: RULE_TYPES.map(type => ({ value: type, selected: rule ? rule.ruleType === type : type === 'intrusion_detection' })),
+    ruleJson: JSON.stringify(rule ? { conditions: rule.conditions, actions: rule.actions } : null),
+    schemaJson: EDITOR_SCHEMA,
+    maxBacktestDays: MAX_BACKTEST_DAYS,
+    maxBacktestEvents: MAX_BACKTEST_EVENTS
+  });
+}
+
+/* GET security rules page */
+router.get('/', requireAdmin, async (req, res, next) => {
+  try {
+    const rules = await listSecurityRules();
+
+    res.render('rules/index', {
+      title: 'Security Rules - IoT Intrusion System',
+      pageTitle: 'Security Rules',
+      rules: rules.map((row, index) => {
+        const rule = formatSecurityRule(row);
+        return {
+          ...rule,
+          events: ruleEventTypes(rule.conditions),
+          threshold: describeThreshold(rule.conditions && rule.conditions.threshold),
+          sequence: describeSequence(rule.conditions && rule.conditions.sequence),
+          actionTypes: Array.isArray(rule.actions) ? rule.actions.map(action => action.type) : [],
+          lastTriggeredAt: rule.lastTriggeredAt ? new Date(rule.lastTriggeredAt).toLocaleString() : null,
+          isFirst: index === 0,
+          isLast: index === rules.length - 1
+        };
+      }),
+      ruleOrderJson: JSON.stringify(rules.map(rule => rule.id))
+    });
+  } catch (error) {
+    routeLogger.error('Get security rules view error', {
+      error: error.message
+    });
+    res.status(500).render('error', {
+      title: 'Security Rules Error',
+      message: 'An error occurred while loading security rules.',
+      error: { status: 500 }
+    });
+  }
+});
+
+/* GET new security rule page */
+router.get('/new', requireAdmin, (req, res, next) => {
+  renderEditor(res, null);
+});
+
+/* GET edit security rule page */
+router.get('/:id/edit', requireAdmin, async (req, res, next) => {
+  try {
+    const ruleId = parseInt(req.params.id);
+    const rule = isNaN(ruleId) ? null : await getSecurityRule(ruleId);
+
+    if (!rule) {
+      return res.status(404).render('error', {
+        title: 'Security Rule Not Found',
+        message: 'The requested security rule was not found.',
+        error: { status: 404 }
+      });
+    }
+
+    renderEditor(res, formatSecurityRule(rule));
+  } catch (error) {
+    routeLogger.error('Get security rule editor error', {
+      ruleId: req.params.id,
+      error: error.message
+    });
+    res.status(500).render('error', {
+      title: 'Security Rule Error',
+      message: 'An error occurred while loading the security rule.',
+      error: { status: 500 }
+    });
+  }
+});
+
+/* GET security rule history page */
+router.get('/:id/history', requireAdmin, async (req, res, next) => {
+  try {
+    const ruleId = parseInt(req.params.id);
+    const versions = isNaN(ruleId) ? [] : await listRuleVersions(ruleId);
+
+    if (versions.length === 0) {
+      return res.status(404).render('error', {
+        title: 'Security Rule Not Found',
+        message: 'The requested security rule was not found.',
+        error: { status: 404 }
+      });
+    }
+
+    // A deleted rule's history can still be read, but not restored
+    const row = await getSecurityRule(ruleId);
+    const rule = row ? formatSecurityRule(row) : null;
+
+    res.render('rules/history', {
+      title: 'Security Rule History - IoT Intrusion System',
+      pageTitle: `Rule History: ${rule ? rule.ruleName : versions[0].rule_name}`,
+      rule: rule,
+      versions: versions.map(row => {
+        const version = formatRuleVersion(row);
+        return {
+          ...version,
+          changeBadge: CHANGE_BADGES[version.changeType] || 'secondary',
+          changedAt: new Date(version.changedAt).toLocaleString(),
+          changes: (version.diff || []).map(change => ({
+            path: change.path,
+            change: change.change,
+            before: describeDiffValue(change.before),
+            after: describeDiffValue(change.after)
+          })),
+          definition: JSON.stringify({ conditions: version.conditions, actions: version.actions }, null, 2),
+          isCurrent: !!rule && version.version === rule.version,
+          canRestore: !!rule && version.version !== rule.version && version.changeType !== 'deleted'
+        };
+      })
+    });
+  } catch (error) {
+    routeLogger.error('Get security rule history error', {
+      ruleId: req.params.id,
+      error: error.message
+    });
+    res.status(500).render('error', {
+      title: 'Security Rule Error',
+      message: 'An error occurred while loading the security rule history.',
+      error: { status: 500 }
+    });
+  }
+});
+
+module.exports = router;
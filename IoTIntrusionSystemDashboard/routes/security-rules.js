@@ -0,0 +1,493 @@
+var express = require('express');
+var router = express.Router();
+const { routeLogger } = require('../utils/logger');
+const { requireAdminAPI } = require('../middleware/auth');
+const { RULE_TYPES } = require('../utils/rulesEngine');
+const {
+  parseSecurityRule,
+  listSecurityRules,
+  getSecurityRule,
+  createSecurityRule,
+  updateSecurityRule,
+  deleteSecurityRule,
+  reorderSecurityRules,
+  restoreSecurityRuleVersion,
+  formatSecurityRule
+} = require('../utils/securityRules');
+const { listRuleVersions, getRuleVersion, formatRuleVersion } = require('../utils/ruleVersions');
+const { parseBacktestRange, backtestRule } = require('../utils/ruleBacktest');
+
+// Helper function to send a service error, with field-level errors when there are any
+function sendServiceError(res, error) {
+  res.status(error.status).json({
+    success: false,
+    error: error.message,
+    errors: error.fieldErrors
+  });
+}
+
+/* GET security rules listing */
+router.get('/', requireAdminAPI, async (req, res, next) => {
+  try {
+    const { rule_type, is_active } = req.query;
+
+    if (rule_type && !RULE_TYPES.includes(rule_type)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid rule_type. Must be one of: ${RULE_TYPES.join(', ')}`
+      });
+    }
+
+    const rules = await listSecurityRules({
+      ruleType: rule_type,
+      isActive: is_active === undefined ? null : is_active === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: rules.map(formatSecurityRule)
+    });
+  } catch (error) {
+    routeLogger.error('Get security rules error', {
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch security rules',
+      message: error.message
+    });
+  }
+});
+
+/* PUT reorder security rules */
+router.put('/order', requireAdminAPI, async (req, res, next) => {
+  try {
+    const rules = await reorderSecurityRules(req.body.rule_ids, req.session.user.id);
+
+    res.json({
+      success: true,
+      message: 'Security rules reordered',
+      data: rules.map(formatSecurityRule)
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendServiceError(res, error);
+    }
+
+    routeLogger.error('Reorder security rules error', {
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reorder security rules',
+      message: error.message
+    });
+  }
+});
+
+/* GET security rule by ID */
+router.get('/:id', requireAdminAPI, async (req, res, next) => {
+  try {
+    const ruleId = parseInt(req.params.id);
+
+    if (isNaN(ruleId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid security rule ID'
+      });
+    }
+
+    const rule = await getSecurityRule(ruleId);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Security rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatSecurityRule(rule)
+    });
+  } catch (error) {
+    routeLogger.error('Get security rule error', {
+      ruleId: req.params.id,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch security rule',
+      message: error.message
+    });
+  }
+});
+
+/* GET security rule version history */
+router.get('/:id/versions', requireAdminAPI, async (req, res, next) => {
+  try {
+    const ruleId = parseInt(req.params.id);
+
+    if (isNaN(ruleId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid security rule ID'
+      });
+    }
+
+    // The history of a deleted rule is still returned
+    const versions = await listRuleVersions(ruleId);
+    if (versions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Security rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: versions.map(formatRuleVersion)
+    });
+  } catch (error) {
+    routeLogger.error('Get security rule versions error', {
+      ruleId: req.params.id,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch security rule versions',
+      message: error.message
+    });
+  }
+});
+
+/* GET security rule version */
+router.get('/:id/versions/:version', requireAdminAPI, async (req, res, next) => {
+  try {
+    const ruleId = parseInt(req.params.id);
+    const version = parseInt(req.params.version);
+
+    if (isNaN(ruleId) || isNaN(version)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid security rule ID or version'
+      });
+    }
+
+    const row = await getRuleVersion(ruleId, version);
+    if (!row) {
+      return res.status(404).json({
+        success: false,
+        error: 'Security rule version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatRuleVersion(row)
+    });
+  } catch (error) {
+    routeLogger.error('Get security rule version error', {
+      ruleId: req.params.id,
+      version: req.params.version,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch security rule version',
+      message: error.message
+    });
+  }
+});
+
+/* POST restore security rule version */
+router.post('/:id/versions/:version/restore', requireAdminAPI, async (req, res, next) => {
+  try {
+    const ruleId = parseInt(req.params.id);
+    const version = parseInt(req.params.version);
+
+    if (isNaN(ruleId) || isNaN(version)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid security rule ID or version'
+      });
+    }
+
+    const restored = await restoreSecurityRuleVersion(ruleId, version, req.session.user.id);
+
+    res.json({
+      success: true,
+      message: `Security rule '${restored.rule_name}' restored to version ${version}`,
+      data: formatSecurityRule(restored)
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendServiceError(res, error);
+    }
+
+    routeLogger.error('Restore security rule version error', {
+      ruleId: req.params.id,
+      version: req.params.version,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore security rule version',
+      message: error.message
+    });
+  }
+});
+
+/* POST create security rule */
+router.post('/', requireAdminAPI, async (req, res, next) => {
+  try {
+    const { rule, errors } = parseSecurityRule(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Security rule is invalid',
+        errors: errors
+      });
+    }
+
+    const created = await createSecurityRule(rule, req.session.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: `Security rule '${created.rule_name}' created`,
+      data: formatSecurityRule({ ...created, created_by_name: req.session.user.name })
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendServiceError(res, error);
+    }
+
+    routeLogger.error('Create security rule error', {
+      ruleName: req.body.rule_name,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create security rule',
+      message: error.message
+    });
+  }
+});
+
+/* POST test an unsaved security rule against historical events */
+router.post('/test', requireAdminAPI, async (req, res, next) => {
+  try {
+    // Only the conditions and actions are needed to test a rule, so the name and type may still be blank
+    const { rule, errors } = parseSecurityRule(req.body, { partial: true });
+    if (req.body.conditions === undefined || req.body.conditions === null) {
+      errors.push({ field: 'conditions', message: 'Conditions are required' });
+    }
+    if (req.body.actions === undefined || req.body.actions === null) {
+      errors.push({ field: 'actions', message: 'Actions are required' });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Security rule is invalid',
+        errors: errors
+      });
+    }
+
+    const { range, error: rangeError } = parseBacktestRange(req.body);
+    if (rangeError) {
+      return res.status(400).json({
+        success: false,
+        error: rangeError
+      });
+    }
+
+    const report = await backtestRule(rule, range);
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendServiceError(res, error);
+    }
+
+    routeLogger.error('Test security rule error', {
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to test security rule',
+      message: error.message
+    });
+  }
+});
+
+/* POST test a saved security rule against historical events */
+router.post('/:id/test', requireAdminAPI, async (req, res, next) => {
+  try {
+    const ruleId = parseInt(req.params.id);
+
+    if (isNaN(ruleId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid security rule ID'
+      });
+    }
+
+    const { range, error: rangeError } = parseBacktestRange(req.body);
+    if (rangeError) {
+      return res.status(400).json({
+        success: false,
+        error: rangeError
+      });
+    }
+
+    const rule = await getSecurityRule(ruleId);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Security rule not found'
+      });
+    }
+
+    const report = await backtestRule(rule, range);
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendServiceError(res, error);
+    }
+
+    routeLogger.error('Test security rule error', {
+      ruleId: req.params.id,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to test security rule',
+      message: error.message
+    });
+  }
+});
+
+/* PUT update security rule */
+router.put('/:id', requireAdminAPI, async (req, res, next) => {
+  try {
+    const ruleId = parseInt(req.params.id);
+
+    if (isNaN(ruleId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid security rule ID'
+      });
+    }
+
+    const { rule, errors } = parseSecurityRule(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Security rule is invalid',
+        errors: errors
+      });
+    }
+
+    const updated = await updateSecurityRule(ruleId, rule, req.session.user.id);
+
+    res.json({
+      success: true,
+      message: `Security rule '${updated.rule_name}' updated`,
+      data: formatSecurityRule(updated)
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendServiceError(res, error);
+    }
+
+    routeLogger.error('Update security rule error', {
+      ruleId: req.params.id,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update security rule',
+      message: error.message
+    });
+  }
+});
+
+/* POST enable or disable security rule */
+router.post('/:id/:action(enable|disable)', requireAdminAPI, async (req, res, next) => {
+  try {
+    const ruleId = parseInt(req.params.id);
+
+    if (isNaN(ruleId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid security rule ID'
+      });
+    }
+
+    const updated = await updateSecurityRule(ruleId, { is_active: req.params.action === 'enable' }, req.session.user.id);
+
+    res.json({
+      success: true,
+      message: `Security rule '${updated.rule_name}' ${req.params.action}d`,
+      data: formatSecurityRule(updated)
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendServiceError(res, error);
+    }
+
+    routeLogger.error('Toggle security rule error', {
+      ruleId: req.params.id,
+      action: req.params.action,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: `Failed to ${req.params.action} security rule`,
+      message: error.message
+    });
+  }
+});
+
+/* DELETE security rule */
+router.delete('/:id', requireAdminAPI, async (req, res, next) => {
+  try {
+    const ruleId = parseInt(req.params.id);
+
+    if (isNaN(ruleId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid security rule ID'
+      });
+    }
+
+    await deleteSecurityRule(ruleId, req.session.user.id);
+
+    res.json({
+      success: true,
+      message: 'Security rule deleted'
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendServiceError(res, error);
+    }
+
+    routeLogger.error('Delete security rule error', {
+      ruleId: req.params.id,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete security rule',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -4,7 +4,9 @@ const bcrypt = require('bcrypt');
 const db = require('../config/database');
 const config = require('../config/env');
 const { routeLogger } = require('../utils/logger');
-const { requireAuthAPI, requireAdminAPI } = require('../middleware/auth');
+const { requireAuthAPI, requireAdmin, requireAdminAPI } = require('../middleware/auth');
+const { listDeviceConnections, formatDeviceConnection } = require('../utils/deviceConnections');
+const { recordUserActivity, getUserActivityTimeline } = require('../utils/userActivity');
 
 /* GET users listing */
 router.get('/', requireAdminAPI, async (req, res, next) => {
@@ -167,6 +169,11 @@ router.post('/settings', requireAuth, async (req, res, next) => {
       });
     }
     
+    // Work out which fields changed for the activity timeline
+    const changedFields = [];
+    if (name !== req.session.user.name) changedFields.push('name');
+    if (email !== req.session.user.email) changedFields.push('email');
+    
     // Update user
     await db.query(
       'UPDATE users SET name = $1, email = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
@@ -178,6 +185,13 @@ router.post('/settings', requireAuth, async (req, res, next) => {
     req.session.user.email = email;
     
     routeLogger.info('User settings updated', { userId: userId });
+    if (changedFields.length > 0) {
+      await recordUserActivity(userId, 'settings_change', {
+        sourceIp: req.ip,
+        userAgent: req.get('User-Agent'),
+        details: { fields: changedFields }
+      });
+    }
     
     res.render('users/settings', {
       title: 'User Settings - IoT Intrusion System',
@@ -202,6 +216,139 @@ router.post('/settings', requireAuth, async (req, res, next) => {
   }
 });
 
+/* GET user list page */
+router.get('/list', requireAdmin, async (req, res, next) => {
+  try {
+    const users = await db.query(
+      `SELECT id, name, email, role, is_active, created_at, last_login 
+       FROM users 
+       ORDER BY name ASC`
+    );
+    
+    res.render('users/list', {
+      title: 'Users - IoT Intrusion System',
+      pageTitle: 'Users',
+      users: users.rows.map(user => ({
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        isActive: user.is_active,
+        createdAt: new Date(user.created_at).toLocaleDateString(),
+        lastLogin: user.last_login ? new Date(user.last_login).toLocaleString() : 'Never'
+      }))
+    });
+  } catch (error) {
+    routeLogger.error('Get user list page error', {
+      error: error.message
+    });
+    res.status(500).render('error', {
+      title: 'Users Error',
+      message: 'An error occurred while loading users.',
+      error: { status: 500 }
+    });
+  }
+});
+
+/* GET user activity timeline page */
+router.get('/:id/timeline', requireAdmin, async (req, res, next) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const limit = 50;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    
+    if (isNaN(userId)) {
+      return res.status(400).render('error', {
+        title: 'Invalid User ID',
+        message: 'The user ID provided is not valid.',
+        error: { status: 400 }
+      });
+    }
+    
+    const user = await db.findById('users', userId);
+    if (!user) {
+      return res.status(404).render('error', {
+        title: 'User Not Found',
+        message: 'The requested user could not be found.',
+        error: { status: 404 }
+      });
+    }
+    
+    const activity = await getUserActivityTimeline(userId, { limit, offset: (page - 1) * limit });
+    
+    res.render('users/timeline', {
+      title: `${user.name} Activity - IoT Intrusion System`,
+      pageTitle: `Activity: ${user.name}`,
+      timelineUser: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      },
+      events: activity.events,
+      page: page,
+      previousPage: page > 1 ? page - 1 : null,
+      nextPage: activity.hasMore ? page + 1 : null
+    });
+  } catch (error) {
+    routeLogger.error('Get user timeline page error', {
+      userId: req.params.id,
+      error: error.message
+    });
+    res.status(500).render('error', {
+      title: 'Activity Error',
+      message: 'An error occurred while loading the activity timeline.',
+      error: { status: 500 }
+    });
+  }
+});
+
+/* GET user activity timeline */
+router.get('/:id/activity', requireAdminAPI, async (req, res, next) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+    
+    const user = await db.findById('users', userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+    
+    const activity = await getUserActivityTimeline(userId, { limit, offset });
+    
+    res.json({
+      success: true,
+      data: activity.events,
+      pagination: {
+        limit: activity.limit,
+        offset: activity.offset,
+        hasMore: activity.hasMore
+      }
+    });
+  } catch (error) {
+    routeLogger.error('Get user activity error', {
+      userId: req.params.id,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch user activity',
+      message: error.message
+    });
+  }
+});
+
 /* GET user by ID */
 router.get('/:id', async (req, res, next) => {
   try {
@@ -252,6 +399,50 @@ router.get('/:id', async (req, res, next) => {
   }
 });
 
+/* GET user's device connection history */
+router.get('/:id/connections', requireAdminAPI, async (req, res, next) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const { limit = 50, offset = 0 } = req.query;
+    
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+    
+    const user = await db.findById('users', userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+    
+    const connections = await listDeviceConnections({
+      userId,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+    
+    res.json({
+      success: true,
+      data: connections.map(formatDeviceConnection)
+    });
+  } catch (error) {
+    routeLogger.error('Get user connections error', {
+      userId: req.params.id,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch user connections',
+      message: error.message
+    });
+  }
+});
+
 /* POST create new user */
 router.post('/', async (req, res, next) => {
   try {
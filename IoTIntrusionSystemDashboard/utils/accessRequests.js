@@ -0,0 +1,236 @@
+/**
+ * Device Access Request Workflow
+ * Users request access to a device with a justification; admins approve or deny
+ */
+
+const createError = require('http-errors');
+const db = require('../config/database');
+const { routeLogger } = require('./logger');
+const { ACCESS_LEVELS, grantDevicePermission } = require('./devicePermissions');
+
+const REQUEST_STATUSES = ['pending', 'approved', 'denied'];
+
+/**
+ * Submit a new access request
+ * @param {Object} request - { userId, deviceId, accessLevel, justification, sourceIp }
+ * @returns {Promise<Object>} Created request row
+ * @throws {HttpError} 400 on invalid input, 404 if device is missing, 409 if a request is already pending
+ */
+async function createAccessRequest({ userId, deviceId, accessLevel = 'connect', justification, sourceIp }) {
+  if (!justification || justification.trim().length < 10) {
+    throw createError(400, 'Please provide a justification of at least 10 characters');
+  }
+
+  if (!ACCESS_LEVELS.includes(accessLevel)) {
+    throw createError(400, `Invalid access level. Must be one of: ${ACCESS_LEVELS.join(', ')}`);
+  }
+
+  const device = await db.findById('devices', deviceId);
+  if (!device) {
+    throw createError(404, 'Device not found');
+  }
+
+  try {
+    const request = await db.insert('device_access_requests', {
+      user_id: userId,
+      device_id: deviceId,
+      access_level: accessLevel,
+      justification: justification.trim(),
+      source_ip: sourceIp,
+      status: 'pending'
+    });
+
+    routeLogger.info('Device access requested', {
+      requestId: request.id,
+      userId,
+      deviceId,
+      accessLevel
+    });
+    return request;
+  } catch (error) {
+    if (error.code === '23505') { // Unique violation on the pending index
+      throw createError(409, 'You already have a pending access request for this device');
+    }
+    throw error;
+  }
+}
+
+/**
+ * List access requests with optional filters
+ * @param {Object} filters - { status, userId, limit, offset }
+ * @returns {Promise<Array>} Request rows joined with user, device and reviewer names
+ */
+async function listAccessRequests({ status, userId, limit = 50, offset = 0 } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (status) {
+    params.push(status);
+    conditions.push(`ar.status = $${params.length}`);
+  }
+  if (userId) {
+    params.push(userId);
+    conditions.push(`ar.user_id = $${params.length}`);
+  }
+
+  const whereClause = conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '';
+  params.push(limit, offset);
+
+  const result = await db.query(`
+    SELECT ar.*, u.name as user_name, u.email as user_email,
+           d.name as device_name, d.device_type,
+           r.name as reviewed_by_name
+    FROM device_access_requests ar
+    JOIN users u ON ar.user_id = u.id
+    JOIN devices d ON ar.device_id = d.id
+    LEFT JOIN users r ON ar.reviewed_by = r.id
+    ${whereClause}
+    ORDER BY ar.requested_at DESC
+    LIMIT $${params.length - 1} OFFSET $${params.length}
+  `, params);
+  return result.rows;
+}
+
+/**
+ * Lock a pending request for review inside a transaction
+ * @param {Object} client - Transaction client
+ * @param {number} requestId - Request ID
+ * @returns {Promise<Object>} Request row
+ * @throws {HttpError} 404 if missing, 409 if already reviewed
+ */
+async function lockPendingRequest(client, requestId) {
+  const result = await client.query(
+    'SELECT * FROM device_access_requests WHERE id = $1 FOR UPDATE',
+    [requestId]
+  );
+  const request = result.rows[0];
+
+  if (!request) {
+    throw createError(404, 'Access request not found');
+  }
+  if (request.status !== 'pending') {
+    throw createError(409, `Access request has already been ${request.status}`);
+  }
+  return request;
+}
+
+/**
+ * Approve a pending request and create the matching device permission
+ * @param {number} requestId - Request ID
+ * @param {number} reviewerId - Approving admin's user ID
+ * @param {Object} options - { durationMinutes, accessLevel, note } - durationMinutes null = permanent
+ * @returns {Promise<Object>} { request, permission }
+ * @throws {HttpError} 400 on invalid input, 404/409 if the request cannot be approved
+ */
+async function approveAccessRequest(requestId, reviewerId, { durationMinutes = null, accessLevel, note } = {}) {
+  if (durationMinutes !== null && (isNaN(durationMinutes) || durationMinutes <= 0)) {
+    throw createError(400, 'Duration must be a positive number of minutes');
+  }
+  if (accessLevel && !ACCESS_LEVELS.includes(accessLevel)) {
+    throw createError(400, `Invalid access level. Must be one of: ${ACCESS_LEVELS.join(', ')}`);
+  }
+
+  const outcome = await db.transaction(async (client) => {
+    const request = await lockPendingRequest(client, requestId);
+    const now = new Date();
+
+    const permission = await grantDevicePermission({
+      userId: request.user_id,
+      deviceId: request.device_id,
+      accessLevel: accessLevel || request.access_level,
+      grantedBy: reviewerId,
+      window: durationMinutes
+        ? { validFrom: now, validUntil: new Date(now.getTime() + durationMinutes * 60000) }
+        : {}
+    }, client);
+
+    const updated = await client.query(`
+      UPDATE device_access_requests
+      SET status = 'approved', reviewed_by = $1, reviewed_at = $2, review_reason = $3,
+          approved_duration_minutes = $4, permission_id = $5, access_level = $6
+      WHERE id = $7
+      RETURNING *
+    `, [reviewerId, now, note || null, durationMinutes, permission.id, permission.access_level, requestId]);
+
+    return { request: updated.rows[0], permission };
+  });
+
+  routeLogger.info('Device access request approved', {
+    requestId,
+    reviewerId,
+    userId: outcome.request.user_id,
+    deviceId: outcome.request.device_id,
+    durationMinutes
+  });
+  return outcome;
+}
+
+/**
+ * Deny a pending request
+ * @param {number} requestId - Request ID
+ * @param {number} reviewerId - Reviewing admin's user ID
+ * @param {string} reason - Reason shown to the requester
+ * @returns {Promise<Object>} Updated request row
+ * @throws {HttpError} 400 without a reason, 404/409 if the request cannot be denied
+ */
+async function denyAccessRequest(requestId, reviewerId, reason) {
+  if (!reason || !reason.trim()) {
+    throw createError(400, 'A reason is required to deny an access request');
+  }
+
+  const request = await db.transaction(async (client) => {
+    await lockPendingRequest(client, requestId);
+
+    const updated = await client.query(`
+      UPDATE device_access_requests
+      SET status = 'denied', reviewed_by = $1, reviewed_at = CURRENT_TIMESTAMP, review_reason = $2
+      WHERE id = $3
+      RETURNING *
+    `, [reviewerId, reason.trim(), requestId]);
+
+    return updated.rows[0];
+  });
+
+  routeLogger.info('Device access request denied', {
+    requestId,
+    reviewerId,
+    userId: request.user_id,
+    deviceId: request.device_id
+  });
+  return request;
+}
+
+/**
+ * Shape a request row for JSON responses and views
+ * @param {Object} request - Request row from listAccessRequests
+ * @returns {Object} Formatted request
+ */
+function formatAccessRequest(request) {
+  return {
+    id: request.id,
+    userId: request.user_id,
+    userName: request.user_name,
+    userEmail: request.user_email,
+    deviceId: request.device_id,
+    deviceName: request.device_name,
+    deviceType: request.device_type,
+    accessLevel: request.access_level,
+    justification: request.justification,
+    status: request.status,
+    sourceIp: request.source_ip,
+    requestedAt: request.requested_at,
+    reviewedBy: request.reviewed_by_name || null,
+    reviewedAt: request.reviewed_at,
+    reviewReason: request.review_reason,
+    approvedDurationMinutes: request.approved_duration_minutes
+  };
+}
+
+module.exports = {
+  REQUEST_STATUSES,
+  createAccessRequest,
+  listAccessRequests,
+  approveAccessRequest,
+  denyAccessRequest,
+  formatAccessRequest
+};
@@ -0,0 +1,155 @@
+/**
+ * Security Alert Lifecycle
+ * The statuses an alert moves through, the moves allowed between them (BR-SA002) and who may
+ * take ownership of an alert
+ */
+
+const createError = require('http-errors');
+
+const ALERT_STATUSES = ['active', 'investigating', 'resolved', 'false_positive'];
+
+// Statuses that close an alert; a closed alert can only be reopened (BR-SA007)
+const CLOSED_STATUSES = ['resolved', 'false_positive'];
+
+// Allowed moves from each status
+const ALERT_TRANSITIONS = {
+  active: ['investigating', 'resolved', 'false_positive'],
+  investigating: ['active', 'resolved', 'false_positive'],
+  resolved: ['active', 'investigating'],
+  false_positive: ['active', 'investigating']
+};
+
+const STATUS_LABELS = {
+  active: 'Active',
+  investigating: 'Investigating',
+  resolved: 'Resolved',
+  false_positive: 'False Positive'
+};
+
+const MIN_FALSE_POSITIVE_JUSTIFICATION = 20;
+
+const ASSIGNMENT_ACTIONS = ['assign', 'reassign', 'unassign'];
+
+/**
+ * List the statuses an alert can move to from its current status
+ * @param {string} status - Current status
+ * @returns {Array<string>} Allowed target statuses
+ */
+function allowedAlertTransitions(status) {
+  return ALERT_TRANSITIONS[status] || [];
+}
+
+/**
+ * Whether an alert with this status is closed
+ * @param {string} status - Alert status
+ * @returns {boolean} True for resolved and false positive alerts
+ */
+function isAlertClosed(status) {
+  return CLOSED_STATUSES.includes(status);
+}
+
+/**
+ * Check that an alert may move to a new status
+ * @param {Object} alert - Alert row ({ status, severity })
+ * @param {string} toStatus - Requested status
+ * @param {Object} options - { note } - required as a justification when a critical alert is marked
+ *   a false positive (BR-VAL009)
+ * @returns {string|null} Trimmed note, or null if none was given
+ * @throws {HttpError} 400 for an unknown status or a missing justification, 409 if the alert
+ *   cannot move to the status from the one it is in
+ */
+function validateAlertTransition(alert, toStatus, { note } = {}) {
+  if (!ALERT_STATUSES.includes(toStatus)) {
+    throw createError(400, `Invalid status. Must be one of: ${ALERT_STATUSES.join(', ')}`);
+  }
+  if (alert.status === toStatus) {
+    throw createError(409, `Alert is already ${STATUS_LABELS[toStatus].toLowerCase()}`);
+  }
+  if (!allowedAlertTransitions(alert.status).includes(toStatus)) {
+    throw createError(409, isAlertClosed(alert.status)
+      ? `A ${STATUS_LABELS[alert.status].toLowerCase()} alert must be reopened before it can be marked ${STATUS_LABELS[toStatus].toLowerCase()}`
+      : `Alert cannot move from ${alert.status} to ${toStatus}`);
+  }
+
+  const trimmed = typeof note === 'string' && note.trim() ? note.trim() : null;
+  if (toStatus === 'false_positive' && alert.severity === 'critical'
+    && (!trimmed || trimmed.length < MIN_FALSE_POSITIVE_JUSTIFICATION)) {
+    throw createError(400, `Marking a critical alert as a false positive requires a justification of at least ${MIN_FALSE_POSITIVE_JUSTIFICATION} characters`);
+  }
+  return trimmed;
+}
+
+/**
+ * Check that a user may change who an alert is assigned to
+ * Anyone can pick up an unassigned alert; handing it to someone else, reassigning it or
+ * unassigning it is for the current assignee or an admin. Only open alerts have their
+ * assignment changed (BR-SA007).
+ * @param {Object} alert - Alert row ({ status, assigned_to })
+ * @param {string} action - 'assign', 'reassign' or 'unassign'
+ * @param {Object} actor - Signed-in user ({ id, role })
+ * @param {number|null} assigneeId - User to assign; 'assign' defaults to the actor
+ * @returns {number|null} New assignee's user ID, or null when unassigning
+ * @throws {HttpError} 400 for an unknown action or missing assignee, 403 if the actor may not make
+ *   the change, 409 if the alert is closed or its assignment does not allow the action
+ */
+function validateAssignmentChange(alert, action, actor, assigneeId = null) {
+  if (!ASSIGNMENT_ACTIONS.includes(action)) {
+    throw createError(400, `Invalid action. Must be one of: ${ASSIGNMENT_ACTIONS.join(', ')}`);
+  }
+  if (isAlertClosed(alert.status)) {
+    throw createError(409, `A ${STATUS_LABELS[alert.status].toLowerCase()} alert must be reopened before its assignment can change`);
+  }
+
+  const isAdmin = actor.role === 'admin';
+  const isAssignee = alert.assigned_to === actor.id;
+
+  switch (action) {
+    case 'assign': {
+      if (alert.assigned_to) {
+        throw createError(409, 'Alert is already assigned; reassign it instead');
+      }
+      const target = assigneeId || actor.id;
+      if (target !== actor.id && !isAdmin) {
+        throw createError(403, 'Only admins can assign alerts to other users');
+      }
+      return target;
+    }
+
+    case 'reassign':
+      if (!alert.assigned_to) {
+        throw createError(409, 'Alert is not assigned; assign it instead');
+      }
+      if (!assigneeId) {
+        throw createError(400, 'A user to reassign the alert to is required');
+      }
+      if (!isAdmin && !isAssignee) {
+        throw createError(403, 'Only the assignee or an admin can reassign this alert');
+      }
+      if (assigneeId === alert.assigned_to) {
+        throw createError(409, 'Alert is already assigned to that user');
+      }
+      return assigneeId;
+
+    default:
+      if (!alert.assigned_to) {
+        throw createError(409, 'Alert is not assigned');
+      }
+      if (!isAdmin && !isAssignee) {
+        throw createError(403, 'Only the assignee or an admin can unassign this alert');
+      }
+      return null;
+  }
+}
+
+module.exports = {
+  ALERT_STATUSES,
+  CLOSED_STATUSES,
+  ALERT_TRANSITIONS,
+  STATUS_LABELS,
+  MIN_FALSE_POSITIVE_JUSTIFICATION,
+  ASSIGNMENT_ACTIONS,
+  allowedAlertTransitions,
+  isAlertClosed,
+  validateAlertTransition,
+  validateAssignmentChange
+};
@@ -0,0 +1,152 @@
+/**
+ * Security Alert SLAs
+ * Response deadlines for critical and high alerts (BR-SA005, BR-SA006) and where an alert
+ * stands against its deadline. An alert is addressed when it first leaves 'active'.
+ */
+
+// Minutes an alert of each severity has to be addressed in; other severities have no deadline
+const SLA_RESPONSE_MINUTES = {
+  critical: 60,
+  high: 240
+};
+
+const SLA_SEVERITIES = Object.keys(SLA_RESPONSE_MINUTES);
+
+// SQL condition for open alerts past their deadline, on security_alerts aliased as sa
+const SLA_BREACHED_CONDITION = 'sa.addressed_at IS NULL AND sa.sla_due_at <= NOW()';
+
+// SQL condition for each value of the alert list's sla filter; escalated_at is the escalation flag (BR-SA014)
+const SLA_FILTER_CONDITIONS = {
+  breached: SLA_BREACHED_CONDITION,
+  escalated: 'sa.escalated_at IS NOT NULL'
+};
+
+const SLA_FILTERS = Object.keys(SLA_FILTER_CONDITIONS);
+
+/**
+ * Work out when an alert must be addressed by
+ * @param {string} severity - Alert severity
+ * @param {Date|string} detectedAt - When the alert was raised
+ * @returns {Date|null} Deadline, or null for severities without an SLA
+ */
+function slaDeadline(severity, detectedAt) {
+  const minutes = SLA_RESPONSE_MINUTES[severity];
+  if (!minutes) {
+    return null;
+  }
+  return new Date(new Date(detectedAt).getTime() + minutes * 60000);
+}
+
+/**
+ * Format a number of minutes as e.g. '45m', '3h 20m', '4h' or '2d 4h'
+ * @param {number} totalMinutes - Duration in minutes
+ * @returns {string} Formatted duration
+ */
+function formatSlaDuration(totalMinutes) {
+  const minutes = Math.max(0, Math.floor(totalMinutes));
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  if (days > 0) {
+    return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+  }
+  if (hours > 0) {
+    return minutes % 60 > 0 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+  }
+  return `${minutes}m`;
+}
+
+/**
+ * Describe where an alert stands against its SLA
+ * 'on_track' and 'breached' are open alerts before and after the deadline; 'met' and 'missed'
+ * are alerts addressed before and after it.
+ * @param {Object} alert - Alert row ({ sla_due_at, addressed_at, escalated_at })
+ * @param {Date} now - Current time
+ * @returns {Object|null} { state, dueAt, minutesRemaining, minutesOverdue, escalatedAt, summary },
+ *   or null if the alert has no SLA
+ */
+function describeSla(alert, now = new Date()) {
+  if (!alert.sla_due_at) {
+    return null;
+  }
+
+  const dueAt = new Date(alert.sla_due_at);
+  const addressedAt = alert.addressed_at ? new Date(alert.addressed_at) : null;
+  const minutesLate = ((addressedAt || now).getTime() - dueAt.getTime()) / 60000;
+
+  let state;
+  let summary;
+  if (addressedAt) {
+    state = minutesLate > 0 ? 'missed' : 'met';
+    summary = minutesLate > 0 ? `SLA missed by ${formatSlaDuration(minutesLate)}` : 'SLA met';
+  } else {
+    state = minutesLate > 0 ? 'breached' : 'on_track';
+    summary = minutesLate > 0 ? `SLA breached ${formatSlaDuration(minutesLate)} ago` : `${formatSlaDuration(-minutesLate)} left`;
+  }
+
+  return {
+    state,
+    dueAt,
+    minutesRemaining: state === 'on_track' ? Math.floor(-minutesLate) : 0,
+    minutesOverdue: minutesLate > 0 ? Math.floor(minutesLate) : 0,
+    escalatedAt: alert.escalated_at || null,
+    summary
+  };
+}
+
+/**
+ * Shape the weekly SLA counts into a compliance report
+ * Compliance is the share of alerts with a decided outcome that were addressed in time; alerts
+ * still within their deadline are counted as pending.
+ * @param {Array} rows - { week_start, severity, total, met, breached, pending, escalated,
+ *   avg_response_minutes } - one row per week and severity; weeks without alerts have a null severity
+ * @returns {Array} { weekStart, severities: { [severity]: counts }, total, met, breached, pending,
+ *   escalated, compliance } - newest week first
+ */
+function summariseSlaWeeks(rows) {
+  const compliance = counts => (counts.met + counts.breached > 0
+    ? Math.round(counts.met / (counts.met + counts.breached) * 1000) / 10
+    : null);
+  const emptyCounts = () => ({ total: 0, met: 0, breached: 0, pending: 0, escalated: 0 });
+
+  const weeks = new Map();
+  for (const row of rows) {
+    const key = new Date(row.week_start).getTime();
+    if (!weeks.has(key)) {
+      weeks.set(key, {
+        weekStart: new Date(row.week_start),
+        severities: Object.fromEntries(SLA_SEVERITIES.map(severity => [severity, { ...emptyCounts(), avgResponseMinutes: null, compliance: null }])),
+        ...emptyCounts()
+      });
+    }
+    if (!SLA_SEVERITIES.includes(row.severity)) {
+      continue;
+    }
+
+    const week = weeks.get(key);
+    const counts = week.severities[row.severity];
+    for (const field of Object.keys(emptyCounts())) {
+      counts[field] = parseInt(row[field]) || 0;
+      week[field] += counts[field];
+    }
+    counts.avgResponseMinutes = row.avg_response_minutes === null || row.avg_response_minutes === undefined
+      ? null
+      : Math.round(parseFloat(row.avg_response_minutes));
+    counts.compliance = compliance(counts);
+  }
+
+  return [...weeks.values()]
+    .map(week => ({ ...week, compliance: compliance(week) }))
+    .sort((a, b) => b.weekStart - a.weekStart);
+}
+
+module.exports = {
+  SLA_RESPONSE_MINUTES,
+  SLA_SEVERITIES,
+  SLA_BREACHED_CONDITION,
+  SLA_FILTER_CONDITIONS,
+  SLA_FILTERS,
+  slaDeadline,
+  formatSlaDuration,
+  describeSla,
+  summariseSlaWeeks
+};
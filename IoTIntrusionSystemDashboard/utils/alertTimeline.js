@@ -0,0 +1,136 @@
+/**
+ * Security Alert Timeline
+ * Merges an alert's history and its analysts' comments into one investigation timeline (BR-SA015)
+ */
+
+const createError = require('http-errors');
+const { STATUS_LABELS } = require('./alertLifecycle');
+const { formatSlaDuration } = require('./alertSla');
+
+const MAX_COMMENT_LENGTH = 5000;
+
+/**
+ * Check a comment before it is stored
+ * @param {string} body - Comment text
+ * @returns {string} Trimmed comment text
+ * @throws {HttpError} 400 if the comment is empty or too long
+ */
+function validateAlertComment(body) {
+  const trimmed = typeof body === 'string' ? body.trim() : '';
+  if (!trimmed) {
+    throw createError(400, 'Comment text is required');
+  }
+  if (trimmed.length > MAX_COMMENT_LENGTH) {
+    throw createError(400, `Comments cannot be longer than ${MAX_COMMENT_LENGTH} characters`);
+  }
+  return trimmed;
+}
+
+/**
+ * Describe a history entry in one line
+ * @param {Object} entry - security_alert_history row
+ * @returns {string} e.g. 'Status changed from Active to Investigating'
+ */
+function describeHistoryEntry(entry) {
+  const details = entry.details || {};
+  const name = user => (user && user.name) || 'a deleted user';
+
+  switch (entry.event_type) {
+    case 'status_changed':
+      return `Status changed from ${STATUS_LABELS[entry.from_status] || entry.from_status} to ${STATUS_LABELS[entry.to_status] || entry.to_status}`;
+    case 'assigned':
+      return `Assigned to ${name(details.to)}`;
+    case 'reassigned':
+      return `Reassigned from ${name(details.from)} to ${name(details.to)}`;
+    case 'unassigned':
+      return `Unassigned from ${name(details.from)}`;
+    case 'escalated':
+      return `Escalated to admins after breaching its SLA${details.overdueMinutes ? ` by ${formatSlaDuration(details.overdueMinutes)}` : ''}`;
+    default:
+      return entry.event_type.replace(/_/g, ' ');
+  }
+}
+
+/**
+ * Build an alert's timeline, oldest first
+ * Replies are nested under the comment that starts their thread instead of appearing on their own.
+ * @param {Object} alert - Alert row ({ detected_at })
+ * @param {Array} history - security_alert_history rows joined with created_by_name
+ * @param {Array} comments - security_alert_comments rows joined with created_by_name
+ * @returns {Array} { kind, id, eventType, at, author, summary, note, details, body, parentId, replies } -
+ *   kind is 'event' or 'comment'; only comments have a body, parentId and replies
+ */
+function buildAlertTimeline(alert, history, comments) {
+  const author = row => (row.created_by ? { id: row.created_by, name: row.created_by_name || null } : null);
+  const byTime = (a, b) => new Date(a.at) - new Date(b.at) || a.id - b.id;
+
+  const entries = [{
+    kind: 'event',
+    id: 0,
+    eventType: 'raised',
+    at: alert.detected_at,
+    author: null,
+    summary: 'Alert raised',
+    note: null,
+    details: null
+  }];
+
+  for (const entry of history) {
+    entries.push({
+      kind: 'event',
+      id: entry.id,
+      eventType: entry.event_type,
+      at: entry.created_at,
+      author: author(entry),
+      summary: describeHistoryEntry(entry),
+      note: entry.note || null,
+      details: entry.details || null
+    });
+  }
+
+  // Follow each reply up to the comment that starts its thread
+  const byId = new Map(comments.map(comment => [comment.id, comment]));
+  const threadOf = comment => {
+    let root = comment;
+    while (root.parent_id && byId.has(root.parent_id)) {
+      root = byId.get(root.parent_id);
+    }
+    return root.id;
+  };
+
+  const formatComment = comment => ({
+    kind: 'comment',
+    id: comment.id,
+    eventType: 'comment',
+    at: comment.created_at,
+    author: author(comment),
+    parentId: comment.parent_id || null,
+    body: comment.body
+  });
+
+  const threads = new Map();
+  for (const comment of comments) {
+    if (threadOf(comment) === comment.id) {
+      threads.set(comment.id, { ...formatComment(comment), replies: [] });
+    }
+  }
+  for (const comment of comments) {
+    const thread = threads.get(threadOf(comment));
+    if (thread && thread.id !== comment.id) {
+      thread.replies.push(formatComment(comment));
+    }
+  }
+
+  for (const thread of threads.values()) {
+    thread.replies.sort(byTime);
+    entries.push(thread);
+  }
+  return entries.sort(byTime);
+}
+
+module.exports = {
+  MAX_COMMENT_LENGTH,
+  validateAlertComment,
+  describeHistoryEntry,
+  buildAlertTimeline
+};
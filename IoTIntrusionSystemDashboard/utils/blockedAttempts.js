@@ -0,0 +1,287 @@
+/**
+ * Blocked Attempt Recording and Investigation
+ * Repeated attempts from the same source IP against the same device with the same
+ * attempt type, user and reason are counted on one row while they keep arriving within the window (BR-BA005)
+ */
+
+const db = require('../config/database');
+const config = require('../config/env');
+const { normalizeIp, isIpOrCidr } = require('./network');
+
+// Request details that are part of the aggregation key, so each row keeps one user and one reason
+const AGGREGATE_DETAIL_KEYS = ['user_id', 'email', 'blocked_reason'];
+
+/**
+ * Record a blocked attempt, merging it into the open aggregate for its key if there is one
+ * The window slides: an attempt joins the row whose last attempt was less than the window
+ * before it (or, for back-dated attempts, whose first attempt is less than the window after it).
+ * A ban on the source IP closes its open rows, so attempts after a ban start a new row (BR-IB003).
+ * Each attempt is also counted in its row's per-minute bucket, so totals over a period only
+ * include the attempts made within it (BR-BA007).
+ * Attempts for the same key are serialised with an advisory lock, so concurrent
+ * requests cannot create duplicate rows or lose increments.
+ * @param {Object} attempt - { sourceIp, deviceId, attemptType, userAgent, details, count, seenAt }
+ *   count defaults to 1; seenAt defaults to now (sample data passes past times);
+ *   IPv4-mapped IPv6 source addresses are stored as plain IPv4
+ * @param {Object} client - Optional transaction client (default: a new transaction)
+ * @returns {Promise<Object>} { attempt, aggregated } - the stored row and whether an existing row was updated
+ */
+async function recordBlockedAttempt(attempt, client = null) {
+  if (!client) {
+    return db.transaction(transactionClient => recordBlockedAttempt(attempt, transactionClient));
+  }
+
+  const {
+    deviceId = null,
+    attemptType,
+    userAgent = null,
+    details = {},
+    count = 1,
+    seenAt = new Date()
+  } = attempt;
+  const sourceIp = normalizeIp(attempt.sourceIp);
+  const detailKey = AGGREGATE_DETAIL_KEYS.map(key => (
+    details[key] === undefined || details[key] === null ? null : String(details[key])
+  ));
+
+  await client.query(
+    'SELECT pg_advisory_xact_lock(hashtext($1))',
+    [`blocked_attempt:${sourceIp}:${deviceId || ''}:${attemptType}:${detailKey.join(':')}`]
+  );
+
+  const windowMinutes = config.security.blockedAttemptWindowMinutes;
+  const updated = await client.query(`
+    UPDATE blocked_attempts
+    SET attempt_count = attempt_count + $5,
+        first_seen_at = LEAST(first_seen_at, $4),
+        last_seen_at = GREATEST(last_seen_at, $4),
+        user_agent = COALESCE($6, user_agent)
+    WHERE id = (
+      SELECT ba.id FROM blocked_attempts ba
+      WHERE ba.source_ip = $1
+        AND ba.target_device_id IS NOT DISTINCT FROM $2
+        AND ba.attempt_type = $3
+        AND ba.request_details->>'user_id' IS NOT DISTINCT FROM $8
+        AND ba.request_details->>'email' IS NOT DISTINCT FROM $9
+        AND ba.request_details->>'blocked_reason' IS NOT DISTINCT FROM $10
+        AND ba.last_seen_at >= $4::timestamp - $7 * INTERVAL '1 minute'
+        AND ba.first_seen_at <= $4::timestamp + $7 * INTERVAL '1 minute'
+        AND NOT EXISTS (
+          SELECT 1 FROM ip_bans b
+          WHERE ba.source_ip <<= b.ip_address AND b.banned_at >= ba.first_seen_at
+        )
+      ORDER BY ba.last_seen_at DESC
+      LIMIT 1
+    )
+    RETURNING *
+  `, [sourceIp, deviceId, attemptType, seenAt, count, userAgent, windowMinutes, ...detailKey]);
+
+  let stored = updated.rows[0];
+  if (!stored) {
+    const inserted = await client.query(`
+      INSERT INTO blocked_attempts (
+        source_ip, target_device_id, attempt_type, blocked_at, first_seen_at, last_seen_at,
+        attempt_count, user_agent, request_details
+      )
+      VALUES ($1, $2, $3, $4, $4, $4, $5, $6, $7)
+      RETURNING *
+    `, [sourceIp, deviceId, attemptType, seenAt, count, userAgent, JSON.stringify(details)]);
+    stored = inserted.rows[0];
+  }
+
+  await client.query(`
+    INSERT INTO blocked_attempt_minutes (attempt_id, minute, attempt_count)
+    VALUES ($1, date_trunc('minute', $2::timestamp), $3)
+    ON CONFLICT (attempt_id, minute)
+    DO UPDATE SET attempt_count = blocked_attempt_minutes.attempt_count + EXCLUDED.attempt_count
+  `, [stored.id, seenAt, count]);
+
+  return { attempt: stored, aggregated: updated.rows.length > 0 };
+}
+
+/**
+ * Total the blocked attempts made within the last few hours
+ * Counted from the per-minute buckets, so an aggregated row only adds the attempts made in the
+ * period, not those from before it (BR-BA007).
+ * @param {number} hours - Look-back period in hours (default: 24)
+ * @returns {Promise<number>} Number of attempts
+ */
+async function countRecentBlockedAttempts(hours = 24) {
+  const result = await db.query(`
+    SELECT COALESCE(SUM(attempt_count), 0) as count
+    FROM blocked_attempt_minutes
+    WHERE minute >= date_trunc('minute', NOW() - $1 * INTERVAL '1 hour')
+  `, [hours]);
+  return parseInt(result.rows[0].count) || 0;
+}
+
+/**
+ * Parse and validate blocked attempt filters from a query string
+ * @param {Object} query - Request query ({ source_ip, device_id, attempt_type, user_id, from, to })
+ * @returns {Object} { filters, error } - filters holds parsed values, unset filters are omitted
+ */
+function parseBlockedAttemptFilters(query) {
+  const filters = {};
+
+  if (query.source_ip) {
+    const sourceIp = String(query.source_ip).trim();
+    if (!isIpOrCidr(sourceIp)) {
+      return { error: 'source_ip must be an IP address or CIDR block (e.g. 203.0.113.0/24)' };
+    }
+    filters.sourceIp = normalizeIp(sourceIp);
+  }
+
+  for (const [param, key] of [['device_id', 'deviceId'], ['user_id', 'userId']]) {
+    if (query[param]) {
+      const id = parseInt(query[param], 10);
+      if (isNaN(id)) {
+        return { error: `Invalid ${param}` };
+      }
+      filters[key] = id;
+    }
+  }
+
+  if (query.attempt_type) {
+    filters.attemptType = String(query.attempt_type);
+  }
+
+  for (const param of ['from', 'to']) {
+    if (query[param]) {
+      const date = new Date(query[param]);
+      if (isNaN(date.getTime())) {
+        return { error: `Invalid ${param} date` };
+      }
+      filters[param] = date;
+    }
+  }
+
+  if (filters.from && filters.to && filters.to < filters.from) {
+    return { error: 'to must be after from' };
+  }
+
+  return { filters };
+}
+
+/**
+ * List blocked attempts, most recently seen first
+ * A row matches the time range if any of its attempts could fall inside it
+ * (first seen before the end and last seen after the start).
+ * @param {Object} filters - From parseBlockedAttemptFilters
+ * @param {Object} paging - { limit, offset }
+ * @returns {Promise<Object>} { attempts, total, totalAttempts } - rows joined with device and user names,
+ *   the number of matching rows and the sum of their attempt counts
+ */
+async function listBlockedAttempts(filters = {}, { limit = 50, offset = 0 } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (filters.sourceIp) {
+    params.push(filters.sourceIp);
+    conditions.push(`ba.source_ip <<= $${params.length}::inet`);
+  }
+  if (filters.deviceId) {
+    params.push(filters.deviceId);
+    conditions.push(`ba.target_device_id = $${params.length}`);
+  }
+  if (filters.attemptType) {
+    params.push(filters.attemptType);
+    conditions.push(`ba.attempt_type = $${params.length}`);
+  }
+  if (filters.userId) {
+    params.push(String(filters.userId));
+    conditions.push(`ba.request_details->>'user_id' = $${params.length}`);
+  }
+  if (filters.from) {
+    params.push(filters.from);
+    conditions.push(`ba.last_seen_at >= $${params.length}`);
+  }
+  if (filters.to) {
+    params.push(filters.to);
+    conditions.push(`ba.first_seen_at <= $${params.length}`);
+  }
+
+  const whereClause = conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '';
+
+  const countResult = await db.query(`
+    SELECT COUNT(*) as total, COALESCE(SUM(ba.attempt_count), 0) as attempts
+    FROM blocked_attempts ba
+    ${whereClause}
+  `, params);
+
+  const result = await db.query(`
+    SELECT ba.*, d.name as device_name, d.device_type, u.name as user_name, u.email as user_email
+    FROM blocked_attempts ba
+    LEFT JOIN devices d ON ba.target_device_id = d.id
+    LEFT JOIN users u ON u.id::text = ba.request_details->>'user_id'
+    ${whereClause}
+    ORDER BY ba.last_seen_at DESC, ba.id DESC
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+  `, [...params, limit, offset]);
+
+  return {
+    attempts: result.rows,
+    total: parseInt(countResult.rows[0].total),
+    totalAttempts: parseInt(countResult.rows[0].attempts)
+  };
+}
+
+/**
+ * Get a single blocked attempt
+ * @param {number} attemptId - Blocked attempt ID
+ * @returns {Promise<Object|null>} Row joined with device and user names, or null
+ */
+async function getBlockedAttempt(attemptId) {
+  const result = await db.query(`
+    SELECT ba.*, d.name as device_name, d.device_type, u.name as user_name, u.email as user_email
+    FROM blocked_attempts ba
+    LEFT JOIN devices d ON ba.target_device_id = d.id
+    LEFT JOIN users u ON u.id::text = ba.request_details->>'user_id'
+    WHERE ba.id = $1
+  `, [attemptId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * List the attempt types that have been recorded, for filter options
+ * @returns {Promise<Array<string>>} Attempt types in alphabetical order
+ */
+async function listAttemptTypes() {
+  const result = await db.query('SELECT DISTINCT attempt_type FROM blocked_attempts ORDER BY attempt_type');
+  return result.rows.map(row => row.attempt_type);
+}
+
+/**
+ * Shape a blocked attempt row for JSON responses and views
+ * @param {Object} attempt - Row from listBlockedAttempts or getBlockedAttempt
+ * @returns {Object} Formatted attempt
+ */
+function formatBlockedAttempt(attempt) {
+  const details = attempt.request_details || {};
+  return {
+    id: attempt.id,
+    sourceIp: attempt.source_ip,
+    deviceId: attempt.target_device_id,
+    deviceName: attempt.device_name || null,
+    deviceType: attempt.device_type || null,
+    attemptType: attempt.attempt_type,
+    reason: details.blocked_reason || null,
+    userId: details.user_id ? parseInt(details.user_id) : null,
+    userName: attempt.user_name || null,
+    userEmail: attempt.user_email || null,
+    attemptCount: attempt.attempt_count,
+    firstSeenAt: attempt.first_seen_at,
+    lastSeenAt: attempt.last_seen_at,
+    userAgent: attempt.user_agent,
+    requestDetails: details
+  };
+}
+
+module.exports = {
+  recordBlockedAttempt,
+  countRecentBlockedAttempts,
+  parseBlockedAttemptFilters,
+  listBlockedAttempts,
+  getBlockedAttempt,
+  listAttemptTypes,
+  formatBlockedAttempt
+};
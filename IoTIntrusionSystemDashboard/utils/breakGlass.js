@@ -0,0 +1,154 @@
+/**
+ * Break-Glass Emergency Access
+ * Short-lived connections made without a grant during an incident, reviewed by an admin afterwards
+ */
+
+const createError = require('http-errors');
+const db = require('../config/database');
+const { routeLogger } = require('./logger');
+const { openDeviceConnection } = require('./deviceConnections');
+const { insertSecurityAlert, publishSecurityAlert } = require('./securityAlerts');
+
+const REVIEW_OUTCOMES = ['justified', 'unjustified'];
+
+const MIN_JUSTIFICATION_LENGTH = 20;
+
+/**
+ * Validate a break-glass justification
+ * @param {string} justification - Justification entered by the user
+ * @returns {string} Trimmed justification
+ * @throws {HttpError} 400 if it is missing or too short
+ */
+function validateBreakGlassJustification(justification) {
+  if (!justification || justification.trim().length < MIN_JUSTIFICATION_LENGTH) {
+    throw createError(400, `Emergency access requires a justification of at least ${MIN_JUSTIFICATION_LENGTH} characters`);
+  }
+  return justification.trim();
+}
+
+/**
+ * Link the security alert raised for a break-glass connection
+ * @param {number} connectionId - Connection ID
+ * @param {number} alertId - Security alert ID
+ * @param {Object} client - Optional transaction client (default: shared pool)
+ * @returns {Promise<void>}
+ */
+async function attachBreakGlassAlert(connectionId, alertId, client = db) {
+  await client.query(
+    'UPDATE device_connections SET break_glass_alert_id = $1 WHERE id = $2 AND break_glass = true',
+    [alertId, connectionId]
+  );
+}
+
+/**
+ * Open a break-glass connection together with its security alert
+ * Both are stored in one transaction, so an alert that cannot be stored leaves no emergency
+ * connection behind and the session's current connection open.
+ * @param {Object} request - { user, device, sourceIp, userAgent, justification, deniedReason, replaceConnectionId }
+ *   user is { id, name } and device the device row
+ * @returns {Promise<Object>} { connection, alert }
+ * @throws {HttpError} 409 with a contention property if the device is at its limit, 503 if the alert could not be stored
+ */
+async function openBreakGlassConnection({ user, device, sourceIp, userAgent, justification, deniedReason, replaceConnectionId = null }) {
+  let alert;
+  const connection = await openDeviceConnection({
+    userId: user.id,
+    deviceId: device.id,
+    deviceType: device.device_type,
+    accessLevel: 'connect',
+    sourceIp,
+    userAgent,
+    replaceConnectionId,
+    breakGlassJustification: justification,
+    onOpened: async (client, opened) => {
+      try {
+        alert = await insertSecurityAlert(
+          client,
+          device.id,
+          'Break-Glass Device Access',
+          'high',
+          `Emergency access to ${device.name} by ${user.name}: ${justification}`,
+          sourceIp,
+          {
+            user_id: user.id,
+            device_name: device.name,
+            connection_id: opened.id,
+            justification: justification,
+            denied_reason: deniedReason,
+            max_duration_minutes: opened.max_duration_minutes
+          }
+        );
+      } catch (error) {
+        routeLogger.error('Break-glass connection refused: security alert could not be raised', {
+          userId: user.id,
+          deviceId: device.id,
+          error: error.message
+        });
+        throw createError(503, 'Emergency access is unavailable because the security alert could not be raised. Please try again or contact an administrator.');
+      }
+      await attachBreakGlassAlert(opened.id, alert.id, client);
+    }
+  });
+
+  publishSecurityAlert(alert);
+  return { connection, alert };
+}
+
+/**
+ * Record an admin's review of a break-glass connection
+ * @param {number} connectionId - Connection ID
+ * @param {number} reviewerId - Reviewing admin's user ID
+ * @param {Object} review - { outcome, note } - a note is required when the outcome is 'unjustified'
+ * @returns {Promise<Object>} Updated connection row
+ * @throws {HttpError} 400 on invalid input, 404 if not a break-glass connection, 409 if already reviewed
+ */
+async function reviewBreakGlassConnection(connectionId, reviewerId, { outcome, note } = {}) {
+  if (!REVIEW_OUTCOMES.includes(outcome)) {
+    throw createError(400, `Invalid outcome. Must be one of: ${REVIEW_OUTCOMES.join(', ')}`);
+  }
+  if (outcome === 'unjustified' && (!note || !note.trim())) {
+    throw createError(400, 'A note is required when marking emergency access as unjustified');
+  }
+
+  const connection = await db.transaction(async (client) => {
+    const result = await client.query(
+      'SELECT * FROM device_connections WHERE id = $1 AND break_glass = true FOR UPDATE',
+      [connectionId]
+    );
+    const existing = result.rows[0];
+
+    if (!existing) {
+      throw createError(404, 'Break-glass connection not found');
+    }
+    if (existing.break_glass_reviewed_at) {
+      throw createError(409, 'Break-glass connection has already been reviewed');
+    }
+
+    const updated = await client.query(`
+      UPDATE device_connections
+      SET break_glass_reviewed_by = $1, break_glass_reviewed_at = CURRENT_TIMESTAMP,
+          break_glass_review_outcome = $2, break_glass_review_note = $3
+      WHERE id = $4
+      RETURNING *
+    `, [reviewerId, outcome, note ? note.trim() : null, connectionId]);
+
+    return updated.rows[0];
+  });
+
+  routeLogger.info('Break-glass connection reviewed', {
+    connectionId,
+    reviewerId,
+    userId: connection.user_id,
+    deviceId: connection.device_id,
+    outcome
+  });
+  return connection;
+}
+
+module.exports = {
+  REVIEW_OUTCOMES,
+  validateBreakGlassJustification,
+  attachBreakGlassAlert,
+  openBreakGlassConnection,
+  reviewBreakGlassConnection
+};
@@ -5,6 +5,8 @@
 
 const db = require('../config/database');
 const { appLogger } = require('./logger');
+const { recordBlockedAttempt } = require('./blockedAttempts');
+const { slaDeadline } = require('./alertSla');
 
 async function createSampleDevices() {
   try {
@@ -22,7 +24,11 @@ async function createSampleDevices() {
         mac_address: '00:1B:44:11:3A:B7',
         ip_address: '192.168.1.101',
         location: 'Building Lobby',
-        firmware_version: '2.1.4', // Has security
+        firmware_version: '2.1.4',
+        auth_required: true,
+        encryption_in_transit: true,
+        default_credentials_changed: true,
+        security_level: 'medium',
         status: 'online',
         last_seen: new Date()
       },
@@ -32,7 +38,11 @@ async function createSampleDevices() {
         mac_address: '00:1B:44:11:3A:B8',
         ip_address: '192.168.1.102',
         location: 'Main Office',
-        firmware_version: '', // No security (empty firmware)
+        firmware_version: '',
+        auth_required: false,
+        encryption_in_transit: false,
+        default_credentials_changed: false,
+        security_level: 'none',
         status: 'online',
         last_seen: new Date(Date.now() - 300000) // 5 minutes ago
       },
@@ -42,7 +52,11 @@ async function createSampleDevices() {
         mac_address: '00:1B:44:11:3A:B9',
         ip_address: '192.168.1.103',
         location: 'Second Floor',
-        firmware_version: '3.2.1', // Has security
+        firmware_version: '3.2.1',
+        auth_required: true,
+        encryption_in_transit: true,
+        default_credentials_changed: true,
+        security_level: 'high',
         status: 'offline',
         last_seen: new Date(Date.now() - 3600000) // 1 hour ago
       },
@@ -52,7 +66,11 @@ async function createSampleDevices() {
         mac_address: '00:1B:44:11:3A:BA',
         ip_address: '192.168.1.104',
         location: 'Main Entrance',
-        firmware_version: null, // No security (null firmware)
+        firmware_version: null,
+        auth_required: false,
+        encryption_in_transit: false,
+        default_credentials_changed: true,
+        security_level: 'low',
         status: 'online',
         last_seen: new Date()
       },
@@ -62,7 +80,11 @@ async function createSampleDevices() {
         mac_address: '00:1B:44:11:3A:BB',
         ip_address: '192.168.1.105',
         location: 'Parking Lot',
-        firmware_version: '2.0.3', // Has security
+        firmware_version: '2.0.3',
+        auth_required: false, // Reports firmware but has no authentication
+        encryption_in_transit: false,
+        default_credentials_changed: true,
+        security_level: 'low',
         status: 'online',
         last_seen: new Date(Date.now() - 60000) // 1 minute ago
       }
@@ -164,7 +186,7 @@ async function createSampleSecurityAlerts() {
     ];
 
     for (const alert of sampleAlerts) {
-      await db.insert('security_alerts', alert);
+      await db.insert('security_alerts', { ...alert, sla_due_at: slaDeadline(alert.severity, alert.detected_at) });
     }
 
     appLogger.info('Sample security alerts created successfully');
@@ -195,11 +217,11 @@ async function createSampleBlockedAttempts() {
         blocked_at: new Date(Date.now() - 7200000), // 2 hours ago
         attempt_count: 15,
         user_agent: 'curl/7.68.0',
-        request_details: JSON.stringify({
+        request_details: {
           target_port: 22,
           protocol: 'SSH',
           attempted_usernames: ['admin', 'root', 'user']
-        })
+        }
       },
       {
         source_ip: '198.51.100.23',
@@ -207,10 +229,10 @@ async function createSampleBlockedAttempts() {
         attempt_type: 'port_scan',
         blocked_at: new Date(Date.now() - 5400000), // 1.5 hours ago
         attempt_count: 50,
-        request_details: JSON.stringify({
+        request_details: {
           scanned_ports: '1-1000',
           scan_type: 'TCP_SYN'
-        })
+        }
       },
       {
         source_ip: '192.0.2.100',
@@ -219,10 +241,10 @@ async function createSampleBlockedAttempts() {
         blocked_at: new Date(Date.now() - 3600000), // 1 hour ago
         attempt_count: 8,
         user_agent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        request_details: JSON.stringify({
+        request_details: {
           attempted_path: '/admin/login',
           authentication_failures: 8
-        })
+        }
       },
       {
         source_ip: '10.0.0.25',
@@ -230,10 +252,10 @@ async function createSampleBlockedAttempts() {
         attempt_type: 'malware',
         blocked_at: new Date(Date.now() - 1800000), // 30 minutes ago
         attempt_count: 1,
-        request_details: JSON.stringify({
+        request_details: {
           malware_signature: 'Mirai.Bot.Variant',
           blocked_payload_size: '2048 bytes'
-        })
+        }
       },
       {
         source_ip: '172.16.0.50',
@@ -241,11 +263,11 @@ async function createSampleBlockedAttempts() {
         attempt_type: 'ddos',
         blocked_at: new Date(Date.now() - 900000), // 15 minutes ago
         attempt_count: 1000,
-        request_details: JSON.stringify({
+        request_details: {
           attack_type: 'UDP_FLOOD',
           packets_per_second: 10000,
           total_volume: '100MB'
-        })
+        }
       },
       // Add some recent attempts to show current activity
       {
@@ -255,10 +277,10 @@ async function createSampleBlockedAttempts() {
         blocked_at: new Date(Date.now() - 300000), // 5 minutes ago
         attempt_count: 3,
         user_agent: 'python-requests/2.28.1',
-        request_details: JSON.stringify({
+        request_details: {
           target_service: 'HTTP_AUTH',
           attempted_credentials: 3
-        })
+        }
       },
       {
         source_ip: '198.51.100.89',
@@ -266,15 +288,24 @@ async function createSampleBlockedAttempts() {
         attempt_type: 'exploitation',
         blocked_at: new Date(Date.now() - 120000), // 2 minutes ago
         attempt_count: 1,
-        request_details: JSON.stringify({
+        request_details: {
           exploit_type: 'buffer_overflow',
           target_vulnerability: 'CVE-2023-54321'
-        })
+        }
       }
     ];
 
+    // Seed through the same aggregation path as live attempts
     for (const attempt of sampleBlockedAttempts) {
-      await db.insert('blocked_attempts', attempt);
+      await recordBlockedAttempt({
+        sourceIp: attempt.source_ip,
+        deviceId: attempt.target_device_id,
+        attemptType: attempt.attempt_type,
+        userAgent: attempt.user_agent,
+        details: attempt.request_details,
+        count: attempt.attempt_count,
+        seenAt: attempt.blocked_at
+      });
     }
 
     appLogger.info('Sample blocked attempts created successfully');
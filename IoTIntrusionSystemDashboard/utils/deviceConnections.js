@@ -0,0 +1,507 @@
+/**
+ * Device Connection Sessions
+ * Persists who connected to which device, from where and for how long
+ */
+
+const createError = require('http-errors');
+const db = require('../config/database');
+const config = require('../config/env');
+const { routeLogger } = require('./logger');
+
+// Device types that start out under exclusive control
+const EXCLUSIVE_CONTROL_TYPES = ['controller', 'gateway'];
+
+/**
+ * Format a duration in seconds as e.g. '1h 5m 12s' or '5m 12s'
+ * @param {number} totalSeconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+function formatDuration(totalSeconds) {
+  const seconds = Math.max(0, Math.floor(totalSeconds));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const remainder = seconds % 60;
+  return hours > 0
+    ? `${hours}h ${minutes}m ${remainder}s`
+    : `${minutes}m ${remainder}s`;
+}
+
+/**
+ * Look up the idle and maximum connection time for a device type
+ * Types without their own entry use the 'default' entry; a missing or null value means no limit.
+ * @param {string} deviceType - Device type
+ * @returns {Object} { idleMinutes, maxMinutes }
+ */
+function getConnectionTimeouts(deviceType) {
+  const timeouts = config.deviceAccess.connectionTimeouts || {};
+  const merged = { ...(timeouts.default || {}), ...(timeouts[deviceType] || {}) };
+  return {
+    idleMinutes: merged.idleMinutes || null,
+    maxMinutes: merged.maxMinutes || null
+  };
+}
+
+/**
+ * Work out when an open connection will time out
+ * @param {Object} connection - Connection row
+ * @returns {Object} { idleExpiresAt, maxExpiresAt, expiresAt, reason } - dates are null without a limit
+ */
+function getConnectionExpiry(connection) {
+  const idleExpiresAt = connection.idle_timeout_minutes
+    ? new Date(new Date(connection.last_activity_at).getTime() + connection.idle_timeout_minutes * 60000)
+    : null;
+  const maxExpiresAt = connection.max_duration_minutes
+    ? new Date(new Date(connection.connected_at).getTime() + connection.max_duration_minutes * 60000)
+    : null;
+
+  if (idleExpiresAt && (!maxExpiresAt || idleExpiresAt <= maxExpiresAt)) {
+    return { idleExpiresAt, maxExpiresAt, expiresAt: idleExpiresAt, reason: 'idle_timeout' };
+  }
+  if (maxExpiresAt) {
+    return { idleExpiresAt, maxExpiresAt, expiresAt: maxExpiresAt, reason: 'max_duration' };
+  }
+  return { idleExpiresAt, maxExpiresAt, expiresAt: null, reason: null };
+}
+
+/**
+ * Work out how many connections a device accepts at once
+ * @param {Object} device - Device row with connection limit columns
+ * @returns {number|null} Maximum open connections, or null if unlimited
+ */
+function getConnectionLimit(device) {
+  return device.exclusive_control ? 1 : (device.max_concurrent_connections || null);
+}
+
+/**
+ * Record a new device connection, enforcing the device's connection limits
+ * The device row is locked while open connections are counted, so two users
+ * connecting at the same moment cannot both take the last slot.
+ * @param {Object} connection - { userId, deviceId, deviceType, accessLevel, sourceIp, userAgent, replaceConnectionId, breakGlassJustification, onOpened }
+ *   replaceConnectionId is the session's current connection, closed as 'replaced' in the same transaction;
+ *   breakGlassJustification marks an emergency connection, which is capped at the break-glass duration;
+ *   onOpened(client, connection) runs before the transaction commits - if it throws, nothing is kept
+ * @returns {Promise<Object>} Created connection row
+ * @throws {HttpError} 404 if the device is missing, 409 with a contention property if the device is at its limit
+ */
+async function openDeviceConnection({
+  userId,
+  deviceId,
+  deviceType,
+  accessLevel,
+  sourceIp,
+  userAgent,
+  replaceConnectionId = null,
+  breakGlassJustification = null,
+  onOpened = null
+}) {
+  // Expired connections must not keep holding a slot
+  await closeExpiredConnections();
+
+  const timeouts = getConnectionTimeouts(deviceType);
+  if (breakGlassJustification) {
+    const breakGlassMinutes = config.deviceAccess.breakGlassDurationMinutes;
+    timeouts.maxMinutes = timeouts.maxMinutes ? Math.min(timeouts.maxMinutes, breakGlassMinutes) : breakGlassMinutes;
+  }
+
+  const connection = await db.transaction(async (client) => {
+    const deviceResult = await client.query(
+      'SELECT id, name, max_concurrent_connections, exclusive_control FROM devices WHERE id = $1 FOR UPDATE',
+      [deviceId]
+    );
+    const device = deviceResult.rows[0];
+    if (!device) {
+      throw createError(404, 'Device not found');
+    }
+
+    if (replaceConnectionId) {
+      await closeDeviceConnection(replaceConnectionId, 'replaced', {}, client);
+    }
+
+    const limit = getConnectionLimit(device);
+    if (limit) {
+      const openResult = await client.query(`
+        SELECT dc.id, dc.user_id, dc.connected_at, u.name as user_name
+        FROM device_connections dc
+        JOIN users u ON dc.user_id = u.id
+        WHERE dc.device_id = $1 AND dc.disconnected_at IS NULL
+        ORDER BY dc.connected_at ASC
+      `, [deviceId]);
+
+      if (openResult.rows.length >= limit) {
+        const holders = openResult.rows.map(row => ({
+          connectionId: row.id,
+          userId: row.user_id,
+          userName: row.user_name,
+          connectedAt: row.connected_at
+        }));
+        const message = device.exclusive_control
+          ? `${device.name} is under exclusive control by ${holders[0].userName} since ${new Date(holders[0].connectedAt).toLocaleString()}`
+          : `${device.name} already has the maximum of ${limit} concurrent connection(s)`;
+
+        throw createError(409, message, {
+          contention: {
+            reason: device.exclusive_control ? 'exclusive_lock_held' : 'connection_limit_reached',
+            exclusiveControl: device.exclusive_control,
+            maxConcurrentConnections: limit,
+            holders
+          }
+        });
+      }
+    }
+
+    const now = new Date();
+    const inserted = await client.query(`
+      INSERT INTO device_connections (
+        user_id, device_id, access_level, source_ip, user_agent,
+        connected_at, last_activity_at, idle_timeout_minutes, max_duration_minutes,
+        break_glass, break_glass_justification
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $6, $7, $8, $9, $10)
+      RETURNING *
+    `, [
+      userId,
+      deviceId,
+      accessLevel || null,
+      sourceIp,
+      userAgent,
+      now,
+      timeouts.idleMinutes,
+      timeouts.maxMinutes,
+      Boolean(breakGlassJustification),
+      breakGlassJustification
+    ]);
+
+    if (onOpened) {
+      await onOpened(client, inserted.rows[0]);
+    }
+    return inserted.rows[0];
+  });
+
+  routeLogger.info('Device connection recorded', {
+    connectionId: connection.id,
+    userId,
+    deviceId,
+    breakGlass: connection.break_glass
+  });
+  return connection;
+}
+
+/**
+ * Record activity on an open connection, resetting its idle timeout
+ * @param {number} connectionId - Connection ID
+ * @returns {Promise<Object|null>} Updated connection row, or null if it is not open
+ */
+async function touchDeviceConnection(connectionId) {
+  const result = await db.query(`
+    UPDATE device_connections
+    SET last_activity_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND disconnected_at IS NULL
+    RETURNING *
+  `, [connectionId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Close an open device connection
+ * @param {number} connectionId - Connection ID
+ * @param {string} reason - Disconnect reason ('user', 'replaced', 'logout', 'admin', 'lock_broken', 'idle_timeout', 'max_duration')
+ * @param {Object} options - { disconnectedBy, note } for disconnects made by an admin
+ * @param {Object} client - Optional transaction client (default: shared pool)
+ * @returns {Promise<Object|null>} Closed connection row, or null if it was not open
+ */
+async function closeDeviceConnection(connectionId, reason, { disconnectedBy = null, note = null } = {}, client = db) {
+  const result = await client.query(`
+    UPDATE device_connections
+    SET disconnected_at = CURRENT_TIMESTAMP, disconnect_reason = $2,
+        disconnected_by = $3, disconnect_note = $4
+    WHERE id = $1 AND disconnected_at IS NULL
+    RETURNING *
+  `, [connectionId, reason, disconnectedBy, note]);
+
+  const connection = result.rows[0] || null;
+  if (connection) {
+    routeLogger.info('Device connection closed', {
+      connectionId,
+      userId: connection.user_id,
+      deviceId: connection.device_id,
+      reason,
+      disconnectedBy
+    });
+  }
+  return connection;
+}
+
+/**
+ * Force-close every open connection to a device
+ * @param {number} deviceId - Device ID
+ * @param {Object} options - { disconnectedBy, note, reason } - reason defaults to 'admin'; 'lock_broken' when breaking an exclusive lock
+ * @returns {Promise<Array>} Closed connection rows
+ */
+async function closeDeviceConnectionsForDevice(deviceId, { disconnectedBy = null, note = null, reason = 'admin' } = {}) {
+  const result = await db.query(`
+    UPDATE device_connections
+    SET disconnected_at = CURRENT_TIMESTAMP, disconnect_reason = $4,
+        disconnected_by = $2, disconnect_note = $3
+    WHERE device_id = $1 AND disconnected_at IS NULL
+    RETURNING *
+  `, [deviceId, disconnectedBy, note, reason]);
+
+  if (result.rowCount > 0) {
+    routeLogger.warn('Device connections force-closed', {
+      deviceId,
+      count: result.rowCount,
+      reason,
+      disconnectedBy,
+      userIds: result.rows.map(row => row.user_id)
+    });
+  }
+  return result.rows;
+}
+
+/**
+ * Close every open connection that has passed its idle or maximum duration limit
+ * The recorded disconnect time is the moment the limit was reached, not the sweep time.
+ * @returns {Promise<number>} Number of connections closed
+ */
+async function closeExpiredConnections() {
+  const result = await db.query(`
+    WITH expiry AS (
+      SELECT id,
+             last_activity_at + idle_timeout_minutes * INTERVAL '1 minute' AS idle_at,
+             connected_at + max_duration_minutes * INTERVAL '1 minute' AS max_at
+      FROM device_connections
+      WHERE disconnected_at IS NULL
+    )
+    UPDATE device_connections dc
+    SET disconnected_at = LEAST(expiry.idle_at, expiry.max_at),
+        disconnect_reason = CASE
+          WHEN expiry.max_at IS NULL OR expiry.idle_at <= expiry.max_at THEN 'idle_timeout'
+          ELSE 'max_duration'
+        END
+    FROM expiry
+    WHERE dc.id = expiry.id
+      AND LEAST(expiry.idle_at, expiry.max_at) <= CURRENT_TIMESTAMP
+    RETURNING dc.id, dc.user_id, dc.device_id, dc.disconnect_reason
+  `);
+
+  if (result.rowCount > 0) {
+    routeLogger.info('Expired device connections closed', {
+      count: result.rowCount,
+      connections: result.rows.map(row => ({
+        connectionId: row.id,
+        userId: row.user_id,
+        deviceId: row.device_id,
+        reason: row.disconnect_reason
+      }))
+    });
+  }
+  return result.rowCount;
+}
+
+/**
+ * Parse and validate connection limit fields from a request body
+ * Only fields present in the body are returned, so partial updates are possible.
+ * @param {Object} body - Request body
+ * @returns {Object} { limits, error } - limits holds column values ready to store
+ */
+function parseConnectionLimits(body) {
+  const limits = {};
+
+  if (body.max_concurrent_connections !== undefined) {
+    if (body.max_concurrent_connections === null || body.max_concurrent_connections === '') {
+      limits.max_concurrent_connections = null;
+    } else {
+      const max = parseInt(body.max_concurrent_connections, 10);
+      if (isNaN(max) || max <= 0) {
+        return { error: 'max_concurrent_connections must be a positive number, or empty for unlimited' };
+      }
+      limits.max_concurrent_connections = max;
+    }
+  }
+
+  if (body.exclusive_control !== undefined) {
+    if (typeof body.exclusive_control === 'boolean') {
+      limits.exclusive_control = body.exclusive_control;
+    } else if (body.exclusive_control === 'true' || body.exclusive_control === 'false') {
+      limits.exclusive_control = body.exclusive_control === 'true';
+    } else {
+      return { error: 'exclusive_control must be true or false' };
+    }
+  }
+
+  if (Object.keys(limits).length === 0) {
+    return { error: 'No connection limit fields provided' };
+  }
+
+  return { limits };
+}
+
+/**
+ * Update a device's connection limits
+ * Connections already open are left alone; the new limits apply to the next connect.
+ * @param {number} deviceId - Device ID
+ * @param {Object} limits - Column values from parseConnectionLimits
+ * @param {number} updatedBy - Admin user ID, for the audit log
+ * @returns {Promise<Object|null>} Updated device row, or null if missing
+ */
+async function updateConnectionLimits(deviceId, limits, updatedBy) {
+  const updated = await db.update('devices', { ...limits, updated_at: new Date() }, { id: deviceId });
+  if (updated.length === 0) {
+    return null;
+  }
+
+  routeLogger.info('Device connection limits updated', {
+    deviceId,
+    updatedBy,
+    limits
+  });
+  return updated[0];
+}
+
+/**
+ * Shape a device's connection limits for JSON responses and views
+ * @param {Object} device - Device row with connection limit columns
+ * @returns {Object} Formatted limits
+ */
+function formatConnectionLimits(device) {
+  return {
+    maxConcurrentConnections: device.max_concurrent_connections,
+    exclusiveControl: device.exclusive_control,
+    effectiveLimit: getConnectionLimit(device)
+  };
+}
+
+/**
+ * Get a connection with its device details
+ * @param {number} connectionId - Connection ID
+ * @returns {Promise<Object|null>} Connection row joined with the device, or null
+ */
+async function getDeviceConnection(connectionId) {
+  const result = await db.query(`
+    SELECT dc.*, d.name as device_name, d.device_type, d.mac_address, d.ip_address,
+           d.location, d.firmware_version, d.status as device_status,
+           a.name as disconnected_by_name
+    FROM device_connections dc
+    JOIN devices d ON dc.device_id = d.id
+    LEFT JOIN users a ON dc.disconnected_by = a.id
+    WHERE dc.id = $1
+  `, [connectionId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * List connection history, newest first
+ * @param {Object} filters - { deviceId, userId, active, breakGlass, reviewed, limit, offset }
+ *   active limits to open connections; breakGlass to emergency connections; reviewed (true/false) to
+ *   break-glass connections that have or have not been reviewed
+ * @returns {Promise<Array>} Connection rows joined with user, device, disconnecting admin and reviewer names
+ */
+async function listDeviceConnections({
+  deviceId,
+  userId,
+  active = false,
+  breakGlass = false,
+  reviewed = null,
+  limit = 50,
+  offset = 0
+} = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (deviceId) {
+    params.push(deviceId);
+    conditions.push(`dc.device_id = $${params.length}`);
+  }
+  if (userId) {
+    params.push(userId);
+    conditions.push(`dc.user_id = $${params.length}`);
+  }
+  if (active) {
+    conditions.push('dc.disconnected_at IS NULL');
+  }
+  if (breakGlass) {
+    conditions.push('dc.break_glass = true');
+  }
+  if (reviewed !== null) {
+    conditions.push(reviewed ? 'dc.break_glass_reviewed_at IS NOT NULL' : 'dc.break_glass_reviewed_at IS NULL');
+  }
+
+  const whereClause = conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '';
+  params.push(limit, offset);
+
+  const result = await db.query(`
+    SELECT dc.*, u.name as user_name, u.email as user_email,
+           d.name as device_name, d.device_type, d.exclusive_control,
+           a.name as disconnected_by_name, rv.name as break_glass_reviewed_by_name
+    FROM device_connections dc
+    JOIN users u ON dc.user_id = u.id
+    JOIN devices d ON dc.device_id = d.id
+    LEFT JOIN users a ON dc.disconnected_by = a.id
+    LEFT JOIN users rv ON dc.break_glass_reviewed_by = rv.id
+    ${whereClause}
+    ORDER BY dc.connected_at DESC
+    LIMIT $${params.length - 1} OFFSET $${params.length}
+  `, params);
+  return result.rows;
+}
+
+/**
+ * Shape a connection row for JSON responses and views
+ * Open connections report their duration so far.
+ * @param {Object} connection - Connection row from listDeviceConnections
+ * @returns {Object} Formatted connection
+ */
+function formatDeviceConnection(connection) {
+  const end = connection.disconnected_at ? new Date(connection.disconnected_at) : new Date();
+  const durationSeconds = Math.floor((end - new Date(connection.connected_at)) / 1000);
+
+  return {
+    id: connection.id,
+    userId: connection.user_id,
+    userName: connection.user_name,
+    userEmail: connection.user_email,
+    deviceId: connection.device_id,
+    deviceName: connection.device_name,
+    deviceType: connection.device_type,
+    accessLevel: connection.access_level,
+    sourceIp: connection.source_ip,
+    userAgent: connection.user_agent,
+    connectedAt: connection.connected_at,
+    disconnectedAt: connection.disconnected_at,
+    disconnectReason: connection.disconnect_reason,
+    disconnectedBy: connection.disconnected_by_name || null,
+    disconnectNote: connection.disconnect_note,
+    isActive: !connection.disconnected_at,
+    durationSeconds: durationSeconds,
+    duration: formatDuration(durationSeconds),
+    breakGlass: connection.break_glass,
+    breakGlassJustification: connection.break_glass_justification,
+    breakGlassAlertId: connection.break_glass_alert_id,
+    breakGlassReview: connection.break_glass ? {
+      pending: !connection.break_glass_reviewed_at,
+      reviewedBy: connection.break_glass_reviewed_by_name || null,
+      reviewedAt: connection.break_glass_reviewed_at,
+      outcome: connection.break_glass_review_outcome,
+      note: connection.break_glass_review_note
+    } : null
+  };
+}
+
+module.exports = {
+  EXCLUSIVE_CONTROL_TYPES,
+  formatDuration,
+  getConnectionTimeouts,
+  getConnectionExpiry,
+  getConnectionLimit,
+  openDeviceConnection,
+  touchDeviceConnection,
+  closeDeviceConnection,
+  closeDeviceConnectionsForDevice,
+  closeExpiredConnections,
+  parseConnectionLimits,
+  updateConnectionLimits,
+  formatConnectionLimits,
+  getDeviceConnection,
+  listDeviceConnections,
+  formatDeviceConnection
+};
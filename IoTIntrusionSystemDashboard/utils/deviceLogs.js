@@ -0,0 +1,64 @@
+/**
+ * Device Logs
+ * Log lines reported by devices, including their heartbeats
+ */
+
+const createError = require('http-errors');
+const db = require('../config/database');
+
+const LOG_LEVELS = ['info', 'warning', 'error', 'debug'];
+
+const LOG_EVENT_TYPES = ['connection', 'disconnection', 'data_transmission', 'error', 'heartbeat'];
+
+/**
+ * Validate and store a device log line
+ * @param {Object} log - { deviceId, logLevel, message, eventType, metadata }
+ * @param {Object} client - Optional transaction client (default: shared pool)
+ * @returns {Promise<Object>} Stored log row
+ * @throws {HttpError} 400 on invalid input (BR-DL001-003, BR-DL005)
+ */
+async function recordDeviceLog({ deviceId, logLevel, message, eventType = null, metadata = {} }, client = db) {
+  if (!LOG_LEVELS.includes(logLevel)) {
+    throw createError(400, `Invalid log level. Must be one of: ${LOG_LEVELS.join(', ')}`);
+  }
+  if (typeof message !== 'string' || !message.trim()) {
+    throw createError(400, 'Log message cannot be empty');
+  }
+  if (eventType !== null && !LOG_EVENT_TYPES.includes(eventType)) {
+    throw createError(400, `Invalid event type. Must be one of: ${LOG_EVENT_TYPES.join(', ')}`);
+  }
+  if (metadata === null || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    throw createError(400, 'Log metadata must be a JSON object');
+  }
+
+  const result = await client.query(`
+    INSERT INTO device_logs (device_id, log_level, message, event_type, metadata)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING *
+  `, [deviceId, logLevel, message.trim(), eventType, JSON.stringify(metadata)]);
+  return result.rows[0];
+}
+
+/**
+ * Shape a device log row for JSON responses and views
+ * @param {Object} log - Row from device_logs
+ * @returns {Object} Formatted log line
+ */
+function formatDeviceLog(log) {
+  return {
+    id: log.id,
+    deviceId: log.device_id,
+    logLevel: log.log_level,
+    message: log.message,
+    eventType: log.event_type,
+    metadata: log.metadata || {},
+    createdAt: log.created_at
+  };
+}
+
+module.exports = {
+  LOG_LEVELS,
+  LOG_EVENT_TYPES,
+  recordDeviceLog,
+  formatDeviceLog
+};
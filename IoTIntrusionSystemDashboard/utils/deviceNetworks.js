@@ -0,0 +1,117 @@
+/**
+ * Device Network Allowlists
+ * Source CIDRs a device accepts connections from, e.g. only the OT network
+ */
+
+const createError = require('http-errors');
+const db = require('../config/database');
+const { routeLogger } = require('./logger');
+const { normalizeIp, isIpOrCidr } = require('./network');
+
+/**
+ * List the networks a device accepts connections from
+ * @param {number} deviceId - Device ID
+ * @returns {Promise<Array>} Network rows joined with the creating admin's name
+ */
+async function listDeviceAllowedNetworks(deviceId) {
+  const result = await db.query(`
+    SELECT n.*, u.name as created_by_name
+    FROM device_allowed_networks n
+    LEFT JOIN users u ON n.created_by = u.id
+    WHERE n.device_id = $1
+    ORDER BY n.network
+  `, [deviceId]);
+  return result.rows;
+}
+
+/**
+ * Check whether a device accepts connections from a source address
+ * A device with no allowed networks accepts any source.
+ * @param {number} deviceId - Device ID
+ * @param {string} sourceIp - Client address
+ * @returns {Promise<Object>} { allowed, networks } - networks lists the allowed CIDRs (empty if unrestricted)
+ */
+async function checkSourceAllowed(deviceId, sourceIp) {
+  const result = await db.query(`
+    SELECT network, $2::inet <<= network as matches
+    FROM device_allowed_networks
+    WHERE device_id = $1
+    ORDER BY network
+  `, [deviceId, normalizeIp(sourceIp)]);
+
+  return {
+    allowed: result.rows.length === 0 || result.rows.some(row => row.matches),
+    networks: result.rows.map(row => row.network)
+  };
+}
+
+/**
+ * Allow a device to be reached from a network
+ * Host bits are cleared, so '10.20.0.5/16' is stored as '10.20.0.0/16' and a bare address as a /32 (or /128).
+ * @param {Object} entry - { deviceId, network, description, createdBy }
+ * @returns {Promise<Object>} Stored network row
+ * @throws {HttpError} 400 on an invalid network, 409 if the device already allows it
+ */
+async function addDeviceAllowedNetwork({ deviceId, network, description, createdBy }) {
+  const value = normalizeIp(network ? String(network).trim() : '');
+  if (!value || !isIpOrCidr(value)) {
+    throw createError(400, 'network must be an IP address or CIDR block (e.g. 10.20.0.0/16)');
+  }
+
+  try {
+    const result = await db.query(`
+      INSERT INTO device_allowed_networks (device_id, network, description, created_by)
+      VALUES ($1, network($2::inet)::cidr, $3, $4)
+      RETURNING *
+    `, [deviceId, value, description ? description.trim() : null, createdBy]);
+
+    routeLogger.info('Device allowed network added', {
+      deviceId,
+      network: result.rows[0].network,
+      createdBy
+    });
+    return result.rows[0];
+  } catch (error) {
+    if (error.code === '23505') { // Unique violation on (device_id, network)
+      throw createError(409, `The device already allows ${value}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Remove a network from a device's allowlist
+ * @param {number} deviceId - Device ID
+ * @param {number} networkId - Allowed network ID
+ * @returns {Promise<boolean>} True if an entry was removed
+ */
+async function removeDeviceAllowedNetwork(deviceId, networkId) {
+  const deletedCount = await db.delete('device_allowed_networks', { id: networkId, device_id: deviceId });
+  if (deletedCount > 0) {
+    routeLogger.info('Device allowed network removed', { deviceId, networkId });
+  }
+  return deletedCount > 0;
+}
+
+/**
+ * Shape an allowed network row for JSON responses and views
+ * @param {Object} network - Row from listDeviceAllowedNetworks
+ * @returns {Object} Formatted network
+ */
+function formatAllowedNetwork(network) {
+  return {
+    id: network.id,
+    network: network.network,
+    description: network.description,
+    createdBy: network.created_by_name || null,
+    createdAt: network.created_at
+  };
+}
+
+module.exports = {
+  listDeviceAllowedNetworks,
+  checkSourceAllowed,
+  addDeviceAllowedNetwork,
+  removeDeviceAllowedNetwork,
+  formatAllowedNetwork
+};
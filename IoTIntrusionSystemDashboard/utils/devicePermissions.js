@@ -0,0 +1,331 @@
+/**
+ * Device Permission Model
+ * Per-user, per-device access grants with hierarchical access levels
+ */
+
+const db = require('../config/database');
+const { routeLogger } = require('./logger');
+
+// Access levels in ascending order - each level includes the ones before it
+const ACCESS_LEVELS = ['view', 'connect', 'control'];
+
+// Day numbers match Date.getDay() and the schedule_days column
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)(:[0-5]\d)?$/;
+
+/**
+ * Check whether a granted access level satisfies a required level
+ * @param {string} grantedLevel - Level held by the user
+ * @param {string} requiredLevel - Level needed for the operation
+ * @returns {boolean} True if the granted level is sufficient
+ */
+function accessLevelSatisfies(grantedLevel, requiredLevel) {
+  const granted = ACCESS_LEVELS.indexOf(grantedLevel);
+  const required = ACCESS_LEVELS.indexOf(requiredLevel);
+  return granted !== -1 && required !== -1 && granted >= required;
+}
+
+/**
+ * Convert a 'HH:MM[:SS]' time string to minutes since midnight
+ * @param {string} time - Time string
+ * @returns {number} Minutes since midnight
+ */
+function timeToMinutes(time) {
+  const [hours, minutes] = time.split(':').map(part => parseInt(part, 10));
+  return hours * 60 + minutes;
+}
+
+/**
+ * Check whether a grant's validity period and schedule cover a point in time
+ * Daily windows use server local time; a window whose end is before its start
+ * runs overnight (e.g. 22:00-06:00).
+ * @param {Object} grant - Grant row
+ * @param {Date} now - Point in time to check (default: current time)
+ * @returns {boolean} True if the grant is usable at that time
+ */
+function isWithinAccessWindow(grant, now = new Date()) {
+  if (grant.valid_from && now < new Date(grant.valid_from)) {
+    return false;
+  }
+
+  if (grant.valid_until && now >= new Date(grant.valid_until)) {
+    return false;
+  }
+
+  if (grant.schedule_days && grant.schedule_days.length > 0 &&
+      !grant.schedule_days.map(Number).includes(now.getDay())) {
+    return false;
+  }
+
+  if (grant.schedule_start && grant.schedule_end) {
+    const current = now.getHours() * 60 + now.getMinutes();
+    const start = timeToMinutes(grant.schedule_start);
+    const end = timeToMinutes(grant.schedule_end);
+
+    const inWindow = start <= end
+      ? current >= start && current < end
+      : current >= start || current < end;
+
+    if (!inWindow) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Describe a grant's access window in human-readable form
+ * @param {Object} grant - Grant row
+ * @returns {string} Description such as 'Mon, Tue 09:00-17:00 until 1/31/2024, 5:00:00 PM'
+ */
+function describeAccessWindow(grant) {
+  const parts = [];
+
+  if (grant.schedule_days && grant.schedule_days.length > 0) {
+    parts.push(grant.schedule_days.map(day => DAY_NAMES[day]).join(', '));
+  }
+
+  if (grant.schedule_start && grant.schedule_end) {
+    parts.push(`${grant.schedule_start.substring(0, 5)}-${grant.schedule_end.substring(0, 5)}`);
+  }
+
+  if (grant.valid_from) {
+    parts.push(`from ${new Date(grant.valid_from).toLocaleString()}`);
+  }
+
+  if (grant.valid_until) {
+    parts.push(`until ${new Date(grant.valid_until).toLocaleString()}`);
+  }
+
+  return parts.length > 0 ? parts.join(' ') : 'Always';
+}
+
+/**
+ * Parse and validate access window fields from a request body
+ * Accepts either valid_from/valid_until or duration_minutes for one-off grants,
+ * plus optional schedule_days and schedule_start/schedule_end for recurring windows.
+ * @param {Object} body - Request body
+ * @param {Date} now - Reference time for duration_minutes (default: current time)
+ * @returns {Object} { window, error } - window holds column values ready to store
+ */
+function parseAccessWindow(body, now = new Date()) {
+  const window = {
+    validFrom: null,
+    validUntil: null,
+    scheduleDays: null,
+    scheduleStart: null,
+    scheduleEnd: null
+  };
+
+  if (body.duration_minutes !== undefined && body.duration_minutes !== '') {
+    const duration = parseInt(body.duration_minutes, 10);
+    if (isNaN(duration) || duration <= 0) {
+      return { error: 'Duration must be a positive number of minutes' };
+    }
+    window.validFrom = now;
+    window.validUntil = new Date(now.getTime() + duration * 60000);
+  } else {
+    if (body.valid_from) {
+      window.validFrom = new Date(body.valid_from);
+      if (isNaN(window.validFrom.getTime())) {
+        return { error: 'Invalid valid_from date' };
+      }
+    }
+    if (body.valid_until) {
+      window.validUntil = new Date(body.valid_until);
+      if (isNaN(window.validUntil.getTime())) {
+        return { error: 'Invalid valid_until date' };
+      }
+    }
+    if (window.validFrom && window.validUntil && window.validUntil <= window.validFrom) {
+      return { error: 'valid_until must be after valid_from' };
+    }
+  }
+
+  if (body.schedule_days !== undefined && body.schedule_days !== '' && body.schedule_days !== null) {
+    const days = (Array.isArray(body.schedule_days) ? body.schedule_days : String(body.schedule_days).split(','))
+      .map(day => parseInt(day, 10));
+    if (days.length === 0 || days.some(day => isNaN(day) || day < 0 || day > 6)) {
+      return { error: 'schedule_days must contain day numbers between 0 (Sunday) and 6 (Saturday)' };
+    }
+    window.scheduleDays = [...new Set(days)].sort();
+  }
+
+  const hasStart = Boolean(body.schedule_start);
+  const hasEnd = Boolean(body.schedule_end);
+  if (hasStart !== hasEnd) {
+    return { error: 'schedule_start and schedule_end must be provided together' };
+  }
+  if (hasStart) {
+    if (!TIME_PATTERN.test(body.schedule_start) || !TIME_PATTERN.test(body.schedule_end)) {
+      return { error: 'Schedule times must use HH:MM format' };
+    }
+    if (body.schedule_start === body.schedule_end) {
+      return { error: 'schedule_start and schedule_end must differ' };
+    }
+    window.scheduleStart = body.schedule_start;
+    window.scheduleEnd = body.schedule_end;
+  }
+
+  return { window };
+}
+
+/**
+ * Get the permission grant a user holds for a device
+ * @param {number} userId - User ID
+ * @param {number} deviceId - Device ID
+ * @returns {Promise<Object|null>} Grant row or null
+ */
+async function getDevicePermission(userId, deviceId) {
+  const result = await db.query(
+    'SELECT * FROM device_permissions WHERE user_id = $1 AND device_id = $2',
+    [userId, deviceId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Work out whether a user may access a device at the required level
+ * @param {number} userId - User ID
+ * @param {number} deviceId - Device ID
+ * @param {string} requiredLevel - Required access level (default: 'connect')
+ * @returns {Promise<Object>} { allowed, reason, grant }
+ */
+async function checkDevicePermission(userId, deviceId, requiredLevel = 'connect') {
+  const userResult = await db.query('SELECT role FROM users WHERE id = $1', [userId]);
+  if (userResult.rows.length > 0 && userResult.rows[0].role === 'admin') {
+    return { allowed: true, reason: 'admin', grant: null };
+  }
+
+  const grant = await getDevicePermission(userId, deviceId);
+  if (!grant) {
+    return { allowed: false, reason: 'no_permission', grant: null };
+  }
+
+  if (!accessLevelSatisfies(grant.access_level, requiredLevel)) {
+    return { allowed: false, reason: 'insufficient_access_level', grant };
+  }
+
+  if (!isWithinAccessWindow(grant)) {
+    return { allowed: false, reason: 'outside_access_window', grant };
+  }
+
+  return { allowed: true, reason: 'granted', grant };
+}
+
+/**
+ * List all permission grants for a device
+ * @param {number} deviceId - Device ID
+ * @returns {Promise<Array>} Grants joined with user and granter names
+ */
+async function listDevicePermissions(deviceId) {
+  const result = await db.query(`
+    SELECT dp.id, dp.user_id, dp.device_id, dp.access_level, dp.granted_at, dp.updated_at,
+           dp.valid_from, dp.valid_until, dp.schedule_days, dp.schedule_start, dp.schedule_end,
+           u.name as user_name, u.email as user_email,
+           g.name as granted_by_name
+    FROM device_permissions dp
+    JOIN users u ON dp.user_id = u.id
+    LEFT JOIN users g ON dp.granted_by = g.id
+    WHERE dp.device_id = $1
+    ORDER BY u.name ASC
+  `, [deviceId]);
+  return result.rows;
+}
+
+/**
+ * Grant (or update) a user's access to a device
+ * Re-granting replaces the previous access level and window.
+ * @param {Object} grant - { userId, deviceId, accessLevel, grantedBy, window }
+ * @param {Object} client - Optional transaction client (default: shared pool)
+ * @returns {Promise<Object>} Stored grant row
+ */
+async function grantDevicePermission({ userId, deviceId, accessLevel, grantedBy, window = {} }, client = db) {
+  const result = await client.query(`
+    INSERT INTO device_permissions (
+      user_id, device_id, access_level, granted_by,
+      valid_from, valid_until, schedule_days, schedule_start, schedule_end
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    ON CONFLICT (user_id, device_id) DO UPDATE
+      SET access_level = EXCLUDED.access_level,
+          granted_by = EXCLUDED.granted_by,
+          valid_from = EXCLUDED.valid_from,
+          valid_until = EXCLUDED.valid_until,
+          schedule_days = EXCLUDED.schedule_days,
+          schedule_start = EXCLUDED.schedule_start,
+          schedule_end = EXCLUDED.schedule_end,
+          updated_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `, [
+    userId,
+    deviceId,
+    accessLevel,
+    grantedBy,
+    window.validFrom || null,
+    window.validUntil || null,
+    window.scheduleDays || null,
+    window.scheduleStart || null,
+    window.scheduleEnd || null
+  ]);
+
+  routeLogger.info('Device permission granted', {
+    userId,
+    deviceId,
+    accessLevel,
+    grantedBy,
+    validUntil: window.validUntil || null
+  });
+  return result.rows[0];
+}
+
+/**
+ * Revoke a user's access to a device
+ * @param {number} userId - User ID
+ * @param {number} deviceId - Device ID
+ * @returns {Promise<boolean>} True if a grant was removed
+ */
+async function revokeDevicePermission(userId, deviceId) {
+  const deletedCount = await db.delete('device_permissions', { user_id: userId, device_id: deviceId });
+  if (deletedCount > 0) {
+    routeLogger.info('Device permission revoked', { userId, deviceId });
+  }
+  return deletedCount > 0;
+}
+
+/**
+ * Delete grants whose validity period has ended
+ * @returns {Promise<number>} Number of grants removed
+ */
+async function deleteExpiredPermissions() {
+  const result = await db.query(`
+    DELETE FROM device_permissions
+    WHERE valid_until IS NOT NULL AND valid_until <= NOW()
+    RETURNING user_id, device_id, valid_until
+  `);
+
+  if (result.rowCount > 0) {
+    routeLogger.info('Expired device permissions removed', {
+      count: result.rowCount,
+      grants: result.rows.map(row => ({ userId: row.user_id, deviceId: row.device_id }))
+    });
+  }
+  return result.rowCount;
+}
+
+module.exports = {
+  ACCESS_LEVELS,
+  DAY_NAMES,
+  accessLevelSatisfies,
+  isWithinAccessWindow,
+  describeAccessWindow,
+  parseAccessWindow,
+  getDevicePermission,
+  checkDevicePermission,
+  listDevicePermissions,
+  grantDevicePermission,
+  revokeDevicePermission,
+  deleteExpiredPermissions
+};
@@ -0,0 +1,138 @@
+/**
+ * Device Security Profile
+ * Per-device security settings and the connect policy derived from them
+ */
+
+const db = require('../config/database');
+const { routeLogger } = require('./logger');
+
+// Security levels in ascending order
+const SECURITY_LEVELS = ['none', 'low', 'medium', 'high'];
+
+const PROFILE_FLAGS = ['auth_required', 'encryption_in_transit', 'default_credentials_changed'];
+
+/**
+ * Check whether a device only accepts users with an explicit grant
+ * @param {Object} device - Device row with security profile columns
+ * @returns {boolean} True if connections without a grant must be blocked
+ */
+function requiresExplicitPermission(device) {
+  return device.auth_required === true || device.security_level === 'high';
+}
+
+/**
+ * List the weaknesses in a device's security profile
+ * @param {Object} device - Device row with security profile columns
+ * @returns {Array<string>} Human-readable weaknesses, empty if none
+ */
+function listSecurityWeaknesses(device) {
+  const weaknesses = [];
+  if (!device.auth_required) weaknesses.push('No authentication');
+  if (!device.encryption_in_transit) weaknesses.push('Unencrypted traffic');
+  if (!device.default_credentials_changed) weaknesses.push('Default credentials');
+  return weaknesses;
+}
+
+/**
+ * Decide what happens when a user connects to a device
+ * @param {Object} device - Device row with security profile columns
+ * @param {Object} permission - Result of checkDevicePermission
+ * @returns {Object} { action: 'allow'|'allow_with_alert'|'block', reason, severity }
+ */
+function evaluateConnectPolicy(device, permission) {
+  if (permission.allowed) {
+    return { action: 'allow', reason: permission.reason, severity: null };
+  }
+
+  if (requiresExplicitPermission(device)) {
+    return { action: 'block', reason: 'no_permission_secured_device', severity: null };
+  }
+
+  // Unsecured device: let the user in but raise an alert, worse if credentials are factory defaults
+  return {
+    action: 'allow_with_alert',
+    reason: 'unsecured_device_access',
+    severity: device.default_credentials_changed ? 'medium' : 'high'
+  };
+}
+
+/**
+ * Shape a device's security profile for JSON responses and views
+ * @param {Object} device - Device row with security profile columns
+ * @returns {Object} Formatted profile
+ */
+function formatSecurityProfile(device) {
+  return {
+    authRequired: device.auth_required,
+    encryptionInTransit: device.encryption_in_transit,
+    defaultCredentialsChanged: device.default_credentials_changed,
+    securityLevel: device.security_level,
+    requiresExplicitPermission: requiresExplicitPermission(device),
+    weaknesses: listSecurityWeaknesses(device)
+  };
+}
+
+/**
+ * Parse and validate security profile fields from a request body
+ * Only fields present in the body are returned, so partial updates are possible.
+ * @param {Object} body - Request body
+ * @returns {Object} { profile, error } - profile holds column values ready to store
+ */
+function parseSecurityProfile(body) {
+  const profile = {};
+
+  for (const flag of PROFILE_FLAGS) {
+    if (body[flag] === undefined) continue;
+    if (typeof body[flag] === 'boolean') {
+      profile[flag] = body[flag];
+    } else if (body[flag] === 'true' || body[flag] === 'false') {
+      profile[flag] = body[flag] === 'true';
+    } else {
+      return { error: `${flag} must be true or false` };
+    }
+  }
+
+  if (body.security_level !== undefined) {
+    if (!SECURITY_LEVELS.includes(body.security_level)) {
+      return { error: `Invalid security level. Must be one of: ${SECURITY_LEVELS.join(', ')}` };
+    }
+    profile.security_level = body.security_level;
+  }
+
+  if (Object.keys(profile).length === 0) {
+    return { error: 'No security profile fields provided' };
+  }
+
+  return { profile };
+}
+
+/**
+ * Update a device's security profile
+ * @param {number} deviceId - Device ID
+ * @param {Object} profile - Column values from parseSecurityProfile
+ * @param {number} updatedBy - Admin user ID, for the audit log
+ * @returns {Promise<Object|null>} Updated device row, or null if missing
+ */
+async function updateSecurityProfile(deviceId, profile, updatedBy) {
+  const updated = await db.update('devices', { ...profile, updated_at: new Date() }, { id: deviceId });
+  if (updated.length === 0) {
+    return null;
+  }
+
+  routeLogger.info('Device security profile updated', {
+    deviceId,
+    updatedBy,
+    profile
+  });
+  return updated[0];
+}
+
+module.exports = {
+  SECURITY_LEVELS,
+  requiresExplicitPermission,
+  listSecurityWeaknesses,
+  evaluateConnectPolicy,
+  formatSecurityProfile,
+  parseSecurityProfile,
+  updateSecurityProfile
+};
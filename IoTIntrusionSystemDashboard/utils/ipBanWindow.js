@@ -0,0 +1,23 @@
+/**
+ * IP Ban Window
+ * Where the window of blocked attempts counted towards an automatic ban starts (BR-IB002).
+ * Attempts are counted in per-minute buckets (BR-BA007); the window covers the current minute
+ * and the ones before it.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Work out the first minute bucket inside the ban window
+ * @param {Date} now - Current time
+ * @param {number} windowMinutes - IP_BAN_WINDOW_MINUTES
+ * @returns {Date} Start of the earliest minute counted
+ */
+function banWindowStart(now, windowMinutes) {
+  const currentMinute = Math.floor(new Date(now).getTime() / MINUTE_MS) * MINUTE_MS;
+  return new Date(currentMinute - (windowMinutes - 1) * MINUTE_MS);
+}
+
+module.exports = {
+  banWindowStart
+};
@@ -0,0 +1,342 @@
+/**
+ * IP Bans
+ * Source IPs that exceed the blocked attempt threshold are banned for a while (BR-IB002);
+ * admins can also ban addresses or CIDR blocks by hand and lift bans early
+ */
+
+const createError = require('http-errors');
+const db = require('../config/database');
+const config = require('../config/env');
+const { routeLogger } = require('./logger');
+const { normalizeIp, isIpOrCidr, ipInRanges } = require('./network');
+const { insertSecurityAlert, publishSecurityAlert } = require('./securityAlerts');
+const { banWindowStart } = require('./ipBanWindow');
+
+const BAN_STATUSES = ['active', 'expired', 'lifted'];
+
+// Losing a race for an exclusive device lock is not hostile, so it never counts towards a ban
+const NON_BANNABLE_ATTEMPT_TYPES = ['connection_contention'];
+
+// SQL condition for bans that are currently in force
+const ACTIVE_BAN_CONDITION = 'lifted_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())';
+
+/**
+ * Find the ban currently in force for an address, if any
+ * A ban on a CIDR block covers every address in it.
+ * @param {string} ip - Client address
+ * @param {Object} client - Optional transaction client (default: shared pool)
+ * @returns {Promise<Object|null>} Ban row or null
+ */
+async function findActiveBan(ip, client = db) {
+  const result = await client.query(`
+    SELECT * FROM ip_bans
+    WHERE $1::inet <<= ip_address AND ${ACTIVE_BAN_CONDITION}
+    ORDER BY expires_at DESC NULLS FIRST
+    LIMIT 1
+  `, [normalizeIp(ip)]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Check whether an address is in IP_BAN_EXEMPT and so may not be banned automatically
+ * @param {string} ip - Client address
+ * @returns {boolean} True if exempt
+ */
+function isBanExempt(ip) {
+  return ipInRanges(ip, config.security.ipBans.exempt);
+}
+
+/**
+ * Count an address's blocked attempts inside the ban window
+ * Attempts are summed from the per-minute buckets, so an aggregated record spanning a longer
+ * time cannot add attempts from before the window. Only attempts seen since the address's
+ * previous ban ended are counted, so lifting a ban gives the address a clean slate.
+ * @param {string} ip - Normalised client address
+ * @param {number} windowMinutes - IP_BAN_WINDOW_MINUTES
+ * @param {Date} now - Current time
+ * @param {Object} client - Optional transaction client (default: shared pool)
+ * @returns {Promise<number>} Number of attempts
+ */
+async function countBanWindowAttempts(ip, windowMinutes, now = new Date(), client = db) {
+  const result = await client.query(`
+    WITH previous_ban AS (
+      SELECT COALESCE(MAX(COALESCE(lifted_at, expires_at)), '-infinity') as ended_at
+      FROM ip_bans WHERE $1::inet <<= ip_address
+    )
+    SELECT COALESCE(SUM(m.attempt_count), 0)::integer as attempt_count
+    FROM blocked_attempt_minutes m
+    JOIN blocked_attempts ba ON ba.id = m.attempt_id
+    CROSS JOIN previous_ban pb
+    WHERE ba.source_ip = $1
+      AND ba.attempt_type <> ALL($2)
+      AND m.minute >= $3
+      AND ba.last_seen_at > pb.ended_at
+      AND m.minute >= date_trunc('minute', pb.ended_at)
+  `, [ip, NON_BANNABLE_ATTEMPT_TYPES, banWindowStart(now, windowMinutes)]);
+  return result.rows[0].attempt_count;
+}
+
+/**
+ * Ban an address automatically if it has reached the blocked attempt threshold
+ * Attempts are counted by countBanWindowAttempts. Addresses in IP_BAN_EXEMPT are never banned.
+ * @param {string} sourceIp - Address that was just blocked
+ * @param {Object} context - { userAgent } - recorded on the alert
+ * @returns {Promise<Object|null>} The new ban row, or null if no ban was needed
+ * @throws {Error} If the ban or its alert could not be stored - neither is then kept
+ */
+async function applyAutoBan(sourceIp, { userAgent = null } = {}) {
+  const { autoBanThreshold, autoBanWindowMinutes, autoBanDurationMinutes } = config.security.ipBans;
+  const ip = normalizeIp(sourceIp);
+
+  if (!autoBanThreshold || autoBanThreshold <= 0 || isBanExempt(ip)) {
+    return null;
+  }
+
+  const outcome = await db.transaction(async (client) => {
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`ip_ban:${ip}`]);
+
+    if (await findActiveBan(ip, client)) {
+      return null;
+    }
+
+    const attemptCount = await countBanWindowAttempts(ip, autoBanWindowMinutes, new Date(), client);
+
+    if (attemptCount < autoBanThreshold) {
+      return null;
+    }
+
+    const inserted = await client.query(`
+      INSERT INTO ip_bans (ip_address, reason, source, expires_at)
+      VALUES ($1, $2, 'auto', NOW() + $3 * INTERVAL '1 minute')
+      RETURNING *
+    `, [
+      ip,
+      `${attemptCount} blocked attempts within ${autoBanWindowMinutes} minutes`,
+      autoBanDurationMinutes
+    ]);
+    const ban = inserted.rows[0];
+
+    // The alert is stored with the ban: if it cannot be, the ban is rolled back and the
+    // next blocked attempt tries again, so no ban goes unreported
+    const alert = await insertSecurityAlert(
+      client,
+      null,
+      'IP Address Banned',
+      'high',
+      `${ip} was banned until ${new Date(ban.expires_at).toLocaleString()} after ${attemptCount} blocked attempts within ${autoBanWindowMinutes} minutes`,
+      ip,
+      {
+        ban_id: ban.id,
+        attempt_count: attemptCount,
+        window_minutes: autoBanWindowMinutes,
+        expires_at: ban.expires_at,
+        user_agent: userAgent
+      }
+    );
+    await client.query('UPDATE ip_bans SET alert_id = $1 WHERE id = $2', [alert.id, ban.id]);
+    ban.alert_id = alert.id;
+
+    return { ban, alert, attemptCount };
+  });
+
+  if (!outcome) {
+    return null;
+  }
+
+  const { ban, alert, attemptCount } = outcome;
+  routeLogger.warn('IP address banned automatically', {
+    banId: ban.id,
+    sourceIp: ip,
+    attemptCount,
+    expiresAt: ban.expires_at
+  });
+  publishSecurityAlert(alert);
+
+  return ban;
+}
+
+/**
+ * Ban an address or CIDR block by hand, or from a security rule's block_ip action
+ * @param {Object} ban - { ipAddress, reason, durationMinutes, createdBy, ruleId } - durationMinutes null = until lifted;
+ *   a ruleId records the ban as source 'rule' (rule bans must expire)
+ * @returns {Promise<Object>} Created ban row
+ * @throws {HttpError} 400 on invalid input, 409 if the same address is already banned
+ */
+async function createIpBan({ ipAddress, reason, durationMinutes = null, createdBy = null, ruleId = null }) {
+  const ip = normalizeIp(ipAddress ? String(ipAddress).trim() : '');
+  if (!ip || !isIpOrCidr(ip)) {
+    throw createError(400, 'ip_address must be an IP address or CIDR block (e.g. 203.0.113.0/24)');
+  }
+  if (!reason || !reason.trim()) {
+    throw createError(400, 'A reason is required to ban an IP address');
+  }
+  if (durationMinutes !== null && (isNaN(durationMinutes) || durationMinutes <= 0)) {
+    throw createError(400, 'Duration must be a positive number of minutes');
+  }
+  if (ruleId && durationMinutes === null) {
+    throw createError(400, 'Bans made by security rules must have a duration');
+  }
+
+  const ban = await db.transaction(async (client) => {
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`ip_ban:${ip}`]);
+
+    const existing = await client.query(
+      `SELECT id FROM ip_bans WHERE ip_address = $1::inet AND ${ACTIVE_BAN_CONDITION}`,
+      [ip]
+    );
+    if (existing.rows.length > 0) {
+      throw createError(409, `${ip} is already banned`, { banId: existing.rows[0].id });
+    }
+
+    const inserted = await client.query(`
+      INSERT INTO ip_bans (ip_address, reason, source, expires_at, created_by, rule_id)
+      VALUES ($1, $2, $3, NOW() + $4 * INTERVAL '1 minute', $5, $6)
+      RETURNING *
+    `, [ip, reason.trim(), ruleId ? 'rule' : 'manual', durationMinutes, createdBy, ruleId]);
+
+    return inserted.rows[0];
+  });
+
+  routeLogger.warn(ruleId ? 'IP address banned by security rule' : 'IP address banned by admin', {
+    banId: ban.id,
+    ipAddress: ban.ip_address,
+    createdBy,
+    ruleId,
+    expiresAt: ban.expires_at
+  });
+  return ban;
+}
+
+/**
+ * Lift a ban before it expires
+ * @param {number} banId - Ban ID
+ * @param {number} liftedBy - Admin's user ID
+ * @param {string} reason - Why the ban was lifted
+ * @returns {Promise<Object>} Updated ban row
+ * @throws {HttpError} 400 without a reason, 404 if missing, 409 if the ban is no longer in force
+ */
+async function liftIpBan(banId, liftedBy, reason) {
+  if (!reason || !reason.trim()) {
+    throw createError(400, 'A reason is required to lift a ban');
+  }
+
+  const ban = await db.transaction(async (client) => {
+    const result = await client.query('SELECT * FROM ip_bans WHERE id = $1 FOR UPDATE', [banId]);
+    const existing = result.rows[0];
+
+    if (!existing) {
+      throw createError(404, 'IP ban not found');
+    }
+    if (existing.lifted_at) {
+      throw createError(409, 'IP ban has already been lifted');
+    }
+    if (existing.expires_at && new Date(existing.expires_at) <= new Date()) {
+      throw createError(409, 'IP ban has already expired');
+    }
+
+    const updated = await client.query(`
+      UPDATE ip_bans
+      SET lifted_at = CURRENT_TIMESTAMP, lifted_by = $1, lift_reason = $2
+      WHERE id = $3
+      RETURNING *
+    `, [liftedBy, reason.trim(), banId]);
+
+    return updated.rows[0];
+  });
+
+  routeLogger.info('IP ban lifted', {
+    banId,
+    ipAddress: ban.ip_address,
+    liftedBy
+  });
+  return ban;
+}
+
+/**
+ * List bans, newest first
+ * @param {Object} filters - { status, ipAddress, limit, offset } - status is 'active', 'expired' or 'lifted';
+ *   ipAddress matches bans covering that address
+ * @returns {Promise<Array>} Ban rows joined with admin names
+ */
+async function listIpBans({ status, ipAddress, limit = 50, offset = 0 } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (status === 'active') {
+    conditions.push('b.lifted_at IS NULL AND (b.expires_at IS NULL OR b.expires_at > NOW())');
+  } else if (status === 'expired') {
+    conditions.push('b.lifted_at IS NULL AND b.expires_at <= NOW()');
+  } else if (status === 'lifted') {
+    conditions.push('b.lifted_at IS NOT NULL');
+  }
+  if (ipAddress) {
+    params.push(normalizeIp(ipAddress));
+    conditions.push(`$${params.length}::inet <<= b.ip_address`);
+  }
+
+  const whereClause = conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '';
+  params.push(limit, offset);
+
+  const result = await db.query(`
+    SELECT b.*, c.name as created_by_name, l.name as lifted_by_name
+    FROM ip_bans b
+    LEFT JOIN users c ON b.created_by = c.id
+    LEFT JOIN users l ON b.lifted_by = l.id
+    ${whereClause}
+    ORDER BY b.banned_at DESC, b.id DESC
+    LIMIT $${params.length - 1} OFFSET $${params.length}
+  `, params);
+  return result.rows;
+}
+
+/**
+ * Work out whether a ban is active, expired or lifted
+ * @param {Object} ban - Ban row
+ * @param {Date} now - Point in time to check (default: current time)
+ * @returns {string} Ban status
+ */
+function getBanStatus(ban, now = new Date()) {
+  if (ban.lifted_at) {
+    return 'lifted';
+  }
+  if (ban.expires_at && new Date(ban.expires_at) <= now) {
+    return 'expired';
+  }
+  return 'active';
+}
+
+/**
+ * Shape a ban row for JSON responses
+ * @param {Object} ban - Ban row from listIpBans
+ * @returns {Object} Formatted ban
+ */
+function formatIpBan(ban) {
+  return {
+    id: ban.id,
+    ipAddress: ban.ip_address,
+    reason: ban.reason,
+    source: ban.source,
+    status: getBanStatus(ban),
+    bannedAt: ban.banned_at,
+    expiresAt: ban.expires_at,
+    createdBy: ban.created_by_name || null,
+    ruleId: ban.rule_id,
+    alertId: ban.alert_id,
+    liftedAt: ban.lifted_at,
+    liftedBy: ban.lifted_by_name || null,
+    liftReason: ban.lift_reason
+  };
+}
+
+module.exports = {
+  BAN_STATUSES,
+  isBanExempt,
+  findActiveBan,
+  countBanWindowAttempts,
+  applyAutoBan,
+  createIpBan,
+  liftIpBan,
+  listIpBans,
+  getBanStatus,
+  formatIpBan
+};
@@ -0,0 +1,74 @@
+/**
+ * Network Address Helpers
+ * Validation and normalisation of client IP addresses and CIDR blocks
+ */
+
+const net = require('net');
+
+/**
+ * Normalise a client IP address
+ * IPv4 clients on a dual-stack listener show up as IPv4-mapped IPv6 ('::ffff:203.0.113.7');
+ * they are reduced to plain IPv4 so IPv4 bans and filters match them.
+ * @param {string} ip - Address as reported by Express (req.ip)
+ * @returns {string} Normalised address
+ */
+function normalizeIp(ip) {
+  if (!ip) {
+    return ip;
+  }
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+  return mapped ? mapped[1] : ip;
+}
+
+/**
+ * Check whether a value is an IP address or a CIDR block
+ * @param {string} value - e.g. '203.0.113.7' or '203.0.113.0/24'
+ * @returns {boolean} True if valid
+ */
+function isIpOrCidr(value) {
+  const [address, prefix, ...rest] = value.split('/');
+  const version = net.isIP(address);
+  if (!version || rest.length > 0) {
+    return false;
+  }
+  if (prefix === undefined) {
+    return true;
+  }
+  const bits = Number(prefix);
+  return /^\d+$/.test(prefix) && bits <= (version === 4 ? 32 : 128);
+}
+
+/**
+ * Check whether an address falls inside any of a list of addresses or CIDR blocks
+ * @param {string} ip - Address to check
+ * @param {Array<string>} ranges - Addresses or CIDR blocks (invalid entries are ignored)
+ * @returns {boolean} True if the address matches an entry
+ */
+function ipInRanges(ip, ranges) {
+  const address = normalizeIp(ip);
+  const version = net.isIP(address);
+  if (!version || !ranges || ranges.length === 0) {
+    return false;
+  }
+
+  const blockList = new net.BlockList();
+  for (const range of ranges) {
+    if (!isIpOrCidr(range)) {
+      continue;
+    }
+    const [rangeAddress, prefix] = normalizeIp(range).split('/');
+    const type = net.isIP(rangeAddress) === 6 ? 'ipv6' : 'ipv4';
+    if (prefix === undefined) {
+      blockList.addAddress(rangeAddress, type);
+    } else {
+      blockList.addSubnet(rangeAddress, Number(prefix), type);
+    }
+  }
+  return blockList.check(address, version === 6 ? 'ipv6' : 'ipv4');
+}
+
+module.exports = {
+  normalizeIp,
+  isIpOrCidr,
+  ipInRanges
+};
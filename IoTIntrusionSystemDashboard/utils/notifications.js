@@ -0,0 +1,112 @@
+/**
+ * Admin Notifications
+ * In-app messages for administrators, shown on the dashboard until someone marks them read
+ */
+
+const db = require('../config/database');
+const { routeLogger } = require('./logger');
+
+/**
+ * Notify administrators
+ * Failures are logged rather than thrown so that notifying never breaks the caller.
+ * @param {Object} notification - { title, message, severity, link, source, metadata }
+ * @returns {Promise<Object|null>} Stored notification row, or null if it could not be stored
+ */
+async function notifyAdmins({ title, message, severity = 'medium', link = null, source = 'system', metadata = {} }) {
+  try {
+    const notification = await db.insert('admin_notifications', {
+      title: title,
+      message: message,
+      severity: severity,
+      link: link,
+      source: source,
+      metadata: JSON.stringify(metadata)
+    });
+
+    routeLogger.warn('Admin notification raised', {
+      notificationId: notification.id,
+      title,
+      severity,
+      source
+    });
+    return notification;
+  } catch (error) {
+    routeLogger.error('Error raising admin notification', { title, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * List notifications, newest first
+ * @param {Object} options - { unreadOnly, limit }
+ * @returns {Promise<Array>} Notification rows joined with the reader's name
+ */
+async function listNotifications({ unreadOnly = false, limit = 20 } = {}) {
+  const result = await db.query(`
+    SELECT n.*, u.name as read_by_name
+    FROM admin_notifications n
+    LEFT JOIN users u ON n.read_by = u.id
+    ${unreadOnly ? 'WHERE n.read_at IS NULL' : ''}
+    ORDER BY n.created_at DESC, n.id DESC
+    LIMIT $1
+  `, [limit]);
+  return result.rows;
+}
+
+/**
+ * Count unread notifications
+ * @returns {Promise<number>} Number of unread notifications
+ */
+async function countUnreadNotifications() {
+  const result = await db.query('SELECT COUNT(*) as count FROM admin_notifications WHERE read_at IS NULL');
+  return parseInt(result.rows[0].count) || 0;
+}
+
+/**
+ * Mark notifications read
+ * @param {number} userId - Admin marking them read
+ * @param {number|null} notificationId - A single notification, or null for all unread ones
+ * @returns {Promise<number>} Number of notifications marked read
+ */
+async function markNotificationsRead(userId, notificationId = null) {
+  const params = [userId];
+  let condition = 'read_at IS NULL';
+  if (notificationId !== null) {
+    params.push(notificationId);
+    condition += ' AND id = $2';
+  }
+
+  const result = await db.query(
+    `UPDATE admin_notifications SET read_at = CURRENT_TIMESTAMP, read_by = $1 WHERE ${condition}`,
+    params
+  );
+  return result.rowCount;
+}
+
+/**
+ * Shape a notification row for JSON responses and views
+ * @param {Object} notification - Row from listNotifications
+ * @returns {Object} Formatted notification
+ */
+function formatNotification(notification) {
+  return {
+    id: notification.id,
+    title: notification.title,
+    message: notification.message,
+    severity: notification.severity,
+    link: notification.link,
+    source: notification.source,
+    metadata: notification.metadata || {},
+    createdAt: notification.created_at,
+    readAt: notification.read_at,
+    readBy: notification.read_by_name || null
+  };
+}
+
+module.exports = {
+  notifyAdmins,
+  listNotifications,
+  countUnreadNotifications,
+  markNotificationsRead,
+  formatNotification
+};
@@ -0,0 +1,73 @@
+/**
+ * Security Rule Diffs
+ * Compares two definitions of a security rule, down into the conditions and actions JSON,
+ * for the rule's change history (BR-SR019)
+ */
+
+// Rule columns stored in each version, in the order their changes are listed
+const VERSIONED_FIELDS = ['rule_name', 'rule_type', 'is_active', 'priority', 'conditions', 'actions'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function has(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * Collect the differences between two JSON values
+ * Objects are compared key by key and arrays index by index; any other difference, including
+ * a value changing shape, is one change at that path.
+ * @param {*} before - Old value
+ * @param {*} after - New value
+ * @param {string} path - Path of the values, e.g. 'conditions.all[0].value'
+ * @param {Array} changes - Changes found so far
+ * @returns {Array} { path, change, before, after } - change is 'added', 'removed' or 'changed'
+ */
+function diffValues(before, after, path = '', changes = []) {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = [...Object.keys(before), ...Object.keys(after).filter(key => !has(before, key))];
+    for (const key of keys) {
+      const keyPath = path ? `${path}.${key}` : key;
+      if (!has(after, key)) {
+        changes.push({ path: keyPath, change: 'removed', before: before[key] });
+      } else if (!has(before, key)) {
+        changes.push({ path: keyPath, change: 'added', after: after[key] });
+      } else {
+        diffValues(before[key], after[key], keyPath, changes);
+      }
+    }
+  } else if (Array.isArray(before) && Array.isArray(after)) {
+    for (let index = 0; index < Math.max(before.length, after.length); index++) {
+      const itemPath = `${path}[${index}]`;
+      if (index >= after.length) {
+        changes.push({ path: itemPath, change: 'removed', before: before[index] });
+      } else if (index >= before.length) {
+        changes.push({ path: itemPath, change: 'added', after: after[index] });
+      } else {
+        diffValues(before[index], after[index], itemPath, changes);
+      }
+    }
+  } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+    changes.push({ path, change: 'changed', before, after });
+  }
+  return changes;
+}
+
+/**
+ * List what changed between two versions of a rule
+ * @param {Object} previous - Rule or version row before the change
+ * @param {Object} current - Rule or version row after the change
+ * @returns {Array} Changes from diffValues, with paths starting at the column name
+ */
+function diffRuleVersions(previous, current) {
+  const pick = rule => Object.fromEntries(VERSIONED_FIELDS.map(field => [field, rule[field]]));
+  return diffValues(pick(previous), pick(current));
+}
+
+module.exports = {
+  VERSIONED_FIELDS,
+  diffValues,
+  diffRuleVersions
+};
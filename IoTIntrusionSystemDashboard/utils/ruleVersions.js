@@ -0,0 +1,105 @@
+/**
+ * Security Rule Versions
+ * Writing and reading the change history of security rules. Versions are only ever
+ * inserted, so a rule's logic at any point in time can be rebuilt (BR-SR019).
+ */
+
+const db = require('../config/database');
+const { diffRuleVersions } = require('./ruleDiff');
+
+/**
+ * Store a rule's definition as a new version
+ * Call inside the transaction that changed the rule, with the rule's new version number set.
+ * @param {Object} client - Client from db.transaction
+ * @param {Object} rule - Rule row after the change (the last definition, for 'deleted')
+ * @param {Object} details - { changeType, changedBy, previous, restoredFrom } - previous is the
+ *   rule row before the change and is compared with rule for the version's diff
+ * @returns {Promise<Object>} Version row
+ */
+async function recordRuleVersion(client, rule, { changeType, changedBy, previous = null, restoredFrom = null }) {
+  const result = await client.query(`
+    INSERT INTO security_rule_versions
+      (rule_id, version, change_type, rule_name, rule_type, conditions, actions, is_active, priority, diff, restored_from, changed_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    RETURNING *
+  `, [
+    rule.id,
+    rule.version,
+    changeType,
+    rule.rule_name,
+    rule.rule_type,
+    JSON.stringify(rule.conditions),
+    JSON.stringify(rule.actions),
+    rule.is_active,
+    rule.priority,
+    JSON.stringify(previous ? diffRuleVersions(previous, rule) : []),
+    restoredFrom,
+    changedBy || null
+  ]);
+  return result.rows[0];
+}
+
+/**
+ * List a rule's versions, newest first
+ * Still available after the rule is deleted.
+ * @param {number} ruleId - Rule ID
+ * @returns {Promise<Array>} Version rows joined with the author's name
+ */
+async function listRuleVersions(ruleId) {
+  const result = await db.query(`
+    SELECT v.*, u.name as changed_by_name
+    FROM security_rule_versions v
+    LEFT JOIN users u ON v.changed_by = u.id
+    WHERE v.rule_id = $1
+    ORDER BY v.version DESC
+  `, [ruleId]);
+  return result.rows;
+}
+
+/**
+ * Get one version of a rule
+ * @param {number} ruleId - Rule ID
+ * @param {number} version - Version number
+ * @returns {Promise<Object|null>} Version row joined with the author's name, or null
+ */
+async function getRuleVersion(ruleId, version) {
+  const result = await db.query(`
+    SELECT v.*, u.name as changed_by_name
+    FROM security_rule_versions v
+    LEFT JOIN users u ON v.changed_by = u.id
+    WHERE v.rule_id = $1 AND v.version = $2
+  `, [ruleId, version]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Shape a version row for JSON responses and views
+ * @param {Object} version - Row from listRuleVersions or getRuleVersion
+ * @returns {Object} Formatted version
+ */
+function formatRuleVersion(version) {
+  return {
+    id: version.id,
+    ruleId: version.rule_id,
+    version: version.version,
+    changeType: version.change_type,
+    ruleName: version.rule_name,
+    ruleType: version.rule_type,
+    conditions: version.conditions,
+    actions: version.actions,
+    isActive: version.is_active,
+    priority: version.priority,
+    diff: version.diff,
+    restoredFrom: version.restored_from,
+    changedById: version.changed_by,
+    changedBy: version.changed_by_name || null,
+    changedAt: version.changed_at
+  };
+}
+
+module.exports = {
+  recordRuleVersion,
+  listRuleVersions,
+  getRuleVersion,
+  formatRuleVersion
+};
@@ -0,0 +1,313 @@
+/**
+ * Security Rule Windows
+ * State for rules that look at more than one event: sliding-window counters for threshold
+ * conditions and partial matches for sequence conditions. Each rule keeps one window per
+ * source IP, device or user, holding only what is still inside its time limit, so neither
+ * re-reads stored events. Windows live in memory and start empty when the app restarts.
+ */
+
+const { getField, matchesConditions } = require('./rulesEngine');
+
+// Windows kept across all rules before the least recently used ones are dropped
+const MAX_WINDOW_GROUPS = 10000;
+
+// Drop the consumed part of a timestamp list once it is this long
+const COMPACT_AFTER = 1000;
+
+// Partial matches kept per sequence rule and join key; the oldest is dropped beyond this
+const MAX_SEQUENCE_RUNS = 5;
+
+/**
+ * Shape an event as a link in a sequence's event chain
+ * @param {Object} event - Security event
+ * @param {number} stage - Stage the event completed, from 1
+ * @returns {Object} Chain entry
+ */
+function toChainEntry(event, stage) {
+  return {
+    stage,
+    type: event.type,
+    occurredAt: new Date(event.occurredAt || Date.now()),
+    sourceIp: event.sourceIp || null,
+    deviceId: event.deviceId || null,
+    userId: event.userId || null,
+    data: event.data || {}
+  };
+}
+
+/**
+ * Create a store of rule windows
+ * The rules engine keeps one for live events; a backtest uses its own so that it never
+ * touches live state.
+ * @param {Object} options - { maxGroups } - cap on windows kept at once
+ * @returns {Object} { record, advance, clearRule, size }
+ */
+function createWindowStore({ maxGroups = MAX_WINDOW_GROUPS } = {}) {
+  // Rule key => Map of group key => window, least recently used first
+  const rules = new Map();
+  let groupCount = 0;
+
+  function removeGroup(ruleKey, key) {
+    const groups = rules.get(ruleKey);
+    if (groups && groups.delete(key)) {
+      groupCount--;
+      if (groups.size === 0) {
+        rules.delete(ruleKey);
+      }
+    }
+  }
+
+  // Drop expired windows, then the least recently used ones, until there is room for one more
+  function makeRoom(now) {
+    for (const [ruleKey, groups] of rules) {
+      for (const [key, group] of groups) {
+        if (group.expiresAt <= now) {
+          removeGroup(ruleKey, key);
+        }
+      }
+    }
+
+    while (groupCount >= maxGroups) {
+      let oldest = null;
+      for (const [ruleKey, groups] of rules) {
+        const [key, group] = groups.entries().next().value;
+        if (!oldest || group.lastAt < oldest.group.lastAt) {
+          oldest = { ruleKey, key, group };
+        }
+      }
+      removeGroup(oldest.ruleKey, oldest.key);
+    }
+  }
+
+  function ruleKeyOf(rule) {
+    return rule.id === null || rule.id === undefined ? 'unsaved' : rule.id;
+  }
+
+  // Look up a window, moving it to the most recently used end
+  function findGroup(ruleKey, key) {
+    const groups = rules.get(ruleKey);
+    const group = groups && groups.get(key);
+    if (group) {
+      groups.delete(key);
+      groups.set(key, group);
+    }
+    return group;
+  }
+
+  function addGroup(ruleKey, key, group, now) {
+    if (groupCount >= maxGroups) {
+      makeRoom(now);
+    }
+    if (!rules.has(ruleKey)) {
+      rules.set(ruleKey, new Map());
+    }
+    rules.get(ruleKey).set(key, group);
+    groupCount++;
+    return group;
+  }
+
+  /**
+   * Add an event that matched a threshold rule's other conditions to its window
+   * Once the threshold is passed the window is emptied, so the rule fires again only after
+   * another full threshold's worth of events (BR-SR017).
+   * @param {Object} rule - Rule row with a validated conditions.threshold
+   * @param {Object} event - Security event
+   * @returns {Object|null} Window stats if the threshold was passed, otherwise null
+   */
+  function record(rule, event) {
+    const threshold = rule.conditions.threshold;
+    const groupKey = getField(event, threshold.groupBy);
+    if (groupKey === null || groupKey === undefined) {
+      return null;
+    }
+
+    const now = new Date(event.occurredAt || Date.now()).getTime();
+    const windowMs = threshold.windowSeconds * 1000;
+    const cutoff = now - windowMs;
+    const ruleKey = ruleKeyOf(rule);
+    const key = String(groupKey);
+
+    const group = findGroup(ruleKey, key)
+      || addGroup(ruleKey, key, { times: [], head: 0, values: new Map(), lastAt: now }, now);
+
+    group.lastAt = Math.max(group.lastAt, now);
+    group.expiresAt = group.lastAt + windowMs;
+    group.times.push(now);
+    while (group.head < group.times.length && group.times[group.head] <= cutoff) {
+      group.head++;
+    }
+    if (group.head >= COMPACT_AFTER) {
+      group.times = group.times.slice(group.head);
+      group.head = 0;
+    }
+
+    if (threshold.aggregate === 'distinct_count') {
+      const value = getField(event, threshold.field);
+      if (value !== null && value !== undefined) {
+        // Kept in last-seen order so expired values are always at the front
+        const valueKey = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        group.values.delete(valueKey);
+        group.values.set(valueKey, now);
+      }
+      for (const [valueKey, seenAt] of group.values) {
+        if (seenAt > cutoff) break;
+        group.values.delete(valueKey);
+      }
+    }
+
+    const count = group.times.length - group.head;
+    const ratePerMinute = Math.round((count / (threshold.windowSeconds / 60)) * 100) / 100;
+    const value = threshold.aggregate === 'distinct_count' ? group.values.size
+      : threshold.aggregate === 'rate' ? ratePerMinute
+        : count;
+
+    const passed = threshold.operator === 'gt' ? value > threshold.value : value >= threshold.value;
+    if (!passed) {
+      return null;
+    }
+
+    const stats = {
+      groupBy: threshold.groupBy,
+      groupKey,
+      aggregate: threshold.aggregate,
+      field: threshold.field,
+      operator: threshold.operator,
+      threshold: threshold.value,
+      value,
+      windowSeconds: threshold.windowSeconds,
+      count,
+      distinctCount: threshold.aggregate === 'distinct_count' ? group.values.size : undefined,
+      ratePerMinute,
+      windowStart: new Date(group.times[group.head]),
+      windowEnd: new Date(now)
+    };
+    removeGroup(ruleKey, key);
+    return stats;
+  }
+
+  /**
+   * Move a sequence rule's partial matches forward with an event
+   * Every event matching the first stage starts a partial match (a run), timed from that event,
+   * so an older run that is running out of time cannot hold up a newer sequence. Runs expire
+   * withinSeconds after they start (BR-SR018). Of two runs at the same point, only the newer is
+   * kept, and at most MAX_SEQUENCE_RUNS are kept per join key. Once one run completes, the rule
+   * fires and every run for the join key is dropped, so the same events never fire it twice.
+   * @param {Object} rule - Rule row with a validated conditions.sequence
+   * @param {Object} event - Security event
+   * @returns {Object|null} The completed sequence and its event chain, otherwise null
+   */
+  function advance(rule, event) {
+    const sequence = rule.conditions.sequence;
+    const joinKey = getField(event, sequence.joinOn);
+    if (joinKey === null || joinKey === undefined) {
+      return null;
+    }
+
+    const now = new Date(event.occurredAt || Date.now()).getTime();
+    const ruleKey = ruleKeyOf(rule);
+    const key = String(joinKey);
+
+    let group = findGroup(ruleKey, key);
+    const runs = group ? group.runs.filter(run => run.expiresAt >= now) : [];
+
+    const step = run => {
+      run.chain.push(toChainEntry(event, run.stage + 1));
+      run.stageCount++;
+      if (run.stageCount >= (sequence.stages[run.stage].count || 1)) {
+        run.stage++;
+        run.stageCount = 0;
+      }
+    };
+
+    let completed = null;
+    for (const run of runs) {
+      if (matchesConditions(sequence.stages[run.stage], event)) {
+        step(run);
+        if (!completed && run.stage >= sequence.stages.length) {
+          completed = run;
+        }
+      }
+    }
+
+    if (!completed && matchesConditions(sequence.stages[0], event)) {
+      const run = {
+        stage: 0,
+        stageCount: 0,
+        chain: [],
+        startedAt: now,
+        expiresAt: now + sequence.withinSeconds * 1000
+      };
+      step(run);
+      runs.push(run);
+      if (run.stage >= sequence.stages.length) {
+        completed = run;
+      }
+    }
+
+    if (completed) {
+      if (group) {
+        removeGroup(ruleKey, key);
+      }
+      return {
+        joinOn: sequence.joinOn,
+        joinKey,
+        withinSeconds: sequence.withinSeconds,
+        startedAt: new Date(completed.startedAt),
+        completedAt: new Date(now),
+        eventCount: completed.chain.length,
+        events: completed.chain
+      };
+    }
+
+    // Runs are in start order, so keep the last of each point reached and the newest few
+    const kept = runs
+      .filter((run, index) => !runs.slice(index + 1).some(newer => (
+        newer.stage === run.stage && newer.stageCount === run.stageCount
+      )))
+      .slice(-MAX_SEQUENCE_RUNS);
+
+    if (kept.length === 0) {
+      if (group) {
+        removeGroup(ruleKey, key);
+      }
+      return null;
+    }
+
+    if (!group) {
+      group = addGroup(ruleKey, key, { runs: kept }, now);
+    }
+    group.runs = kept;
+    group.expiresAt = Math.max(...kept.map(run => run.expiresAt));
+    group.lastAt = now;
+    return null;
+  }
+
+  /**
+   * Empty a rule's windows (after the rule is changed or deleted)
+   * @param {number} ruleId - Rule ID
+   * @returns {void}
+   */
+  function clearRule(ruleId) {
+    const groups = rules.get(ruleId);
+    if (groups) {
+      groupCount -= groups.size;
+      rules.delete(ruleId);
+    }
+  }
+
+  /**
+   * Number of windows held across all rules
+   * @returns {number} Window count
+   */
+  function size() {
+    return groupCount;
+  }
+
+  return { record, advance, clearRule, size };
+}
+
+module.exports = {
+  MAX_WINDOW_GROUPS,
+  MAX_SEQUENCE_RUNS,
+  createWindowStore
+};
@@ -0,0 +1,591 @@
+/**
+ * Security Rules Engine
+ * Validates rule conditions/actions and evaluates rules against security events.
+ * Pure functions only, apart from the window store that threshold and sequence rules keep their
+ * state in (ruleWindows.js) - loading rules and carrying out actions live in securityRules.js.
+ * The JSON schema is documented in docs/SECURITY_RULES.md.
+ */
+
+const { isIpOrCidr, ipInRanges } = require('./network');
+
+const RULE_TYPES = ['firewall', 'intrusion_detection', 'access_control'];
+
+const EVENT_TYPES = ['device_connect', 'heartbeat', 'blocked_attempt', 'alert_created', 'device_log'];
+
+const ACTION_TYPES = ['create_alert', 'block_ip', 'set_device_status', 'notify', 'stop'];
+
+const ALERT_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+const DEVICE_STATUSES = ['online', 'offline', 'alert'];
+
+// Event properties a condition may read; device and data hold nested fields
+const FIELD_ROOTS = ['type', 'sourceIp', 'deviceId', 'userId', 'device', 'data'];
+
+// Threshold conditions count matching events per source IP, device or user over a sliding window
+const THRESHOLD_GROUP_BY = ['sourceIp', 'deviceId', 'userId'];
+
+const THRESHOLD_AGGREGATES = ['count', 'distinct_count', 'rate'];
+
+const THRESHOLD_OPERATORS = ['gt', 'gte'];
+
+const MAX_WINDOW_SECONDS = 86400;
+
+// Sequence conditions follow one source IP, device or user through ordered stages
+const SEQUENCE_JOIN_ON = ['sourceIp', 'deviceId', 'userId'];
+
+const MAX_SEQUENCE_STAGES = 10;
+
+const MAX_STAGE_COUNT = 50;
+
+// Validators return an error message for a bad value, or null
+const OPERATORS = {
+  eq: { validate: value => (isScalar(value) ? null : 'value must be a string, number, boolean or null') },
+  neq: { validate: value => (isScalar(value) ? null : 'value must be a string, number, boolean or null') },
+  in: { validate: value => (Array.isArray(value) && value.length > 0 ? null : 'value must be a non-empty array') },
+  not_in: { validate: value => (Array.isArray(value) && value.length > 0 ? null : 'value must be a non-empty array') },
+  gt: { validate: validateNumber },
+  gte: { validate: validateNumber },
+  lt: { validate: validateNumber },
+  lte: { validate: validateNumber },
+  contains: { validate: validateString },
+  starts_with: { validate: validateString },
+  matches: {
+    validate: value => {
+      if (typeof value !== 'string' || value === '') {
+        return 'value must be a regular expression';
+      }
+      try {
+        new RegExp(value);
+        return null;
+      } catch (error) {
+        return `value is not a valid regular expression: ${error.message}`;
+      }
+    }
+  },
+  exists: { validate: value => (value === undefined || typeof value === 'boolean' ? null : 'value must be true or false') },
+  in_cidr: {
+    validate: value => {
+      const ranges = Array.isArray(value) ? value : [value];
+      return ranges.length > 0 && ranges.every(range => typeof range === 'string' && isIpOrCidr(range))
+        ? null
+        : 'value must be a CIDR block or an array of CIDR blocks';
+    }
+  }
+};
+
+function isScalar(value) {
+  return value === null || ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+function validateNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? null : 'value must be a number';
+}
+
+function validateString(value) {
+  return typeof value === 'string' && value !== '' ? null : 'value must be a non-empty string';
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate a condition node (a field comparison or an all/any/not group)
+ * @param {*} node - Condition node
+ * @param {string} path - Path of the node, used in error messages
+ * @param {Array} errors - Collected { path, message } errors
+ * @returns {number} Number of field comparisons in the node
+ */
+function validateConditionNode(node, path, errors) {
+  if (!isPlainObject(node)) {
+    errors.push({ path, message: 'Condition must be an object' });
+    return 0;
+  }
+
+  if (node.all !== undefined || node.any !== undefined) {
+    const key = node.all !== undefined ? 'all' : 'any';
+    if (!Array.isArray(node[key]) || node[key].length === 0) {
+      errors.push({ path: `${path}.${key}`, message: `${key} must be a non-empty array of conditions` });
+      return 0;
+    }
+    return node[key].reduce((total, child, index) => total + validateConditionNode(child, `${path}.${key}[${index}]`, errors), 0);
+  }
+
+  if (node.not !== undefined) {
+    return validateConditionNode(node.not, `${path}.not`, errors);
+  }
+
+  let valid = true;
+  if (typeof node.field !== 'string' || !FIELD_ROOTS.includes(node.field.split('.')[0])) {
+    errors.push({ path: `${path}.field`, message: `field must start with one of: ${FIELD_ROOTS.join(', ')}` });
+    valid = false;
+  }
+
+  const operator = OPERATORS[node.operator];
+  if (!operator) {
+    errors.push({ path: `${path}.operator`, message: `operator must be one of: ${Object.keys(OPERATORS).join(', ')}` });
+    return 0;
+  }
+
+  const valueError = operator.validate(node.value);
+  if (valueError) {
+    errors.push({ path: `${path}.value`, message: valueError });
+    valid = false;
+  }
+
+  return valid ? 1 : 0;
+}
+
+/**
+ * Validate a threshold condition
+ * @param {*} threshold - { groupBy, windowSeconds, aggregate, field, operator, value }
+ * @param {Array} errors - Collected { path, message } errors
+ * @returns {boolean} True if the threshold is valid
+ */
+function validateThreshold(threshold, errors) {
+  const path = 'conditions.threshold';
+  if (!isPlainObject(threshold)) {
+    errors.push({ path, message: 'threshold must be an object' });
+    return false;
+  }
+
+  const before = errors.length;
+  if (!THRESHOLD_GROUP_BY.includes(threshold.groupBy)) {
+    errors.push({ path: `${path}.groupBy`, message: `groupBy must be one of: ${THRESHOLD_GROUP_BY.join(', ')}` });
+  }
+  if (!Number.isInteger(threshold.windowSeconds) || threshold.windowSeconds < 1 || threshold.windowSeconds > MAX_WINDOW_SECONDS) {
+    errors.push({ path: `${path}.windowSeconds`, message: `windowSeconds must be a whole number from 1 to ${MAX_WINDOW_SECONDS}` });
+  }
+  if (!THRESHOLD_AGGREGATES.includes(threshold.aggregate)) {
+    errors.push({ path: `${path}.aggregate`, message: `aggregate must be one of: ${THRESHOLD_AGGREGATES.join(', ')}` });
+  }
+  if (threshold.aggregate === 'distinct_count') {
+    if (typeof threshold.field !== 'string' || !FIELD_ROOTS.includes(threshold.field.split('.')[0])) {
+      errors.push({ path: `${path}.field`, message: `field must start with one of: ${FIELD_ROOTS.join(', ')}` });
+    }
+  } else if (threshold.field !== undefined) {
+    errors.push({ path: `${path}.field`, message: 'field is only used with distinct_count' });
+  }
+  if (!THRESHOLD_OPERATORS.includes(threshold.operator)) {
+    errors.push({ path: `${path}.operator`, message: `operator must be one of: ${THRESHOLD_OPERATORS.join(', ')}` });
+  }
+  if (typeof threshold.value !== 'number' || !Number.isFinite(threshold.value) || threshold.value < 0) {
+    errors.push({ path: `${path}.value`, message: 'value must be a number of at least 0' });
+  }
+
+  return errors.length === before;
+}
+
+/**
+ * Validate the events, all and any of a rule's conditions or of a sequence stage
+ * @param {Object} conditions - { events, all, any }
+ * @param {string} path - Path of the conditions, used in error messages
+ * @param {Array} errors - Collected { path, message } errors
+ * @returns {number} Number of valid field comparisons
+ */
+function validateCriteria(conditions, path, errors) {
+  if (!Array.isArray(conditions.events) || conditions.events.length === 0) {
+    errors.push({ path: `${path}.events`, message: `events must list at least one of: ${EVENT_TYPES.join(', ')}` });
+  } else {
+    conditions.events.forEach((eventType, index) => {
+      if (!EVENT_TYPES.includes(eventType)) {
+        errors.push({ path: `${path}.events[${index}]`, message: `Unknown event type '${eventType}'` });
+      }
+    });
+  }
+
+  let criteria = 0;
+  for (const key of ['all', 'any']) {
+    if (conditions[key] === undefined) {
+      continue;
+    }
+    if (!Array.isArray(conditions[key])) {
+      errors.push({ path: `${path}.${key}`, message: `${key} must be an array of conditions` });
+      continue;
+    }
+    conditions[key].forEach((node, index) => {
+      criteria += validateConditionNode(node, `${path}.${key}[${index}]`, errors);
+    });
+  }
+  return criteria;
+}
+
+/**
+ * Validate a sequence condition
+ * @param {*} sequence - { joinOn, withinSeconds, stages }
+ * @param {Array} errors - Collected { path, message } errors
+ * @returns {void}
+ */
+function validateSequence(sequence, errors) {
+  const path = 'conditions.sequence';
+  if (!isPlainObject(sequence)) {
+    errors.push({ path, message: 'sequence must be an object' });
+    return;
+  }
+
+  if (!SEQUENCE_JOIN_ON.includes(sequence.joinOn)) {
+    errors.push({ path: `${path}.joinOn`, message: `joinOn must be one of: ${SEQUENCE_JOIN_ON.join(', ')}` });
+  }
+  if (!Number.isInteger(sequence.withinSeconds) || sequence.withinSeconds < 1 || sequence.withinSeconds > MAX_WINDOW_SECONDS) {
+    errors.push({ path: `${path}.withinSeconds`, message: `withinSeconds must be a whole number from 1 to ${MAX_WINDOW_SECONDS}` });
+  }
+  if (!Array.isArray(sequence.stages) || sequence.stages.length < 2 || sequence.stages.length > MAX_SEQUENCE_STAGES) {
+    errors.push({ path: `${path}.stages`, message: `stages must be an array of 2 to ${MAX_SEQUENCE_STAGES} stages` });
+    return;
+  }
+
+  sequence.stages.forEach((stage, index) => {
+    const stagePath = `${path}.stages[${index}]`;
+    if (!isPlainObject(stage)) {
+      errors.push({ path: stagePath, message: 'Stage must be an object' });
+      return;
+    }
+    validateCriteria(stage, stagePath, errors);
+    if (stage.count !== undefined && (!Number.isInteger(stage.count) || stage.count < 1 || stage.count > MAX_STAGE_COUNT)) {
+      errors.push({ path: `${stagePath}.count`, message: `count must be a whole number from 1 to ${MAX_STAGE_COUNT}` });
+    }
+    if (stage.threshold !== undefined) {
+      errors.push({ path: `${stagePath}.threshold`, message: 'Stages cannot have a threshold; use count' });
+    }
+  });
+}
+
+/**
+ * Validate a rule's conditions
+ * @param {*} conditions - { events, all, any, threshold } or { sequence }
+ * @returns {Array<Object>} { path, message } errors, empty if valid
+ */
+function validateConditions(conditions) {
+  const errors = [];
+
+  if (!isPlainObject(conditions)) {
+    return [{ path: 'conditions', message: 'Conditions must be a JSON object' }];
+  }
+
+  // A sequence's stages carry the conditions, and the sequence itself is the criterion (BR-SR008)
+  if (conditions.sequence !== undefined) {
+    ['events', 'all', 'any', 'threshold'].forEach(key => {
+      if (conditions[key] !== undefined) {
+        errors.push({ path: `conditions.${key}`, message: `${key} cannot be used with sequence; put it in the stages` });
+      }
+    });
+    validateSequence(conditions.sequence, errors);
+    return errors;
+  }
+
+  let criteria = validateCriteria(conditions, 'conditions', errors);
+
+  if (conditions.threshold !== undefined && validateThreshold(conditions.threshold, errors)) {
+    criteria++;
+  }
+
+  // BR-SR008: at least one evaluation criterion besides the event type
+  if (criteria === 0 && errors.length === 0) {
+    errors.push({ path: 'conditions', message: 'Conditions must contain at least one field condition in all or any, or a threshold' });
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a rule's actions
+ * @param {*} actions - Array of action objects
+ * @returns {Array<Object>} { path, message } errors, empty if valid
+ */
+function validateActions(actions) {
+  if (!Array.isArray(actions) || actions.length === 0) {
+    return [{ path: 'actions', message: 'Actions must be a non-empty JSON array' }];
+  }
+
+  const errors = [];
+  actions.forEach((action, index) => {
+    const path = `actions[${index}]`;
+    if (!isPlainObject(action)) {
+      errors.push({ path, message: 'Action must be an object' });
+      return;
+    }
+
+    switch (action.type) {
+      case 'create_alert':
+        if (!ALERT_SEVERITIES.includes(action.severity)) {
+          errors.push({ path: `${path}.severity`, message: `severity must be one of: ${ALERT_SEVERITIES.join(', ')}` });
+        }
+        if (typeof action.alertType !== 'string' || !action.alertType.trim()) {
+          errors.push({ path: `${path}.alertType`, message: 'alertType is required' });
+        }
+        if (action.description !== undefined && typeof action.description !== 'string') {
+          errors.push({ path: `${path}.description`, message: 'description must be a string' });
+        }
+        break;
+      case 'block_ip':
+        if (!Number.isInteger(action.durationMinutes) || action.durationMinutes <= 0) {
+          errors.push({ path: `${path}.durationMinutes`, message: 'durationMinutes must be a positive whole number' });
+        }
+        if (action.reason !== undefined && typeof action.reason !== 'string') {
+          errors.push({ path: `${path}.reason`, message: 'reason must be a string' });
+        }
+        break;
+      case 'set_device_status':
+        if (!DEVICE_STATUSES.includes(action.status)) {
+          errors.push({ path: `${path}.status`, message: `status must be one of: ${DEVICE_STATUSES.join(', ')}` });
+        }
+        break;
+      case 'notify':
+        if (typeof action.message !== 'string' || !action.message.trim()) {
+          errors.push({ path: `${path}.message`, message: 'message is required' });
+        }
+        if (action.title !== undefined && typeof action.title !== 'string') {
+          errors.push({ path: `${path}.title`, message: 'title must be a string' });
+        }
+        if (action.severity !== undefined && !ALERT_SEVERITIES.includes(action.severity)) {
+          errors.push({ path: `${path}.severity`, message: `severity must be one of: ${ALERT_SEVERITIES.join(', ')}` });
+        }
+        break;
+      case 'stop':
+        break;
+      default:
+        errors.push({ path: `${path}.type`, message: `type must be one of: ${ACTION_TYPES.join(', ')}` });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Read a dotted field path from an object
+ * @param {Object} source - e.g. an event
+ * @param {string} path - e.g. 'data.attemptType'
+ * @returns {*} Field value, or undefined if any part is missing
+ */
+function getField(source, path) {
+  return path.split('.').reduce(
+    (value, key) => (value === null || value === undefined ? undefined : value[key]),
+    source
+  );
+}
+
+/**
+ * Compare two scalar values, treating '5' and 5 as equal
+ * @returns {boolean} True if equal
+ */
+function valuesEqual(actual, expected) {
+  if (actual === null || actual === undefined || expected === null) {
+    return (actual === null || actual === undefined) && expected === null;
+  }
+  return String(actual) === String(expected);
+}
+
+/**
+ * Evaluate one field comparison against an event
+ * @param {Object} condition - { field, operator, value }
+ * @param {Object} event - Security event
+ * @returns {boolean} True if the comparison holds
+ */
+function evaluateComparison({ field, operator, value }, event) {
+  const actual = getField(event, field);
+  const missing = actual === null || actual === undefined;
+
+  switch (operator) {
+    case 'eq':
+      return valuesEqual(actual, value);
+    case 'neq':
+      return !valuesEqual(actual, value);
+    case 'in':
+      return value.some(expected => valuesEqual(actual, expected));
+    case 'not_in':
+      return !value.some(expected => valuesEqual(actual, expected));
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte': {
+      const number = Number(actual);
+      if (missing || Number.isNaN(number)) {
+        return false;
+      }
+      return operator === 'gt' ? number > value
+        : operator === 'gte' ? number >= value
+          : operator === 'lt' ? number < value
+            : number <= value;
+    }
+    case 'contains':
+      return !missing && (Array.isArray(actual) ? actual.some(item => valuesEqual(item, value)) : String(actual).includes(value));
+    case 'starts_with':
+      return !missing && String(actual).startsWith(value);
+    case 'matches':
+      return !missing && new RegExp(value).test(String(actual));
+    case 'exists':
+      return value === false ? missing : !missing;
+    case 'in_cidr':
+      return !missing && ipInRanges(String(actual), Array.isArray(value) ? value : [value]);
+    default:
+      throw new Error(`Unknown operator '${operator}'`);
+  }
+}
+
+/**
+ * Evaluate a condition node against an event
+ * @param {Object} node - Field comparison or all/any/not group
+ * @param {Object} event - Security event
+ * @returns {boolean} True if the node matches
+ */
+function evaluateConditionNode(node, event) {
+  if (node.all !== undefined) {
+    return node.all.every(child => evaluateConditionNode(child, event));
+  }
+  if (node.any !== undefined) {
+    return node.any.some(child => evaluateConditionNode(child, event));
+  }
+  if (node.not !== undefined) {
+    return !evaluateConditionNode(node.not, event);
+  }
+  return evaluateComparison(node, event);
+}
+
+/**
+ * List the event types a rule's conditions apply to, including those of every sequence stage
+ * @param {Object} conditions - Rule conditions, which need not be valid
+ * @returns {Array<string>} Event types, without repeats
+ */
+function ruleEventTypes(conditions) {
+  if (!isPlainObject(conditions)) {
+    return [];
+  }
+  const lists = conditions.sequence && Array.isArray(conditions.sequence.stages)
+    ? conditions.sequence.stages.map(stage => stage && stage.events)
+    : [conditions.events];
+  return [...new Set(lists.filter(Array.isArray).flat())];
+}
+
+/**
+ * Check whether an event satisfies a rule's conditions
+ * Every 'all' condition and at least one 'any' condition (when given) must hold.
+ * @param {Object} conditions - Validated conditions, or a sequence stage
+ * @param {Object} event - Security event
+ * @returns {boolean} True if the event matches
+ */
+function matchesConditions(conditions, event) {
+  if (!conditions.events.includes(event.type)) {
+    return false;
+  }
+  if (conditions.all && !conditions.all.every(node => evaluateConditionNode(node, event))) {
+    return false;
+  }
+  if (conditions.any && conditions.any.length > 0 && !conditions.any.some(node => evaluateConditionNode(node, event))) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Sort rules into evaluation order: lowest priority number first, then oldest (BR-SR006)
+ * @param {Array<Object>} rules - Rule rows
+ * @returns {Array<Object>} New sorted array
+ */
+function sortRulesByPriority(rules) {
+  return [...rules].sort((a, b) => (a.priority - b.priority) || (a.id - b.id));
+}
+
+/**
+ * Evaluate rules against an event
+ * Inactive rules are skipped (BR-SR005). A matching rule with a 'stop' action ends evaluation,
+ * so lower-priority rules are not considered. A rule whose stored JSON is invalid is reported
+ * in errors and skipped rather than stopping the others. A rule with a threshold only matches
+ * once the events it has matched within its window pass the threshold (BR-SR017), and a rule
+ * with a sequence once the event completes its last stage (BR-SR018).
+ * @param {Array<Object>} rules - Rule rows ({ id, rule_name, priority, is_active, conditions, actions })
+ * @param {Object} event - Security event
+ * @param {Object} options - { windows } - window store from ruleWindows.createWindowStore, needed for
+ *   threshold and sequence rules
+ * @returns {Object} { matches, errors } - matches are { rule, actions, window, sequence } in evaluation
+ *   order, where window holds the threshold stats and sequence the completed event chain, or null;
+ *   errors are { rule, message }
+ */
+function evaluateRules(rules, event, { windows = null } = {}) {
+  const matches = [];
+  const errors = [];
+
+  for (const rule of sortRulesByPriority(rules)) {
+    if (!rule.is_active) {
+      continue;
+    }
+
+    const problems = [...validateConditions(rule.conditions), ...validateActions(rule.actions)];
+    if (problems.length > 0) {
+      errors.push({ rule, message: `${problems[0].path}: ${problems[0].message}` });
+      continue;
+    }
+
+    const stateful = rule.conditions.sequence ? 'sequence' : rule.conditions.threshold ? 'threshold' : null;
+    if (stateful && !windows) {
+      errors.push({ rule, message: `conditions.${stateful}: no window store to keep its state in` });
+      continue;
+    }
+
+    let window = null;
+    let sequence = null;
+    if (rule.conditions.sequence) {
+      sequence = windows.advance(rule, event);
+      if (!sequence) {
+        continue;
+      }
+    } else {
+      if (!matchesConditions(rule.conditions, event)) {
+        continue;
+      }
+      if (rule.conditions.threshold) {
+        window = windows.record(rule, event);
+        if (!window) {
+          continue;
+        }
+      }
+    }
+
+    matches.push({ rule, actions: rule.actions.filter(action => action.type !== 'stop'), window, sequence });
+    if (rule.actions.some(action => action.type === 'stop')) {
+      break;
+    }
+  }
+
+  return { matches, errors };
+}
+
+/**
+ * Fill {{field.path}} placeholders in an action's text from the event
+ * The rule is available as {{rule.id}} and {{rule.name}}, a threshold rule's stats as
+ * {{window.count}}, {{window.value}}, ... and a sequence rule's chain as {{sequence.joinKey}},
+ * {{sequence.eventCount}}, ...; missing fields render as ''.
+ * @param {string} template - e.g. 'Port scan from {{sourceIp}} on {{device.name}}'
+ * @param {Object} event - Security event
+ * @param {Object} rule - Rule row
+ * @param {Object} match - { window, sequence } from the match, if any
+ * @returns {string} Rendered text
+ */
+function renderTemplate(template, event, rule, { window = null, sequence = null } = {}) {
+  const context = { ...event, rule: { id: rule.id, name: rule.rule_name }, window, sequence };
+  return String(template).replace(/\{\{\s*([\w.]+)\s*\}\}/g, (placeholder, path) => {
+    const value = getField(context, path);
+    return value === null || value === undefined ? '' : String(value);
+  });
+}
+
+module.exports = {
+  RULE_TYPES,
+  EVENT_TYPES,
+  ACTION_TYPES,
+  ALERT_SEVERITIES,
+  DEVICE_STATUSES,
+  OPERATORS: Object.keys(OPERATORS),
+  THRESHOLD_GROUP_BY,
+  THRESHOLD_AGGREGATES,
+  THRESHOLD_OPERATORS,
+  MAX_WINDOW_SECONDS,
+  SEQUENCE_JOIN_ON,
+  validateConditions,
+  validateActions,
+  getField,
+  ruleEventTypes,
+  matchesConditions,
+  sortRulesByPriority,
+  evaluateRules,
+  renderTemplate
+};
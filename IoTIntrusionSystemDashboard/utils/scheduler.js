@@ -0,0 +1,65 @@
+/**
+ * Background Job Scheduler
+ * Runs periodic maintenance tasks (cleanup, sweepers) inside the app process
+ */
+
+const { createComponentLogger } = require('./logger');
+
+const schedulerLogger = createComponentLogger('SCHEDULER');
+
+// Registered jobs keyed by name
+const jobs = new Map();
+
+/**
+ * Schedule a task to run at a fixed interval
+ * A run is skipped if the previous run of the same job is still in progress.
+ * @param {string} name - Unique job name
+ * @param {number} intervalMs - Interval between runs in milliseconds
+ * @param {Function} task - Async function to execute
+ * @returns {void}
+ */
+function scheduleJob(name, intervalMs, task) {
+  if (jobs.has(name)) {
+    schedulerLogger.warn('Job already scheduled, skipping', { name });
+    return;
+  }
+
+  const job = { running: false, timer: null };
+
+  job.timer = setInterval(async () => {
+    if (job.running) {
+      return;
+    }
+    job.running = true;
+    try {
+      await task();
+    } catch (error) {
+      schedulerLogger.error('Scheduled job failed', { name, error: error.message });
+    } finally {
+      job.running = false;
+    }
+  }, intervalMs);
+
+  // Don't keep the process alive just for background jobs
+  job.timer.unref();
+  jobs.set(name, job);
+
+  schedulerLogger.info('Job scheduled', { name, intervalMs });
+}
+
+/**
+ * Stop all scheduled jobs
+ * @returns {void}
+ */
+function stopAllJobs() {
+  for (const [name, job] of jobs) {
+    clearInterval(job.timer);
+    schedulerLogger.debug('Job stopped', { name });
+  }
+  jobs.clear();
+}
+
+module.exports = {
+  scheduleJob,
+  stopAllJobs
+};
@@ -0,0 +1,403 @@
+/**
+ * Security Alerts
+ * Raising alerts for admins to triage, moving them through their lifecycle, escalating the ones
+ * that miss their SLA and keeping their investigation notes
+ */
+
+const createError = require('http-errors');
+const db = require('../config/database');
+const { routeLogger } = require('./logger');
+const { emitSecurityEvent } = require('./securityEvents');
+const { notifyAdmins } = require('./notifications');
+const { validateAlertTransition, validateAssignmentChange } = require('./alertLifecycle');
+const { slaDeadline, formatSlaDuration, summariseSlaWeeks } = require('./alertSla');
+const { validateAlertComment, buildAlertTimeline } = require('./alertTimeline');
+
+// Most overdue alerts escalated by one run of the SLA checker; the rest wait for the next run
+const ESCALATION_BATCH_SIZE = 50;
+
+/**
+ * Store a security alert without publishing it
+ * For callers that must keep the alert with another change: errors are thrown so the caller's
+ * transaction rolls back, and publishSecurityAlert is called once it has committed.
+ * @param {Object} client - Client from db.transaction, or db for the shared pool
+ * @param {number|null} deviceId - Device the alert concerns, if any
+ * @param {string} alertType - e.g. 'Unauthorized Device Access'
+ * @param {string} severity - 'low', 'medium', 'high' or 'critical'
+ * @param {string} description - Human-readable description
+ * @param {string} sourceIp - Source IP address
+ * @param {Object} metadata - Additional alert data
+ * @returns {Promise<Object>} Created alert row
+ */
+async function insertSecurityAlert(client, deviceId, alertType, severity, description, sourceIp, metadata = {}) {
+  const detectedAt = new Date();
+  const result = await client.query(`
+    INSERT INTO security_alerts (
+      device_id, alert_type, severity, description, source_ip, detected_at, sla_due_at, status, metadata
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, 'active', $8)
+    RETURNING *
+  `, [deviceId, alertType, severity, description, sourceIp, detectedAt, slaDeadline(severity, detectedAt), JSON.stringify(metadata)]);
+  return result.rows[0];
+}
+
+/**
+ * Log a stored security alert and announce it to the rules engine and live dashboards
+ * @param {Object} alert - Alert row from insertSecurityAlert
+ * @param {Object} options - { publishEvent } - set false to skip the alert_created security event
+ */
+function publishSecurityAlert(alert, { publishEvent = true } = {}) {
+  routeLogger.warn('Security alert created', {
+    deviceId: alert.device_id,
+    alertType: alert.alert_type,
+    severity: alert.severity,
+    description: alert.description
+  });
+
+  if (publishEvent) {
+    emitSecurityEvent('alert_created', {
+      sourceIp: alert.source_ip,
+      deviceId: alert.device_id,
+      data: {
+        alertId: alert.id,
+        alertType: alert.alert_type,
+        severity: alert.severity,
+        description: alert.description,
+        metadata: alert.metadata
+      }
+    });
+  }
+}
+
+/**
+ * Raise a security alert
+ * Failures are logged rather than thrown so that alerting never breaks the request that triggered it.
+ * @param {number|null} deviceId - Device the alert concerns, if any
+ * @param {string} alertType - e.g. 'Unauthorized Device Access'
+ * @param {string} severity - 'low', 'medium', 'high' or 'critical'
+ * @param {string} description - Human-readable description
+ * @param {string} sourceIp - Source IP address
+ * @param {Object} metadata - Additional alert data
+ * @param {Object} options - { publishEvent } - set false to skip the alert_created security event
+ *   (used by rule actions, so rules cannot trigger each other in a loop)
+ * @returns {Promise<Object|null>} Created alert row, or null if it could not be stored
+ */
+async function createSecurityAlert(deviceId, alertType, severity, description, sourceIp, metadata = {}, { publishEvent = true } = {}) {
+  let alert;
+  try {
+    alert = await insertSecurityAlert(db, deviceId, alertType, severity, description, sourceIp, metadata);
+  } catch (error) {
+    routeLogger.error('Error creating security alert', { error: error.message });
+    return null;
+  }
+
+  publishSecurityAlert(alert, { publishEvent });
+  return alert;
+}
+
+/**
+ * Add an entry to an alert's history
+ * @param {Object} client - Client from db.transaction, so the entry is stored with the change it records
+ * @param {number} alertId - Alert ID
+ * @param {Object} entry - { eventType, fromStatus, toStatus, note, details, createdBy }
+ * @returns {Promise<Object>} History row
+ */
+async function recordAlertHistory(client, alertId, { eventType, fromStatus = null, toStatus = null, note = null, details = null, createdBy = null }) {
+  const result = await client.query(`
+    INSERT INTO security_alert_history (alert_id, event_type, from_status, to_status, note, details, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `, [alertId, eventType, fromStatus, toStatus, note, details ? JSON.stringify(details) : null, createdBy]);
+  return result.rows[0];
+}
+
+/**
+ * Move an alert to a new status
+ * The only way an alert's status changes: the move is checked against the lifecycle, the
+ * resolution time and resolver are set on resolving and cleared on leaving 'resolved' (BR-SA003),
+ * the first move out of 'active' marks the alert addressed for its SLA (BR-SA013), and the change
+ * is added to the alert's history.
+ * @param {number} alertId - Alert ID
+ * @param {string} toStatus - 'active', 'investigating', 'resolved' or 'false_positive'
+ * @param {number} userId - Signed-in user's ID
+ * @param {Object} options - { note } - optional, except as the justification for marking a critical
+ *   alert a false positive (BR-VAL009)
+ * @returns {Promise<Object>} Updated alert row
+ * @throws {HttpError} 400 for an unknown status or missing justification, 404 if the alert does not
+ *   exist, 409 if the move is not allowed from the alert's status
+ */
+async function changeAlertStatus(alertId, toStatus, userId, { note } = {}) {
+  let fromStatus;
+  const alert = await db.transaction(async (client) => {
+    const result = await client.query('SELECT * FROM security_alerts WHERE id = $1 FOR UPDATE', [alertId]);
+    const existing = result.rows[0];
+    if (!existing) {
+      throw createError(404, 'Alert not found');
+    }
+
+    const trimmedNote = validateAlertTransition(existing, toStatus, { note });
+    fromStatus = existing.status;
+
+    const now = new Date();
+    const resolving = toStatus === 'resolved';
+    const addressedAt = existing.addressed_at || (toStatus !== 'active' ? now : null);
+    const updated = await client.query(`
+      UPDATE security_alerts
+      SET status = $1, resolved_at = $2, resolved_by = $3, addressed_at = $4
+      WHERE id = $5
+      RETURNING *
+    `, [toStatus, resolving ? now : null, resolving ? userId : null, addressedAt, alertId]);
+
+    await recordAlertHistory(client, alertId, {
+      eventType: 'status_changed',
+      fromStatus,
+      toStatus,
+      note: trimmedNote,
+      createdBy: userId
+    });
+    return updated.rows[0];
+  });
+
+  routeLogger.info('Security alert status changed', { alertId, fromStatus, toStatus, userId });
+  return alert;
+}
+
+/**
+ * Assign, reassign or unassign an alert
+ * The change is added to the alert's history with the previous and new assignee.
+ * @param {number} alertId - Alert ID
+ * @param {string} action - 'assign', 'reassign' or 'unassign'
+ * @param {Object} actor - Signed-in user ({ id, role })
+ * @param {number|null} assigneeId - User to assign; 'assign' defaults to the actor
+ * @returns {Promise<Object>} Updated alert row, with assignee_name
+ * @throws {HttpError} 400 on invalid input or an inactive assignee, 403 if the actor may not make
+ *   the change, 404 if the alert does not exist, 409 if the alert is closed or its assignment
+ *   does not allow the action
+ */
+async function changeAlertAssignment(alertId, action, actor, assigneeId = null) {
+  let previousAssignee;
+  const alert = await db.transaction(async (client) => {
+    const result = await client.query(`
+      SELECT sa.*, u.name as assignee_name
+      FROM security_alerts sa
+      LEFT JOIN users u ON sa.assigned_to = u.id
+      WHERE sa.id = $1
+      FOR UPDATE OF sa
+    `, [alertId]);
+    const existing = result.rows[0];
+    if (!existing) {
+      throw createError(404, 'Alert not found');
+    }
+
+    const targetId = validateAssignmentChange(existing, action, actor, assigneeId);
+    previousAssignee = existing.assigned_to;
+
+    let target = null;
+    if (targetId) {
+      const users = await client.query('SELECT id, name, is_active FROM users WHERE id = $1', [targetId]);
+      target = users.rows[0];
+      if (!target || target.is_active === false) {
+        throw createError(400, 'Alerts can only be assigned to active users');
+      }
+    }
+
+    const updated = await client.query(`
+      UPDATE security_alerts
+      SET assigned_to = $1, assigned_at = $2
+      WHERE id = $3
+      RETURNING *
+    `, [targetId, targetId ? new Date() : null, alertId]);
+
+    await recordAlertHistory(client, alertId, {
+      eventType: `${action}ed`,
+      details: {
+        from: existing.assigned_to ? { id: existing.assigned_to, name: existing.assignee_name } : null,
+        to: target ? { id: target.id, name: target.name } : null
+      },
+      createdBy: actor.id
+    });
+    return { ...updated.rows[0], assignee_name: target ? target.name : null };
+  });
+
+  routeLogger.info('Security alert assignment changed', {
+    alertId,
+    action,
+    previousAssignee,
+    assignee: alert.assigned_to,
+    userId: actor.id
+  });
+  return alert;
+}
+
+/**
+ * Escalate open alerts that have passed their SLA deadline (BR-SA014)
+ * Each overdue alert is flagged as escalated and gets an 'escalated' history entry, then admins are
+ * notified. An alert is only escalated once. Run by the scheduler.
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of alerts escalated
+ */
+async function escalateOverdueAlerts(now = new Date()) {
+  const escalated = await db.transaction(async (client) => {
+    const result = await client.query(`
+      UPDATE security_alerts
+      SET escalated_at = $1
+      WHERE id IN (
+        SELECT id FROM security_alerts
+        WHERE status = 'active' AND addressed_at IS NULL AND escalated_at IS NULL AND sla_due_at <= $1
+        ORDER BY sla_due_at
+        LIMIT $2
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `, [now, ESCALATION_BATCH_SIZE]);
+
+    for (const alert of result.rows) {
+      await recordAlertHistory(client, alert.id, {
+        eventType: 'escalated',
+        details: {
+          severity: alert.severity,
+          slaDueAt: alert.sla_due_at,
+          overdueMinutes: Math.floor((now - new Date(alert.sla_due_at)) / 60000)
+        }
+      });
+    }
+    return result.rows;
+  });
+
+  for (const alert of escalated) {
+    const overdue = formatSlaDuration((now - new Date(alert.sla_due_at)) / 60000);
+    await notifyAdmins({
+      title: `${alert.severity === 'critical' ? 'Critical' : 'High'} alert breached its SLA`,
+      message: `Alert #${alert.id} (${alert.alert_type}) is still active ${overdue} after its response deadline`,
+      severity: 'critical',
+      link: `/alerts/${alert.id}`,
+      source: 'alert_sla',
+      metadata: { alertId: alert.id, severity: alert.severity, slaDueAt: alert.sla_due_at }
+    });
+  }
+
+  if (escalated.length > 0) {
+    routeLogger.warn('Security alerts escalated after breaching their SLA', {
+      count: escalated.length,
+      alertIds: escalated.map(alert => alert.id)
+    });
+  }
+  return escalated.length;
+}
+
+/**
+ * Weekly SLA compliance for critical and high alerts, by the week they were raised
+ * @param {number} weeks - Number of weeks to cover, ending with the current week
+ * @returns {Promise<Array>} Weeks from summariseSlaWeeks, newest first
+ */
+async function getSlaComplianceReport(weeks = 8) {
+  const result = await db.query(`
+    WITH weeks AS (
+      SELECT generate_series(
+        date_trunc('week', LOCALTIMESTAMP) - ($1::int - 1) * INTERVAL '1 week',
+        date_trunc('week', LOCALTIMESTAMP),
+        INTERVAL '1 week'
+      ) AS week_start
+    )
+    SELECT w.week_start, sa.severity,
+           COUNT(sa.id) as total,
+           COUNT(sa.id) FILTER (WHERE sa.addressed_at <= sa.sla_due_at) as met,
+           COUNT(sa.id) FILTER (WHERE sa.addressed_at > sa.sla_due_at
+             OR (sa.addressed_at IS NULL AND sa.sla_due_at <= LOCALTIMESTAMP)) as breached,
+           COUNT(sa.id) FILTER (WHERE sa.addressed_at IS NULL AND sa.sla_due_at > LOCALTIMESTAMP) as pending,
+           COUNT(sa.escalated_at) as escalated,
+           AVG(EXTRACT(EPOCH FROM (sa.addressed_at - sa.detected_at)) / 60) as avg_response_minutes
+    FROM weeks w
+    LEFT JOIN security_alerts sa ON sa.sla_due_at IS NOT NULL
+      AND sa.detected_at >= w.week_start AND sa.detected_at < w.week_start + INTERVAL '1 week'
+    GROUP BY w.week_start, sa.severity
+    ORDER BY w.week_start DESC
+  `, [weeks]);
+  return summariseSlaWeeks(result.rows);
+}
+
+/**
+ * Add a comment to an alert
+ * A reply is attached to the thread of the comment it answers, so threads are one level deep.
+ * @param {number} alertId - Alert ID
+ * @param {number} userId - Signed-in user's ID
+ * @param {string} body - Comment text
+ * @param {number|null} parentId - Comment being replied to, if any
+ * @returns {Promise<Object>} Comment row, with created_by_name
+ * @throws {HttpError} 400 for an empty or too long comment or a reply to a comment on another
+ *   alert, 404 if the alert does not exist
+ */
+async function addAlertComment(alertId, userId, body, parentId = null) {
+  const text = validateAlertComment(body);
+
+  const alert = await db.findById('security_alerts', alertId);
+  if (!alert) {
+    throw createError(404, 'Alert not found');
+  }
+
+  let threadId = null;
+  if (parentId) {
+    const parent = await db.findById('security_alert_comments', parentId);
+    if (!parent || parent.alert_id !== alertId) {
+      throw createError(400, 'Replies must answer a comment on the same alert');
+    }
+    threadId = parent.parent_id || parent.id;
+  }
+
+  const result = await db.query(`
+    WITH inserted AS (
+      INSERT INTO security_alert_comments (alert_id, parent_id, body, created_by)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    )
+    SELECT inserted.*, u.name as created_by_name
+    FROM inserted
+    LEFT JOIN users u ON inserted.created_by = u.id
+  `, [alertId, threadId, text, userId]);
+
+  routeLogger.info('Security alert comment added', { alertId, commentId: result.rows[0].id, userId });
+  return result.rows[0];
+}
+
+/**
+ * Get an alert's investigation timeline: its history and comments, oldest first
+ * @param {number} alertId - Alert ID
+ * @returns {Promise<Array|null>} Entries from buildAlertTimeline, or null if the alert does not exist
+ */
+async function getAlertTimeline(alertId) {
+  const alert = await db.findById('security_alerts', alertId);
+  if (!alert) {
+    return null;
+  }
+
+  const [history, comments] = await Promise.all([
+    db.query(`
+      SELECT h.*, u.name as created_by_name
+      FROM security_alert_history h
+      LEFT JOIN users u ON h.created_by = u.id
+      WHERE h.alert_id = $1
+      ORDER BY h.created_at, h.id
+    `, [alertId]),
+    db.query(`
+      SELECT c.*, u.name as created_by_name
+      FROM security_alert_comments c
+      LEFT JOIN users u ON c.created_by = u.id
+      WHERE c.alert_id = $1
+      ORDER BY c.created_at, c.id
+    `, [alertId])
+  ]);
+  return buildAlertTimeline(alert, history.rows, comments.rows);
+}
+
+module.exports = {
+  insertSecurityAlert,
+  publishSecurityAlert,
+  createSecurityAlert,
+  recordAlertHistory,
+  changeAlertStatus,
+  changeAlertAssignment,
+  escalateOverdueAlerts,
+  getSlaComplianceReport,
+  addAlertComment,
+  getAlertTimeline
+};
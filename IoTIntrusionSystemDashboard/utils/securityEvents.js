@@ -0,0 +1,45 @@
+/**
+ * Security Event Bus
+ * Routes and services publish what happened (connects, heartbeats, blocked attempts, alerts,
+ * device log lines); the rules engine subscribes. Publishers never wait for or depend on subscribers.
+ */
+
+const { EventEmitter } = require('events');
+const { normalizeIp } = require('./network');
+
+const bus = new EventEmitter();
+
+/**
+ * Publish a security event
+ * @param {string} type - One of rulesEngine.EVENT_TYPES
+ * @param {Object} fields - { sourceIp, deviceId, userId, device, data, occurredAt } - all optional
+ * @returns {Object} The published event
+ */
+function emitSecurityEvent(type, fields = {}) {
+  const event = {
+    type,
+    occurredAt: fields.occurredAt || new Date(),
+    sourceIp: fields.sourceIp ? normalizeIp(fields.sourceIp) : null,
+    deviceId: fields.deviceId || null,
+    userId: fields.userId || null,
+    device: fields.device || null,
+    data: fields.data || {}
+  };
+  bus.emit('security-event', event);
+  return event;
+}
+
+/**
+ * Subscribe to security events
+ * @param {Function} listener - Called with each event; must handle its own errors
+ * @returns {Function} Call to unsubscribe
+ */
+function onSecurityEvent(listener) {
+  bus.on('security-event', listener);
+  return () => bus.off('security-event', listener);
+}
+
+module.exports = {
+  emitSecurityEvent,
+  onSecurityEvent
+};
@@ -0,0 +1,649 @@
+/**
+ * Security Rules
+ * Managing security_rules, evaluating the active ones against published security events
+ * and carrying out the matching rules' actions (BR-SR005, BR-SR009)
+ */
+
+const createError = require('http-errors');
+const db = require('../config/database');
+const { createComponentLogger, routeLogger } = require('./logger');
+const {
+  RULE_TYPES,
+  validateConditions,
+  validateActions,
+  evaluateRules,
+  ruleEventTypes,
+  renderTemplate
+} = require('./rulesEngine');
+const { createWindowStore } = require('./ruleWindows');
+const { diffRuleVersions } = require('./ruleDiff');
+const { recordRuleVersion } = require('./ruleVersions');
+const { onSecurityEvent } = require('./securityEvents');
+const { createSecurityAlert } = require('./securityAlerts');
+const { createIpBan, isBanExempt } = require('./ipBans');
+const { notifyAdmins } = require('./notifications');
+
+const rulesLogger = createComponentLogger('RULES');
+
+// Active rules are cached briefly so that each event does not re-read the table
+const RULE_CACHE_TTL_MS = 30000;
+
+let ruleCache = { rules: null, loadedAt: 0 };
+
+// Threshold windows and partial sequences for live events (BR-SR017, BR-SR018)
+const ruleWindows = createWindowStore();
+
+/**
+ * Load the active rules, from the cache when it is fresh
+ * @returns {Promise<Array>} Active rule rows
+ */
+async function loadActiveRules() {
+  if (ruleCache.rules && Date.now() - ruleCache.loadedAt < RULE_CACHE_TTL_MS) {
+    return ruleCache.rules;
+  }
+
+  const result = await db.query(`
+    SELECT id, rule_name, rule_type, conditions, actions, is_active, priority, version
+    FROM security_rules
+    WHERE is_active = true
+    ORDER BY priority ASC, id ASC
+  `);
+  ruleCache = { rules: result.rows, loadedAt: Date.now() };
+  return ruleCache.rules;
+}
+
+/**
+ * Drop the cached rules so the next event reloads them (call after changing security_rules)
+ * @returns {void}
+ */
+function invalidateRuleCache() {
+  ruleCache = { rules: null, loadedAt: 0 };
+}
+
+/**
+ * Shape a device row as the device fields conditions can read (device.name, device.type, ...)
+ * @param {Object|null} device - Device row
+ * @returns {Object|null} Event device, or null without a row
+ */
+function toEventDevice(device) {
+  return device ? {
+    id: device.id,
+    name: device.name,
+    type: device.device_type,
+    status: device.status,
+    securityLevel: device.security_level,
+    location: device.location
+  } : null;
+}
+
+/**
+ * Fill in an event's device fields
+ * @param {Object} event - Security event
+ * @returns {Promise<Object>} The event, with device set when it has a deviceId
+ */
+async function attachDevice(event) {
+  if (event.device || !event.deviceId) {
+    return event;
+  }
+
+  const result = await db.query(
+    'SELECT id, name, device_type, status, security_level, location FROM devices WHERE id = $1',
+    [event.deviceId]
+  );
+  event.device = toEventDevice(result.rows[0]);
+  return event;
+}
+
+/**
+ * Carry out one action of a matching rule
+ * @param {Object} action - Validated action
+ * @param {Object} event - Security event that matched
+ * @param {Object} rule - Rule row
+ * @param {Object} match - { window, sequence } - threshold stats or completed event chain, if the rule has one
+ * @returns {Promise<Object>} { type, outcome } - outcome describes what was done or why not
+ */
+async function executeAction(action, event, rule, match = {}) {
+  // The version lets an investigation look up the rule's logic as it was when it fired (BR-SR020)
+  const ruleMetadata = { rule_id: rule.id, rule_version: rule.version, rule_name: rule.rule_name, event_type: event.type };
+  if (match.window) {
+    ruleMetadata.window = match.window;
+  }
+  if (match.sequence) {
+    ruleMetadata.sequence = match.sequence;
+  }
+
+  switch (action.type) {
+    case 'create_alert': {
+      // Rule alerts do not publish alert_created events, so rules cannot trigger each other in a loop
+      const alert = await createSecurityAlert(
+        event.deviceId,
+        action.alertType,
+        action.severity,
+        renderTemplate(action.description || `Security rule '{{rule.name}}' matched a {{type}} event`, event, rule, match),
+        event.sourceIp,
+        { ...ruleMetadata, event: { ...event, device: undefined } },
+        { publishEvent: false }
+      );
+      return { type: action.type, outcome: alert ? `alert ${alert.id} created` : 'alert could not be stored' };
+    }
+
+    case 'block_ip': {
+      if (!event.sourceIp) {
+        return { type: action.type, outcome: 'skipped: event has no source IP' };
+      }
+      if (isBanExempt(event.sourceIp)) {
+        return { type: action.type, outcome: 'skipped: source IP is exempt from bans' };
+      }
+      try {
+        const ban = await createIpBan({
+          ipAddress: event.sourceIp,
+          reason: renderTemplate(action.reason || `Security rule '{{rule.name}}'`, event, rule, match),
+          durationMinutes: action.durationMinutes,
+          ruleId: rule.id
+        });
+        return { type: action.type, outcome: `ban ${ban.id} created` };
+      } catch (error) {
+        if (error.status === 409) {
+          return { type: action.type, outcome: 'skipped: source IP already banned' };
+        }
+        throw error;
+      }
+    }
+
+    case 'set_device_status': {
+      if (!event.deviceId) {
+        return { type: action.type, outcome: 'skipped: event has no device' };
+      }
+      const updated = await db.update('devices', {
+        status: action.status,
+        updated_at: new Date()
+      }, { id: event.deviceId });
+      return {
+        type: action.type,
+        outcome: updated.length > 0 ? `device status set to ${action.status}` : 'skipped: device not found'
+      };
+    }
+
+    case 'notify': {
+      const notification = await notifyAdmins({
+        title: renderTemplate(action.title || 'Security rule {{rule.name}} matched', event, rule, match),
+        message: renderTemplate(action.message, event, rule, match),
+        severity: action.severity || 'medium',
+        link: event.deviceId ? `/devices/manage/${event.deviceId}` : null,
+        source: 'rule',
+        metadata: ruleMetadata
+      });
+      return { type: action.type, outcome: notification ? `notification ${notification.id} raised` : 'notification could not be stored' };
+    }
+
+    default:
+      return { type: action.type, outcome: 'skipped: unknown action' };
+  }
+}
+
+/**
+ * Evaluate the active rules against an event and carry out the matching rules' actions
+ * Never throws: a failing action is logged and the remaining actions still run.
+ * @param {Object} event - Security event (see securityEvents.emitSecurityEvent)
+ * @returns {Promise<Array>} { ruleId, ruleName, results } for each matching rule
+ */
+async function processSecurityEvent(event) {
+  try {
+    const rules = await loadActiveRules();
+    const candidates = rules.filter(rule => ruleEventTypes(rule.conditions).includes(event.type));
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    await attachDevice(event);
+    const { matches, errors } = evaluateRules(candidates, event, { windows: ruleWindows });
+
+    for (const { rule, message } of errors) {
+      rulesLogger.error('Security rule skipped: invalid definition', { ruleId: rule.id, ruleName: rule.rule_name, error: message });
+    }
+
+    const fired = [];
+    for (const { rule, actions, window, sequence } of matches) {
+      const results = [];
+      for (const action of actions) {
+        try {
+          results.push(await executeAction(action, event, rule, { window, sequence }));
+        } catch (error) {
+          rulesLogger.error('Security rule action failed', {
+            ruleId: rule.id,
+            actionType: action.type,
+            error: error.message
+          });
+          results.push({ type: action.type, outcome: `failed: ${error.message}` });
+        }
+      }
+
+      await db.query(
+        'UPDATE security_rules SET last_triggered_at = CURRENT_TIMESTAMP, trigger_count = trigger_count + 1 WHERE id = $1',
+        [rule.id]
+      );
+
+      rulesLogger.warn('Security rule matched', {
+        ruleId: rule.id,
+        ruleName: rule.rule_name,
+        eventType: event.type,
+        sourceIp: event.sourceIp,
+        deviceId: event.deviceId,
+        window,
+        sequenceEvents: sequence ? sequence.eventCount : undefined,
+        results
+      });
+      fired.push({ ruleId: rule.id, ruleName: rule.rule_name, results });
+    }
+    return fired;
+  } catch (error) {
+    rulesLogger.error('Security event processing failed', { eventType: event.type, error: error.message });
+    return [];
+  }
+}
+
+/**
+ * Read a JSON field that may arrive as an object or as JSON text (the editor's JSON mode)
+ * @param {*} value - Submitted value
+ * @param {string} field - Field name, used in error messages
+ * @param {Array} errors - Collected { field, message } errors
+ * @returns {*} Parsed value, or undefined if it could not be parsed
+ */
+function parseJsonField(value, field, errors) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    errors.push({ field, message: `${field} is not valid JSON: ${error.message}` });
+    return undefined;
+  }
+}
+
+/**
+ * Parse and validate security rule fields from a request body
+ * Only fields present in the body are returned when partial is set, so partial updates are possible.
+ * @param {Object} body - Request body ({ rule_name, rule_type, conditions, actions, priority, is_active })
+ * @param {Object} options - { partial } - partial skips the required-field checks
+ * @returns {Object} { rule, errors } - rule holds column values ready to store;
+ *   errors are { field, message }, with nested paths such as 'conditions.all[0].operator'
+ */
+function parseSecurityRule(body, { partial = false } = {}) {
+  const rule = {};
+  const errors = [];
+  const present = field => body[field] !== undefined && body[field] !== null;
+
+  if (present('rule_name')) {
+    const name = String(body.rule_name).trim();
+    if (!name) {
+      errors.push({ field: 'rule_name', message: 'Rule name is required' });
+    } else if (name.length > 255) {
+      errors.push({ field: 'rule_name', message: 'Rule name must be at most 255 characters' });
+    } else {
+      rule.rule_name = name;
+    }
+  } else if (!partial) {
+    errors.push({ field: 'rule_name', message: 'Rule name is required' });
+  }
+
+  // BR-SR002
+  if (present('rule_type')) {
+    if (!RULE_TYPES.includes(body.rule_type)) {
+      errors.push({ field: 'rule_type', message: `Rule type must be one of: ${RULE_TYPES.join(', ')}` });
+    } else {
+      rule.rule_type = body.rule_type;
+    }
+  } else if (!partial) {
+    errors.push({ field: 'rule_type', message: 'Rule type is required' });
+  }
+
+  for (const [field, validate] of [['conditions', validateConditions], ['actions', validateActions]]) {
+    if (!present(field)) {
+      if (!partial) {
+        errors.push({ field, message: `${field === 'conditions' ? 'Conditions are' : 'Actions are'} required` });
+      }
+      continue;
+    }
+    const value = parseJsonField(body[field], field, errors);
+    if (value === undefined) {
+      continue;
+    }
+    // BR-SR003, BR-SR004, BR-SR008
+    const problems = validate(value);
+    if (problems.length > 0) {
+      errors.push(...problems.map(({ path, message }) => ({ field: path, message })));
+    } else {
+      rule[field] = value;
+    }
+  }
+
+  if (present('priority')) {
+    const priority = Number(body.priority);
+    if (!Number.isInteger(priority) || priority < 1) {
+      errors.push({ field: 'priority', message: 'Priority must be a whole number of at least 1' });
+    } else {
+      rule.priority = priority;
+    }
+  }
+
+  if (present('is_active')) {
+    if (typeof body.is_active === 'boolean') {
+      rule.is_active = body.is_active;
+    } else if (body.is_active === 'true' || body.is_active === 'false') {
+      rule.is_active = body.is_active === 'true';
+    } else {
+      errors.push({ field: 'is_active', message: 'is_active must be true or false' });
+    }
+  }
+
+  return { rule, errors };
+}
+
+/**
+ * Turn a unique violation on the rule name into a 409 (BR-SR001)
+ * @param {Error} error - Database error
+ * @param {string} name - Rule name that was being stored
+ * @throws {HttpError} 409 for a duplicate name, otherwise the original error
+ */
+function rethrowDuplicateName(error, name) {
+  if (error.code === '23505') {
+    const message = `A security rule named '${name}' already exists`;
+    throw createError(409, message, { fieldErrors: [{ field: 'rule_name', message }] });
+  }
+  throw error;
+}
+
+/**
+ * List security rules in evaluation order
+ * @param {Object} filters - { ruleType, isActive }
+ * @returns {Promise<Array>} Rule rows joined with the creator's name
+ */
+async function listSecurityRules({ ruleType, isActive } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (ruleType) {
+    params.push(ruleType);
+    conditions.push(`sr.rule_type = $${params.length}`);
+  }
+  if (isActive !== undefined && isActive !== null) {
+    params.push(isActive);
+    conditions.push(`sr.is_active = $${params.length}`);
+  }
+
+  const whereClause = conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '';
+  const result = await db.query(`
+    SELECT sr.*, u.name as created_by_name
+    FROM security_rules sr
+    LEFT JOIN users u ON sr.created_by = u.id
+    ${whereClause}
+    ORDER BY sr.priority ASC, sr.id ASC
+  `, params);
+  return result.rows;
+}
+
+/**
+ * Get a single security rule
+ * @param {number} ruleId - Rule ID
+ * @returns {Promise<Object|null>} Rule row joined with the creator's name, or null
+ */
+async function getSecurityRule(ruleId) {
+  const result = await db.query(`
+    SELECT sr.*, u.name as created_by_name
+    FROM security_rules sr
+    LEFT JOIN users u ON sr.created_by = u.id
+    WHERE sr.id = $1
+  `, [ruleId]);
+  return result.rows[0] || null;
+}
+
+// Helper function to lock a rule for a change, inside a transaction
+async function lockSecurityRule(client, ruleId) {
+  const result = await client.query('SELECT * FROM security_rules WHERE id = $1 FOR UPDATE', [ruleId]);
+  if (result.rows.length === 0) {
+    throw createError(404, 'Security rule not found');
+  }
+  return result.rows[0];
+}
+
+// Helper function to apply changes to a locked rule and record them as its next version
+async function writeRuleChange(client, current, changes, details) {
+  const fields = Object.keys(changes);
+  const params = fields.map(field => (field === 'conditions' || field === 'actions') ? JSON.stringify(changes[field]) : changes[field]);
+  params.push(current.id);
+
+  let result;
+  try {
+    result = await client.query(`
+      UPDATE security_rules
+      SET ${fields.map((field, index) => `${field} = $${index + 1}`).join(', ')},
+          version = version + 1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $${params.length}
+      RETURNING *
+    `, params);
+  } catch (error) {
+    return rethrowDuplicateName(error, changes.rule_name);
+  }
+
+  await recordRuleVersion(client, result.rows[0], { ...details, previous: current });
+  return result.rows[0];
+}
+
+/**
+ * Create a security rule, as its version 1
+ * @param {Object} rule - Validated fields from parseSecurityRule
+ * @param {number} createdBy - Admin's user ID, taken from the session (BR-SR007)
+ * @returns {Promise<Object>} Created rule row
+ * @throws {HttpError} 409 if the name is already used
+ */
+async function createSecurityRule(rule, createdBy) {
+  try {
+    const created = await db.transaction(async (client) => {
+      const result = await client.query(`
+        INSERT INTO security_rules (rule_name, rule_type, conditions, actions, is_active, priority, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *
+      `, [
+        rule.rule_name,
+        rule.rule_type,
+        JSON.stringify(rule.conditions),
+        JSON.stringify(rule.actions),
+        rule.is_active !== undefined ? rule.is_active : true,
+        rule.priority || 100,
+        createdBy
+      ]);
+      await recordRuleVersion(client, result.rows[0], { changeType: 'created', changedBy: createdBy });
+      return result.rows[0];
+    });
+    invalidateRuleCache();
+
+    routeLogger.info('Security rule created', { ruleId: created.id, ruleName: created.rule_name, createdBy });
+    return created;
+  } catch (error) {
+    return rethrowDuplicateName(error, rule.rule_name);
+  }
+}
+
+/**
+ * Update a security rule, recording the result as its next version (BR-SR019)
+ * Changes that leave the rule as it was are not stored and do not create a version.
+ * @param {number} ruleId - Rule ID
+ * @param {Object} changes - Validated fields from parseSecurityRule (partial)
+ * @param {number} changedBy - Admin's user ID, taken from the session
+ * @returns {Promise<Object>} Updated rule row
+ * @throws {HttpError} 404 if the rule does not exist, 409 if the new name is already used
+ */
+async function updateSecurityRule(ruleId, changes, changedBy) {
+  let changed = false;
+  const updated = await db.transaction(async (client) => {
+    const current = await lockSecurityRule(client, ruleId);
+    if (Object.keys(changes).length === 0 || diffRuleVersions(current, { ...current, ...changes }).length === 0) {
+      return current;
+    }
+    changed = true;
+    return writeRuleChange(client, current, changes, { changeType: 'updated', changedBy });
+  });
+  if (!changed) {
+    return updated;
+  }
+  invalidateRuleCache();
+  ruleWindows.clearRule(ruleId);
+
+  routeLogger.info('Security rule updated', { ruleId, version: updated.version, fields: Object.keys(changes), changedBy });
+  return updated;
+}
+
+/**
+ * Restore a rule to one of its earlier versions (BR-SR020)
+ * The restored definition becomes a new version; later versions stay in the history. The rule
+ * keeps its current priority so the evaluation order is not disturbed.
+ * @param {number} ruleId - Rule ID
+ * @param {number} version - Version number to restore
+ * @param {number} restoredBy - Admin's user ID, taken from the session
+ * @returns {Promise<Object>} Restored rule row
+ * @throws {HttpError} 404 if the rule or version does not exist, 400 if the rule already matches
+ *   the version or the version is no longer a valid rule, 409 if its name is now used by another rule
+ */
+async function restoreSecurityRuleVersion(ruleId, version, restoredBy) {
+  const restored = await db.transaction(async (client) => {
+    const current = await lockSecurityRule(client, ruleId);
+    const target = await client.query(
+      'SELECT * FROM security_rule_versions WHERE rule_id = $1 AND version = $2',
+      [ruleId, version]
+    );
+    if (target.rows.length === 0) {
+      throw createError(404, 'Security rule version not found');
+    }
+
+    // Validation may have tightened since the version was written
+    const { priority, ...definition } = target.rows[0];
+    const { rule, errors } = parseSecurityRule(definition);
+    if (errors.length > 0) {
+      throw createError(400, `Version ${version} is no longer a valid security rule`, { fieldErrors: errors });
+    }
+    if (diffRuleVersions(current, { ...current, ...rule }).length === 0) {
+      throw createError(400, `The rule already matches version ${version}`);
+    }
+
+    return writeRuleChange(client, current, rule, { changeType: 'restored', changedBy: restoredBy, restoredFrom: version });
+  });
+  invalidateRuleCache();
+  ruleWindows.clearRule(ruleId);
+
+  routeLogger.info('Security rule restored', { ruleId, restoredFrom: version, version: restored.version, restoredBy });
+  return restored;
+}
+
+/**
+ * Delete a security rule
+ * Its history is kept, ending with a 'deleted' version. Bans the rule created stay in place;
+ * they just no longer point at it.
+ * @param {number} ruleId - Rule ID
+ * @param {number} deletedBy - Admin's user ID, taken from the session
+ * @returns {Promise<void>}
+ * @throws {HttpError} 404 if the rule does not exist
+ */
+async function deleteSecurityRule(ruleId, deletedBy) {
+  await db.transaction(async (client) => {
+    const current = await lockSecurityRule(client, ruleId);
+    await client.query('DELETE FROM security_rules WHERE id = $1', [ruleId]);
+    await recordRuleVersion(client, { ...current, version: current.version + 1 }, { changeType: 'deleted', changedBy: deletedBy });
+  });
+  invalidateRuleCache();
+  ruleWindows.clearRule(ruleId);
+
+  routeLogger.info('Security rule deleted', { ruleId, deletedBy });
+}
+
+/**
+ * Put every rule in a new evaluation order
+ * Priorities are renumbered 10, 20, 30, ... so a rule can later be slotted in between. Each rule
+ * whose priority changes gets a new version.
+ * @param {Array<number>} ruleIds - Every rule's ID, highest priority first
+ * @param {number} changedBy - Admin's user ID, taken from the session
+ * @returns {Promise<Array>} Rule rows in their new order
+ * @throws {HttpError} 400 unless the list names every rule exactly once
+ */
+async function reorderSecurityRules(ruleIds, changedBy) {
+  if (!Array.isArray(ruleIds) || ruleIds.length === 0 || !ruleIds.every(Number.isInteger)) {
+    throw createError(400, 'rule_ids must be a non-empty array of rule IDs');
+  }
+  if (new Set(ruleIds).size !== ruleIds.length) {
+    throw createError(400, 'rule_ids must not repeat a rule');
+  }
+
+  await db.transaction(async (client) => {
+    const existing = await client.query('SELECT * FROM security_rules FOR UPDATE');
+    const known = new Map(existing.rows.map(row => [row.id, row]));
+    if (ruleIds.length !== known.size || !ruleIds.every(id => known.has(id))) {
+      throw createError(400, 'rule_ids must list every security rule exactly once');
+    }
+
+    const moved = await client.query(`
+      UPDATE security_rules sr
+      SET priority = ordered.position * 10, version = sr.version + 1, updated_at = CURRENT_TIMESTAMP
+      FROM unnest($1::int[]) WITH ORDINALITY AS ordered(id, position)
+      WHERE sr.id = ordered.id AND sr.priority <> ordered.position * 10
+      RETURNING sr.*
+    `, [ruleIds]);
+    for (const rule of moved.rows) {
+      await recordRuleVersion(client, rule, { changeType: 'updated', changedBy, previous: known.get(rule.id) });
+    }
+  });
+  invalidateRuleCache();
+
+  routeLogger.info('Security rules reordered', { ruleIds, changedBy });
+  return listSecurityRules();
+}
+
+/**
+ * Shape a rule row for JSON responses and views
+ * @param {Object} rule - Row from listSecurityRules or getSecurityRule
+ * @returns {Object} Formatted rule
+ */
+function formatSecurityRule(rule) {
+  return {
+    id: rule.id,
+    ruleName: rule.rule_name,
+    ruleType: rule.rule_type,
+    conditions: rule.conditions,
+    actions: rule.actions,
+    isActive: rule.is_active,
+    priority: rule.priority,
+    version: rule.version,
+    createdById: rule.created_by,
+    createdBy: rule.created_by_name || null,
+    createdAt: rule.created_at,
+    updatedAt: rule.updated_at,
+    lastTriggeredAt: rule.last_triggered_at,
+    triggerCount: rule.trigger_count
+  };
+}
+
+/**
+ * Subscribe the rules engine to published security events
+ * @returns {Function} Call to unsubscribe
+ */
+function startRulesEngine() {
+  rulesLogger.info('Rules engine started');
+  return onSecurityEvent(processSecurityEvent);
+}
+
+module.exports = {
+  parseSecurityRule,
+  listSecurityRules,
+  getSecurityRule,
+  createSecurityRule,
+  updateSecurityRule,
+  deleteSecurityRule,
+  reorderSecurityRules,
+  restoreSecurityRuleVersion,
+  formatSecurityRule,
+  toEventDevice,
+  loadActiveRules,
+  invalidateRuleCache,
+  executeAction,
+  processSecurityEvent,
+  startRulesEngine
+};
@@ -0,0 +1,158 @@
+/**
+ * Security Alert Lifecycle Tests
+ * Checks the allowed status and assignment changes, SLA deadlines and the investigation timeline -
+ * no database needed
+ * Run with: npm test
+ */
+
+const assert = require('assert');
+const { test } = require('node:test');
+const {
+  ALERT_STATUSES,
+  allowedAlertTransitions,
+  isAlertClosed,
+  validateAlertTransition,
+  validateAssignmentChange
+} = require('../alertLifecycle');
+const { slaDeadline, describeSla, summariseSlaWeeks } = require('../alertSla');
+const { validateAlertComment, buildAlertTimeline } = require('../alertTimeline');
+
+// Expect fn to throw an HttpError with the given status
+function rejects(status, fn) {
+  assert.throws(fn, error => error.status === status);
+}
+
+test('allows the documented moves and nothing else', () => {
+  const alert = status => ({ status, severity: 'high' });
+
+  assert.strictEqual(validateAlertTransition(alert('active'), 'investigating'), null);
+  assert.strictEqual(validateAlertTransition(alert('investigating'), 'resolved', { note: ' Patched ' }), 'Patched');
+  assert.strictEqual(validateAlertTransition(alert('resolved'), 'active'), null);
+  assert.strictEqual(validateAlertTransition(alert('false_positive'), 'investigating'), null);
+
+  rejects(409, () => validateAlertTransition(alert('resolved'), 'resolved'));
+  rejects(409, () => validateAlertTransition(alert('resolved'), 'false_positive'));
+  rejects(409, () => validateAlertTransition(alert('false_positive'), 'resolved'));
+  rejects(400, () => validateAlertTransition(alert('active'), 'dismissed'));
+});
+
+test('requires a justification to mark a critical alert a false positive', () => {
+  const critical = { status: 'investigating', severity: 'critical' };
+
+  rejects(400, () => validateAlertTransition(critical, 'false_positive'));
+  rejects(400, () => validateAlertTransition(critical, 'false_positive', { note: 'too short' }));
+  assert.strictEqual(
+    validateAlertTransition(critical, 'false_positive', { note: 'Scheduled penetration test from the red team' }),
+    'Scheduled penetration test from the red team'
+  );
+  assert.strictEqual(validateAlertTransition({ status: 'active', severity: 'high' }, 'false_positive'), null);
+});
+
+test('only lets closed alerts be reopened', () => {
+  ALERT_STATUSES.forEach(status => {
+    const moves = allowedAlertTransitions(status);
+    assert.ok(!moves.includes(status));
+    if (isAlertClosed(status)) {
+      assert.deepStrictEqual(moves, ['active', 'investigating']);
+    }
+  });
+  assert.deepStrictEqual(allowedAlertTransitions('dismissed'), []);
+});
+
+test('lets anyone pick up an open alert but only admins hand it to others', () => {
+  const analyst = { id: 2, role: 'user' };
+  const admin = { id: 1, role: 'admin' };
+  const open = { status: 'active', assigned_to: null };
+
+  assert.strictEqual(validateAssignmentChange(open, 'assign', analyst), 2);
+  assert.strictEqual(validateAssignmentChange(open, 'assign', admin, 2), 2);
+  rejects(403, () => validateAssignmentChange(open, 'assign', analyst, 3));
+  rejects(409, () => validateAssignmentChange(open, 'unassign', analyst));
+  rejects(409, () => validateAssignmentChange({ status: 'resolved', assigned_to: null }, 'assign', analyst));
+  rejects(400, () => validateAssignmentChange(open, 'claim', analyst));
+});
+
+test('leaves reassigning and unassigning to the assignee or an admin', () => {
+  const taken = { status: 'investigating', assigned_to: 2 };
+
+  assert.strictEqual(validateAssignmentChange(taken, 'reassign', { id: 2, role: 'user' }, 3), 3);
+  assert.strictEqual(validateAssignmentChange(taken, 'reassign', { id: 1, role: 'admin' }, 1), 1);
+  assert.strictEqual(validateAssignmentChange(taken, 'unassign', { id: 2, role: 'user' }), null);
+  rejects(403, () => validateAssignmentChange(taken, 'reassign', { id: 3, role: 'user' }, 3));
+  rejects(403, () => validateAssignmentChange(taken, 'unassign', { id: 3, role: 'user' }));
+  rejects(409, () => validateAssignmentChange(taken, 'assign', { id: 3, role: 'user' }));
+  rejects(409, () => validateAssignmentChange(taken, 'reassign', { id: 1, role: 'admin' }, 2));
+  rejects(400, () => validateAssignmentChange(taken, 'reassign', { id: 2, role: 'user' }));
+});
+
+test('gives critical and high alerts a deadline and tracks it', () => {
+  const detectedAt = new Date('2024-01-15T10:00:00Z');
+  const due = slaDeadline('critical', detectedAt);
+
+  assert.strictEqual(due.toISOString(), '2024-01-15T11:00:00.000Z');
+  assert.strictEqual(slaDeadline('high', detectedAt).toISOString(), '2024-01-15T14:00:00.000Z');
+  assert.strictEqual(slaDeadline('medium', detectedAt), null);
+  assert.strictEqual(describeSla({ sla_due_at: null }), null);
+
+  const open = { sla_due_at: due, addressed_at: null };
+  const onTrack = describeSla(open, new Date('2024-01-15T10:15:00Z'));
+  assert.strictEqual(onTrack.state, 'on_track');
+  assert.strictEqual(onTrack.minutesRemaining, 45);
+  assert.strictEqual(onTrack.summary, '45m left');
+
+  const breached = describeSla(open, new Date('2024-01-15T13:30:00Z'));
+  assert.strictEqual(breached.state, 'breached');
+  assert.strictEqual(breached.minutesOverdue, 150);
+  assert.strictEqual(breached.summary, 'SLA breached 2h 30m ago');
+
+  assert.strictEqual(describeSla({ sla_due_at: due, addressed_at: '2024-01-15T10:59:00Z' }).state, 'met');
+  assert.strictEqual(describeSla({ sla_due_at: due, addressed_at: '2024-01-17T12:00:00Z' }).summary, 'SLA missed by 2d 1h');
+});
+
+test('summarises SLA compliance per week, including empty weeks', () => {
+  const weeks = summariseSlaWeeks([
+    { week_start: '2024-01-08T00:00:00', severity: null, total: '0', met: '0', breached: '0', pending: '0', escalated: '0', avg_response_minutes: null },
+    { week_start: '2024-01-15T00:00:00', severity: 'critical', total: '4', met: '3', breached: '1', pending: '0', escalated: '1', avg_response_minutes: '42.4' },
+    { week_start: '2024-01-15T00:00:00', severity: 'high', total: '2', met: '1', breached: '0', pending: '1', escalated: '0', avg_response_minutes: '95' }
+  ]);
+
+  assert.strictEqual(weeks.length, 2);
+  assert.strictEqual(weeks[0].total, 6);
+  assert.strictEqual(weeks[0].compliance, 80);
+  assert.strictEqual(weeks[0].severities.critical.compliance, 75);
+  assert.strictEqual(weeks[0].severities.critical.avgResponseMinutes, 42);
+  assert.strictEqual(weeks[0].severities.high.pending, 1);
+  assert.strictEqual(weeks[1].total, 0);
+  assert.strictEqual(weeks[1].compliance, null);
+});
+
+test('merges history and threaded comments into one timeline', () => {
+  const at = minutes => new Date(Date.UTC(2024, 0, 15, 10, minutes));
+  const timeline = buildAlertTimeline({ detected_at: at(0) }, [
+    { id: 1, event_type: 'assigned', details: { from: null, to: { id: 2, name: 'Ana' } }, created_by: 2, created_by_name: 'Ana', created_at: at(5) },
+    { id: 2, event_type: 'status_changed', from_status: 'active', to_status: 'investigating', note: 'On it', created_by: 2, created_by_name: 'Ana', created_at: at(6) },
+    { id: 3, event_type: 'escalated', details: { overdueMinutes: 75 }, created_by: null, created_at: at(30) }
+  ], [
+    { id: 10, parent_id: null, body: 'Port scan from a known range', created_by: 2, created_by_name: 'Ana', created_at: at(10) },
+    { id: 12, parent_id: 11, body: 'Agreed', created_by: 2, created_by_name: 'Ana', created_at: at(40) },
+    { id: 11, parent_id: 10, body: 'Check the firewall logs', created_by: 1, created_by_name: 'Admin', created_at: at(20) }
+  ]);
+
+  assert.deepStrictEqual(timeline.map(entry => `${entry.kind}:${entry.eventType}`), [
+    'event:raised', 'event:assigned', 'event:status_changed', 'comment:comment', 'event:escalated'
+  ]);
+  assert.strictEqual(timeline[1].summary, 'Assigned to Ana');
+  assert.strictEqual(timeline[2].summary, 'Status changed from Active to Investigating');
+  assert.strictEqual(timeline[2].note, 'On it');
+  assert.strictEqual(timeline[4].summary, 'Escalated to admins after breaching its SLA by 1h 15m');
+  assert.strictEqual(timeline[4].author, null);
+  assert.deepStrictEqual(timeline[3].replies.map(reply => reply.id), [11, 12]);
+  assert.deepStrictEqual(timeline[3].replies[0].author, { id: 1, name: 'Admin' });
+});
+
+test('rejects empty and overlong comments', () => {
+  assert.strictEqual(validateAlertComment('  Looks like a scanner  '), 'Looks like a scanner');
+  rejects(400, () => validateAlertComment('   '));
+  rejects(400, () => validateAlertComment(undefined));
+  rejects(400, () => validateAlertComment('x'.repeat(5001)));
+});
@@ -0,0 +1,126 @@
+/**
+ * Break-Glass Access Tests
+ * Opens emergency connections against the database - skipped when it cannot be reached
+ * Run with: npm test
+ */
+
+const assert = require('assert');
+const { test, before, after } = require('node:test');
+const db = require('../../config/database');
+const { openDeviceConnection } = require('../deviceConnections');
+const { openBreakGlassConnection } = require('../breakGlass');
+
+const JUSTIFICATION = 'Smoke alarm in the lobby, camera feed needed now';
+
+let connected = false;
+let user;
+let device;
+let otherDevice;
+
+before(async () => {
+  connected = await db.testConnection();
+  if (!connected) {
+    return;
+  }
+
+  const suffix = `${process.pid}-${Date.now()}`;
+  user = await db.insert('users', {
+    name: 'Break-Glass Test User',
+    email: `break-glass-${suffix}@tests.local`,
+    password_hash: 'not-a-real-hash'
+  });
+  device = await db.insert('devices', { name: `Break-Glass Test Camera ${suffix}`, device_type: 'camera', status: 'online' });
+  otherDevice = await db.insert('devices', { name: `Break-Glass Test Sensor ${suffix}`, device_type: 'sensor', status: 'online' });
+});
+
+after(async () => {
+  if (connected) {
+    await db.query('DROP TRIGGER IF EXISTS break_glass_test_alert_failure ON security_alerts');
+    await db.query('DROP FUNCTION IF EXISTS break_glass_test_alert_failure()');
+    await db.query('DELETE FROM device_connections WHERE user_id = $1', [user.id]);
+    await db.query('DELETE FROM security_alerts WHERE device_id = ANY($1)', [[device.id, otherDevice.id]]);
+    await db.query('DELETE FROM devices WHERE id = ANY($1)', [[device.id, otherDevice.id]]);
+    await db.query('DELETE FROM users WHERE id = $1', [user.id]);
+  }
+  await db.close();
+});
+
+// The connection the user's session already holds, which break-glass would replace
+async function openCurrentConnection() {
+  await db.query(
+    "UPDATE device_connections SET disconnected_at = CURRENT_TIMESTAMP, disconnect_reason = 'user' WHERE user_id = $1 AND disconnected_at IS NULL",
+    [user.id]
+  );
+  return openDeviceConnection({
+    userId: user.id,
+    deviceId: otherDevice.id,
+    deviceType: otherDevice.device_type,
+    accessLevel: 'connect',
+    sourceIp: '10.0.0.5',
+    userAgent: 'break-glass-test'
+  });
+}
+
+function breakGlass(replaceConnectionId) {
+  return openBreakGlassConnection({
+    user,
+    device,
+    sourceIp: '10.0.0.5',
+    userAgent: 'break-glass-test',
+    justification: JUSTIFICATION,
+    deniedReason: 'no_permission',
+    replaceConnectionId
+  });
+}
+
+test('keeps no emergency connection when its alert cannot be stored', async (t) => {
+  if (!connected) {
+    return t.skip('database not reachable');
+  }
+
+  const current = await openCurrentConnection();
+  await db.query(`
+    CREATE FUNCTION break_glass_test_alert_failure() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'alert store unavailable';
+    END
+    $$ LANGUAGE plpgsql
+  `);
+  await db.query(`
+    CREATE TRIGGER break_glass_test_alert_failure BEFORE INSERT ON security_alerts
+    FOR EACH ROW WHEN (NEW.device_id = ${Number(device.id)}) EXECUTE FUNCTION break_glass_test_alert_failure()
+  `);
+
+  try {
+    await assert.rejects(breakGlass(current.id), error => error.status === 503);
+  } finally {
+    await db.query('DROP TRIGGER break_glass_test_alert_failure ON security_alerts');
+    await db.query('DROP FUNCTION break_glass_test_alert_failure()');
+  }
+
+  const emergency = await db.query('SELECT id FROM device_connections WHERE user_id = $1 AND break_glass = true', [user.id]);
+  assert.strictEqual(emergency.rows.length, 0);
+  const alerts = await db.query('SELECT id FROM security_alerts WHERE device_id = $1', [device.id]);
+  assert.strictEqual(alerts.rows.length, 0);
+  const previous = await db.findById('device_connections', current.id);
+  assert.strictEqual(previous.disconnected_at, null);
+});
+
+test('stores the alert with the emergency connection and replaces the current one', async (t) => {
+  if (!connected) {
+    return t.skip('database not reachable');
+  }
+
+  const current = await openCurrentConnection();
+  const { connection, alert } = await breakGlass(current.id);
+
+  const stored = await db.findById('device_connections', connection.id);
+  assert.strictEqual(stored.break_glass, true);
+  assert.strictEqual(stored.break_glass_alert_id, alert.id);
+  assert.strictEqual(alert.alert_type, 'Break-Glass Device Access');
+  assert.strictEqual(alert.metadata.connection_id, connection.id);
+  assert.strictEqual(alert.metadata.justification, JUSTIFICATION);
+
+  const previous = await db.findById('device_connections', current.id);
+  assert.strictEqual(previous.disconnect_reason, 'replaced');
+});
@@ -0,0 +1,156 @@
+/**
+ * IP Ban Tests
+ * Checks which blocked attempts count towards an automatic ban and that no ban is kept without
+ * its alert. These run against the database and are skipped when it cannot be reached
+ * Run with: npm test
+ */
+
+const assert = require('assert');
+const { test, before, after, beforeEach } = require('node:test');
+const db = require('../../config/database');
+const config = require('../../config/env');
+const { banWindowStart } = require('../ipBanWindow');
+const { countBanWindowAttempts, applyAutoBan } = require('../ipBans');
+
+const THRESHOLD = 20;
+const WINDOW_MINUTES = 10;
+const TEST_IP = '198.51.100.77';
+const at = time => new Date(`2026-03-02T${time}:00`);
+
+let connected = false;
+
+async function clearAttempts() {
+  await db.query('DELETE FROM blocked_attempts WHERE source_ip = $1', [TEST_IP]);
+}
+
+async function clearBans() {
+  const bans = await db.query('DELETE FROM ip_bans WHERE ip_address = $1 RETURNING alert_id', [TEST_IP]);
+  await db.query('DELETE FROM security_alerts WHERE id = ANY($1)', [bans.rows.map(ban => ban.alert_id)]);
+}
+
+// Store one aggregated blocked attempt row with the given per-minute buckets
+async function recordAttempts(attemptType, buckets) {
+  const minutes = buckets.map(bucket => bucket.minute.getTime());
+  const total = buckets.reduce((sum, bucket) => sum + bucket.attempt_count, 0);
+  const attempt = await db.insert('blocked_attempts', {
+    source_ip: TEST_IP,
+    attempt_type: attemptType,
+    attempt_count: total,
+    first_seen_at: new Date(Math.min(...minutes)),
+    last_seen_at: new Date(Math.max(...minutes))
+  });
+  for (const bucket of buckets) {
+    await db.insert('blocked_attempt_minutes', { attempt_id: attempt.id, minute: bucket.minute, attempt_count: bucket.attempt_count });
+  }
+}
+
+before(async () => {
+  connected = await db.testConnection();
+  if (connected) {
+    await clearBans();
+  }
+});
+
+beforeEach(async () => {
+  if (connected) {
+    await clearAttempts();
+  }
+});
+
+after(async () => {
+  if (connected) {
+    await clearAttempts();
+    await clearBans();
+  }
+  await db.close();
+});
+
+test('starts the window at the earliest minute inside it', () => {
+  assert.deepStrictEqual(banWindowStart(new Date('2026-03-02T10:15:42'), 10), at('10:06'));
+  assert.deepStrictEqual(banWindowStart(new Date('2026-03-02T10:15:00'), 1), at('10:15'));
+});
+
+test('counts the minute at the start of the window but not the one before it', async (t) => {
+  if (!connected) {
+    return t.skip('database not reachable');
+  }
+
+  await recordAttempts('brute_force', [
+    { minute: at('09:59'), attempt_count: 50 },
+    { minute: at('10:00'), attempt_count: 2 },
+    { minute: at('10:09'), attempt_count: 3 }
+  ]);
+  assert.strictEqual(await countBanWindowAttempts(TEST_IP, WINDOW_MINUTES, new Date('2026-03-02T10:09:59')), 5);
+  assert.strictEqual(await countBanWindowAttempts(TEST_IP, WINDOW_MINUTES, at('10:10')), 3);
+});
+
+test('does not ban attempts spread out over a working day', async (t) => {
+  if (!connected) {
+    return t.skip('database not reachable');
+  }
+
+  // One failed login every 25 minutes from an office NAT: they all land on one aggregated
+  // blocked attempt record, but only the latest one falls inside the ban window
+  const buckets = [];
+  for (let index = 0; index <= THRESHOLD; index++) {
+    buckets.push({ minute: new Date(at('09:00').getTime() + index * 25 * 60 * 1000), attempt_count: 1 });
+  }
+  await recordAttempts('brute_force', buckets);
+
+  const now = new Date(buckets[buckets.length - 1].minute.getTime() + 30 * 1000);
+  assert.strictEqual(await countBanWindowAttempts(TEST_IP, WINDOW_MINUTES, now), 1);
+});
+
+test('bans a burst of attempts but leaves out connection contention', async (t) => {
+  if (!connected) {
+    return t.skip('database not reachable');
+  }
+
+  await recordAttempts('brute_force', [
+    { minute: at('10:00'), attempt_count: 4 },
+    { minute: at('10:04'), attempt_count: 9 },
+    { minute: at('10:09'), attempt_count: 7 }
+  ]);
+  await recordAttempts('connection_contention', [{ minute: at('10:05'), attempt_count: 30 }]);
+  assert.strictEqual(await countBanWindowAttempts(TEST_IP, WINDOW_MINUTES, new Date('2026-03-02T10:09:30')), THRESHOLD);
+});
+
+test('does not keep a ban whose alert cannot be stored', async (t) => {
+  if (!connected) {
+    return t.skip('database not reachable');
+  }
+
+  const { autoBanThreshold } = config.security.ipBans;
+  if (!autoBanThreshold) {
+    return t.skip('auto-bans disabled');
+  }
+
+  const minute = banWindowStart(new Date(), 1);
+  await recordAttempts('brute_force', [{ minute, attempt_count: autoBanThreshold }]);
+  await db.query(`
+    CREATE FUNCTION ip_ban_test_alert_failure() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'alert store unavailable';
+    END
+    $$ LANGUAGE plpgsql
+  `);
+  await db.query(`
+    CREATE TRIGGER ip_ban_test_alert_failure BEFORE INSERT ON security_alerts
+    FOR EACH ROW WHEN (NEW.source_ip = '${TEST_IP}') EXECUTE FUNCTION ip_ban_test_alert_failure()
+  `);
+
+  try {
+    await assert.rejects(applyAutoBan(TEST_IP));
+  } finally {
+    await db.query('DROP TRIGGER ip_ban_test_alert_failure ON security_alerts');
+    await db.query('DROP FUNCTION ip_ban_test_alert_failure()');
+  }
+  const bans = await db.query('SELECT id FROM ip_bans WHERE ip_address = $1', [TEST_IP]);
+  assert.strictEqual(bans.rows.length, 0);
+
+  // The next blocked attempt bans the address, with its alert
+  const ban = await applyAutoBan(TEST_IP);
+  const alert = await db.findById('security_alerts', ban.alert_id);
+  assert.strictEqual(alert.alert_type, 'IP Address Banned');
+  assert.strictEqual(alert.metadata.ban_id, ban.id);
+});
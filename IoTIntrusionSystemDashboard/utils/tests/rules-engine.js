@@ -0,0 +1,460 @@
+/**
+ * Security Rules Engine Tests
+ * Evaluates rules against in-memory events - no database needed
+ * Run with: npm test
+ */
+
+const assert = require('assert');
+const { test } = require('node:test');
+const {
+  validateConditions,
+  validateActions,
+  matchesConditions,
+  evaluateRules,
+  ruleEventTypes,
+  renderTemplate
+} = require('../rulesEngine');
+const { createWindowStore } = require('../ruleWindows');
+const { diffValues, diffRuleVersions } = require('../ruleDiff');
+
+// Build a rule row as it is stored in security_rules
+function rule(id, overrides = {}) {
+  return {
+    id,
+    rule_name: `Rule ${id}`,
+    rule_type: 'intrusion_detection',
+    priority: 100,
+    is_active: true,
+    conditions: {
+      events: ['blocked_attempt'],
+      all: [{ field: 'data.attemptType', operator: 'eq', value: 'brute_force' }]
+    },
+    actions: [{ type: 'create_alert', severity: 'high', alertType: 'Brute Force' }],
+    ...overrides
+  };
+}
+
+function event(type, fields = {}) {
+  return {
+    type,
+    occurredAt: new Date('2026-01-01T00:00:00Z'),
+    sourceIp: '203.0.113.7',
+    deviceId: 4,
+    userId: null,
+    device: { name: 'IoT Camera - Lobby', type: 'camera', status: 'online', securityLevel: 'high' },
+    data: {},
+    ...fields
+  };
+}
+
+const bruteForce = event('blocked_attempt', { data: { attemptType: 'brute_force', attemptCount: 12 } });
+
+test('accepts a valid rule', () => {
+  const { conditions, actions } = rule(1);
+  assert.deepStrictEqual(validateConditions(conditions), []);
+  assert.deepStrictEqual(validateActions(actions), []);
+});
+
+test('rejects conditions without events or criteria', () => {
+  assert.strictEqual(validateConditions(null)[0].path, 'conditions');
+  assert.strictEqual(validateConditions({ all: [] })[0].path, 'conditions.events');
+  assert.strictEqual(validateConditions({ events: ['port_scan'] })[0].path, 'conditions.events[0]');
+  // BR-SR008: the event type alone is not enough
+  assert.strictEqual(validateConditions({ events: ['heartbeat'] })[0].path, 'conditions');
+});
+
+test('reports the path of an invalid nested condition', () => {
+  const errors = validateConditions({
+    events: ['device_log'],
+    all: [{ any: [{ field: 'data.logLevel', operator: 'eq', value: 'error' }, { field: 'secret', operator: 'eq', value: 1 }] }]
+  });
+  assert.deepStrictEqual(errors.map(error => error.path), ['conditions.all[0].any[1].field']);
+
+  const valueErrors = validateConditions({
+    events: ['device_log'],
+    all: [
+      { field: 'data.message', operator: 'matches', value: '(' },
+      { field: 'sourceIp', operator: 'in_cidr', value: 'not-a-network' },
+      { field: 'data.attemptCount', operator: 'gt', value: '5' },
+      { field: 'data.logLevel', operator: 'like', value: 'x' }
+    ]
+  });
+  assert.deepStrictEqual(valueErrors.map(error => error.path), [
+    'conditions.all[0].value',
+    'conditions.all[1].value',
+    'conditions.all[2].value',
+    'conditions.all[3].operator'
+  ]);
+});
+
+test('validates each action type', () => {
+  const errors = validateActions([
+    { type: 'create_alert', severity: 'urgent' },
+    { type: 'block_ip', durationMinutes: 0 },
+    { type: 'set_device_status', status: 'broken' },
+    { type: 'notify' },
+    { type: 'email' },
+    { type: 'stop' }
+  ]);
+  assert.deepStrictEqual(errors.map(error => error.path), [
+    'actions[0].severity',
+    'actions[0].alertType',
+    'actions[1].durationMinutes',
+    'actions[2].status',
+    'actions[3].message',
+    'actions[4].type'
+  ]);
+  assert.strictEqual(validateActions([])[0].path, 'actions');
+});
+
+test('evaluates comparison operators', () => {
+  const matches = (condition, evt = bruteForce) => matchesConditions({ events: [evt.type], all: [condition] }, evt);
+
+  assert.ok(matches({ field: 'data.attemptType', operator: 'eq', value: 'brute_force' }));
+  assert.ok(matches({ field: 'deviceId', operator: 'eq', value: '4' }));
+  assert.ok(matches({ field: 'data.attemptType', operator: 'neq', value: 'invalid_device' }));
+  assert.ok(matches({ field: 'device.type', operator: 'in', value: ['camera', 'sensor'] }));
+  assert.ok(!matches({ field: 'device.type', operator: 'not_in', value: ['camera'] }));
+  assert.ok(matches({ field: 'data.attemptCount', operator: 'gte', value: 12 }));
+  assert.ok(!matches({ field: 'data.attemptCount', operator: 'gt', value: 12 }));
+  assert.ok(matches({ field: 'data.attemptCount', operator: 'lt', value: 20 }));
+  assert.ok(!matches({ field: 'data.missing', operator: 'lte', value: 20 }));
+  assert.ok(matches({ field: 'device.name', operator: 'contains', value: 'Lobby' }));
+  assert.ok(matches({ field: 'device.name', operator: 'starts_with', value: 'IoT' }));
+  assert.ok(matches({ field: 'data.attemptType', operator: 'matches', value: '^brute' }));
+  assert.ok(matches({ field: 'userId', operator: 'exists', value: false }));
+  assert.ok(!matches({ field: 'userId', operator: 'exists' }));
+  assert.ok(matches({ field: 'sourceIp', operator: 'in_cidr', value: '203.0.113.0/24' }));
+  assert.ok(!matches({ field: 'sourceIp', operator: 'in_cidr', value: ['10.0.0.0/8', '192.168.0.0/16'] }));
+});
+
+test('combines all, any and not', () => {
+  const conditions = {
+    events: ['blocked_attempt', 'device_log'],
+    all: [{ not: { field: 'sourceIp', operator: 'in_cidr', value: '10.0.0.0/8' } }],
+    any: [
+      { field: 'data.attemptCount', operator: 'gte', value: 10 },
+      { all: [{ field: 'data.logLevel', operator: 'eq', value: 'error' }, { field: 'device.securityLevel', operator: 'eq', value: 'high' }] }
+    ]
+  };
+
+  assert.ok(matchesConditions(conditions, bruteForce));
+  assert.ok(matchesConditions(conditions, event('device_log', { data: { logLevel: 'error' } })));
+  assert.ok(!matchesConditions(conditions, event('device_log', { data: { logLevel: 'info' } })));
+  assert.ok(!matchesConditions(conditions, { ...bruteForce, sourceIp: '10.1.2.3' }));
+  assert.ok(!matchesConditions(conditions, event('heartbeat', { data: { attemptCount: 50 } })));
+});
+
+test('evaluates active rules in priority order', () => {
+  const rules = [
+    rule(3, { priority: 50 }),
+    rule(1, { priority: 100 }),
+    rule(2, { priority: 50 }),
+    rule(4, { priority: 10, is_active: false })
+  ];
+  const { matches, errors } = evaluateRules(rules, bruteForce);
+  assert.deepStrictEqual(matches.map(match => match.rule.id), [2, 3, 1]);
+  assert.deepStrictEqual(errors, []);
+});
+
+test('stop ends evaluation after a matching rule', () => {
+  const rules = [
+    rule(1, { priority: 10, actions: [{ type: 'notify', message: 'Seen' }, { type: 'stop' }] }),
+    rule(2, { priority: 20 })
+  ];
+  const { matches } = evaluateRules(rules, bruteForce);
+  assert.deepStrictEqual(matches.map(match => match.rule.id), [1]);
+  assert.deepStrictEqual(matches[0].actions, [{ type: 'notify', message: 'Seen' }]);
+
+  // A stop rule that does not match lets evaluation continue
+  const { matches: later } = evaluateRules(rules, event('blocked_attempt', { data: { attemptType: 'offline_device' } }));
+  assert.deepStrictEqual(later, []);
+});
+
+test('skips and reports rules with invalid stored JSON', () => {
+  const rules = [
+    rule(1, { conditions: { events: ['blocked_attempt'], all: [{ field: 'data.attemptType', operator: 'like', value: 'x' }] } }),
+    rule(2)
+  ];
+  const { matches, errors } = evaluateRules(rules, bruteForce);
+  assert.deepStrictEqual(matches.map(match => match.rule.id), [2]);
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(errors[0].rule.id, 1);
+  assert.match(errors[0].message, /^conditions\.all\[0\]\.operator/);
+});
+
+test('renders templates from the event and rule', () => {
+  const text = renderTemplate('{{rule.name}}: {{data.attemptCount}} attempts from {{ sourceIp }} on {{device.name}}{{data.missing}}', bruteForce, rule(7));
+  assert.strictEqual(text, 'Rule 7: 12 attempts from 203.0.113.7 on IoT Camera - Lobby');
+});
+
+// A rule that fires when one address has more than 3 brute force attempts within a minute
+function thresholdRule(id, threshold = {}) {
+  return rule(id, {
+    conditions: {
+      events: ['blocked_attempt'],
+      all: [{ field: 'data.attemptType', operator: 'eq', value: 'brute_force' }],
+      threshold: { groupBy: 'sourceIp', windowSeconds: 60, aggregate: 'count', operator: 'gt', value: 3, ...threshold }
+    }
+  });
+}
+
+function attemptAt(seconds, fields = {}) {
+  return event('blocked_attempt', {
+    occurredAt: new Date(Date.parse('2026-01-01T00:00:00Z') + seconds * 1000),
+    data: { attemptType: 'brute_force' },
+    ...fields
+  });
+}
+
+test('validates threshold conditions', () => {
+  assert.deepStrictEqual(validateConditions(thresholdRule(1).conditions), []);
+  assert.deepStrictEqual(validateConditions({ events: ['blocked_attempt'], threshold: thresholdRule(1).conditions.threshold }), []);
+
+  const errors = validateConditions({
+    events: ['device_log'],
+    threshold: { groupBy: 'email', windowSeconds: 0, aggregate: 'distinct_count', operator: 'lt', value: -1 }
+  });
+  assert.deepStrictEqual(errors.map(error => error.path), [
+    'conditions.threshold.groupBy',
+    'conditions.threshold.windowSeconds',
+    'conditions.threshold.field',
+    'conditions.threshold.operator',
+    'conditions.threshold.value'
+  ]);
+});
+
+test('fires a count threshold once the window passes it, then starts again', () => {
+  const windows = createWindowStore();
+  const rules = [thresholdRule(1)];
+  const fired = [0, 10, 20, 30, 40, 50, 60, 70].map(seconds => evaluateRules(rules, attemptAt(seconds), { windows }).matches);
+
+  assert.deepStrictEqual(fired.map(matches => matches.length), [0, 0, 0, 1, 0, 0, 0, 1]);
+  const { window } = fired[3][0];
+  assert.strictEqual(window.groupKey, '203.0.113.7');
+  assert.strictEqual(window.count, 4);
+  assert.strictEqual(window.value, 4);
+  assert.deepStrictEqual(window.windowStart, new Date('2026-01-01T00:00:00Z'));
+  assert.deepStrictEqual(window.windowEnd, new Date('2026-01-01T00:00:30Z'));
+});
+
+test('slides the window and keeps groups apart', () => {
+  const windows = createWindowStore();
+  const rules = [thresholdRule(1)];
+  // Attempts 70 seconds apart never share a window
+  [0, 70, 140, 210].forEach(seconds => {
+    assert.deepStrictEqual(evaluateRules(rules, attemptAt(seconds), { windows }).matches, []);
+  });
+  // Other addresses and non-matching events do not count towards 203.0.113.7
+  evaluateRules(rules, attemptAt(215, { sourceIp: '198.51.100.1' }), { windows });
+  evaluateRules(rules, attemptAt(216, { data: { attemptType: 'port_scan' } }), { windows });
+  assert.strictEqual(evaluateRules(rules, attemptAt(220), { windows }).matches.length, 0);
+  assert.strictEqual(evaluateRules(rules, attemptAt(230), { windows }).matches.length, 0);
+  assert.strictEqual(evaluateRules(rules, attemptAt(240), { windows }).matches.length, 1);
+});
+
+test('supports distinct-count and rate thresholds', () => {
+  const windows = createWindowStore();
+  const distinct = [thresholdRule(1, { aggregate: 'distinct_count', field: 'deviceId', operator: 'gte', value: 3 })];
+  assert.strictEqual(evaluateRules(distinct, attemptAt(0, { deviceId: 1 }), { windows }).matches.length, 0);
+  assert.strictEqual(evaluateRules(distinct, attemptAt(1, { deviceId: 1 }), { windows }).matches.length, 0);
+  assert.strictEqual(evaluateRules(distinct, attemptAt(2, { deviceId: 2 }), { windows }).matches.length, 0);
+  const [match] = evaluateRules(distinct, attemptAt(3, { deviceId: 3 }), { windows }).matches;
+  assert.strictEqual(match.window.distinctCount, 3);
+  assert.strictEqual(match.window.count, 4);
+
+  const rate = [thresholdRule(2, { aggregate: 'rate', windowSeconds: 120, operator: 'gte', value: 1.5 })];
+  assert.strictEqual(evaluateRules(rate, attemptAt(0), { windows }).matches.length, 0);
+  assert.strictEqual(evaluateRules(rate, attemptAt(1), { windows }).matches.length, 0);
+  const [rateMatch] = evaluateRules(rate, attemptAt(2), { windows }).matches;
+  assert.strictEqual(rateMatch.window.ratePerMinute, 1.5);
+});
+
+test('reports threshold rules evaluated without a window store', () => {
+  const { matches, errors } = evaluateRules([thresholdRule(1)], attemptAt(0));
+  assert.deepStrictEqual(matches, []);
+  assert.match(errors[0].message, /^conditions\.threshold/);
+});
+
+test('caps the number of windows kept', () => {
+  const windows = createWindowStore({ maxGroups: 2 });
+  const rules = [thresholdRule(1)];
+  ['198.51.100.1', '198.51.100.2', '198.51.100.3'].forEach((sourceIp, index) => {
+    evaluateRules(rules, attemptAt(index, { sourceIp }), { windows });
+  });
+  assert.strictEqual(windows.size(), 2);
+  windows.clearRule(1);
+  assert.strictEqual(windows.size(), 0);
+});
+
+test('renders threshold stats in templates', () => {
+  const text = renderTemplate('{{window.count}} attempts from {{window.groupKey}}', bruteForce, rule(1), { window: { count: 21, groupKey: '203.0.113.7' } });
+  assert.strictEqual(text, '21 attempts from 203.0.113.7');
+});
+
+// Port scan, then 2 failed connects, then a connect to a low-security device, from one address within 10 minutes
+function sequenceRule(id, overrides = {}) {
+  return rule(id, {
+    conditions: {
+      sequence: {
+        joinOn: 'sourceIp',
+        withinSeconds: 600,
+        stages: [
+          { events: ['blocked_attempt'], all: [{ field: 'data.attemptType', operator: 'eq', value: 'port_scan' }] },
+          { events: ['blocked_attempt'], all: [{ field: 'data.attemptType', operator: 'eq', value: 'unauthorized_access' }], count: 2 },
+          { events: ['device_connect'], all: [{ field: 'device.securityLevel', operator: 'eq', value: 'low' }] }
+        ],
+        ...overrides
+      }
+    }
+  });
+}
+
+function stageEvent(stage, seconds, fields = {}) {
+  const occurredAt = new Date(Date.parse('2026-01-01T00:00:00Z') + seconds * 1000);
+  if (stage === 'connect') {
+    return event('device_connect', { occurredAt, device: { name: 'Door Lock', securityLevel: 'low' }, data: { connectionId: 9 }, ...fields });
+  }
+  return event('blocked_attempt', { occurredAt, data: { attemptType: stage }, ...fields });
+}
+
+test('validates sequence conditions', () => {
+  assert.deepStrictEqual(validateConditions(sequenceRule(1).conditions), []);
+
+  const errors = validateConditions({
+    events: ['blocked_attempt'],
+    sequence: {
+      joinOn: 'email',
+      withinSeconds: 600,
+      stages: [{ events: ['blocked_attempt'] }, { events: ['login'], count: 0, threshold: {} }]
+    }
+  });
+  assert.deepStrictEqual(errors.map(error => error.path), [
+    'conditions.events',
+    'conditions.sequence.joinOn',
+    'conditions.sequence.stages[1].events[0]',
+    'conditions.sequence.stages[1].count',
+    'conditions.sequence.stages[1].threshold'
+  ]);
+  assert.strictEqual(validateConditions({ sequence: { joinOn: 'sourceIp', withinSeconds: 60, stages: [{ events: ['heartbeat'] }] } })[0].path, 'conditions.sequence.stages');
+});
+
+test('fires a sequence once its stages happen in order, with the event chain', () => {
+  const windows = createWindowStore();
+  const rules = [sequenceRule(1)];
+  const steps = [
+    stageEvent('unauthorized_access', 0),
+    stageEvent('port_scan', 10),
+    stageEvent('connect', 20),
+    stageEvent('unauthorized_access', 30),
+    stageEvent('port_scan', 35),
+    stageEvent('unauthorized_access', 40),
+    stageEvent('connect', 50)
+  ];
+  const fired = steps.map(step => evaluateRules(rules, step, { windows }).matches);
+
+  assert.deepStrictEqual(fired.map(matches => matches.length), [0, 0, 0, 0, 0, 0, 1]);
+  const { sequence } = fired[6][0];
+  assert.strictEqual(sequence.joinKey, '203.0.113.7');
+  assert.strictEqual(sequence.eventCount, 4);
+  assert.deepStrictEqual(sequence.events.map(entry => [entry.stage, entry.type]), [
+    [1, 'blocked_attempt'], [2, 'blocked_attempt'], [2, 'blocked_attempt'], [3, 'device_connect']
+  ]);
+  assert.deepStrictEqual(sequence.startedAt, new Date('2026-01-01T00:00:10Z'));
+  assert.strictEqual(windows.size(), 0);
+});
+
+test('drops sequences that run past their time limit or change source', () => {
+  const windows = createWindowStore();
+  const rules = [sequenceRule(1, { withinSeconds: 60 })];
+  const run = steps => steps.map(step => evaluateRules(rules, step, { windows }).matches.length);
+
+  assert.deepStrictEqual(run([
+    stageEvent('port_scan', 0),
+    stageEvent('unauthorized_access', 10),
+    stageEvent('unauthorized_access', 20, { sourceIp: '198.51.100.1' }),
+    stageEvent('connect', 30)
+  ]), [0, 0, 0, 0]);
+
+  // The partial match from 0s has expired by 100s, so the port scan at 100s starts a new one
+  assert.deepStrictEqual(run([
+    stageEvent('unauthorized_access', 70),
+    stageEvent('port_scan', 100),
+    stageEvent('unauthorized_access', 110),
+    stageEvent('unauthorized_access', 120),
+    stageEvent('connect', 130)
+  ]), [0, 0, 0, 0, 1]);
+});
+
+test('starts a new run when an older partial match would run out of time', () => {
+  const windows = createWindowStore();
+  const rules = [sequenceRule(1)];
+  const fired = [
+    stageEvent('port_scan', 0),
+    stageEvent('port_scan', 500),
+    stageEvent('unauthorized_access', 550),
+    stageEvent('unauthorized_access', 560),
+    stageEvent('connect', 700)
+  ].map(step => evaluateRules(rules, step, { windows }).matches);
+
+  // The run from 0s expired at 600s; the one from 500s completes within its 600 seconds
+  assert.deepStrictEqual(fired.map(matches => matches.length), [0, 0, 0, 0, 1]);
+  const { sequence } = fired[4][0];
+  assert.deepStrictEqual(sequence.startedAt, new Date('2026-01-01T00:08:20Z'));
+  assert.deepStrictEqual(sequence.events.map(entry => entry.stage), [1, 2, 2, 3]);
+  assert.strictEqual(windows.size(), 0);
+});
+
+test('keeps older runs that are further along and fires once per sequence', () => {
+  const windows = createWindowStore();
+  const rules = [sequenceRule(1)];
+  const run = steps => steps.map(step => evaluateRules(rules, step, { windows }).matches.length);
+
+  // The run from 0s has both failed connects when the scan at 100s starts another, so the
+  // connect at 150s completes the older run and both are dropped
+  assert.deepStrictEqual(run([
+    stageEvent('port_scan', 0),
+    stageEvent('unauthorized_access', 10),
+    stageEvent('unauthorized_access', 20),
+    stageEvent('port_scan', 100),
+    stageEvent('unauthorized_access', 110),
+    stageEvent('connect', 150),
+    stageEvent('unauthorized_access', 160),
+    stageEvent('connect', 170)
+  ]), [0, 0, 0, 0, 0, 1, 0, 0]);
+  assert.strictEqual(windows.size(), 0);
+});
+
+test('lists the event types of sequence stages', () => {
+  assert.deepStrictEqual(ruleEventTypes(sequenceRule(1).conditions), ['blocked_attempt', 'device_connect']);
+  assert.deepStrictEqual(ruleEventTypes(rule(1).conditions), ['blocked_attempt']);
+  assert.deepStrictEqual(ruleEventTypes(null), []);
+});
+
+test('diffs rule versions down into the conditions and actions', () => {
+  const before = rule(1);
+  const after = rule(1, {
+    priority: 20,
+    conditions: {
+      events: ['blocked_attempt'],
+      all: [{ field: 'data.attemptType', operator: 'eq', value: 'port_scan' }],
+      any: [{ field: 'sourceIp', operator: 'cidr', value: '10.0.0.0/8' }]
+    },
+    actions: []
+  });
+
+  assert.deepStrictEqual(diffRuleVersions(before, after), [
+    { path: 'priority', change: 'changed', before: 100, after: 20 },
+    { path: 'conditions.all[0].value', change: 'changed', before: 'brute_force', after: 'port_scan' },
+    { path: 'conditions.any', change: 'added', after: [{ field: 'sourceIp', operator: 'cidr', value: '10.0.0.0/8' }] },
+    { path: 'actions[0]', change: 'removed', before: before.actions[0] }
+  ]);
+  assert.deepStrictEqual(diffRuleVersions(before, rule(1)), []);
+});
+
+test('ignores key order and reports changes of shape', () => {
+  assert.deepStrictEqual(diffValues({ a: 1, b: { c: 2 } }, { b: { c: 2 }, a: 1 }), []);
+  assert.deepStrictEqual(diffValues({ value: [1, 2] }, { value: '1,2' }), [
+    { path: 'value', change: 'changed', before: [1, 2], after: '1,2' }
+  ]);
+});
@@ -0,0 +1,203 @@
+/**
+ * User Activity Timeline
+ * Records account events and merges them with device, security and access request
+ * history into a single per-user feed
+ */
+
+const db = require('../config/database');
+const { routeLogger } = require('./logger');
+const { formatDuration } = require('./deviceConnections');
+
+// Every source shares the columns (occurred_at, event_type, source_id, device_name, source_ip, details);
+// source_id is the row's ID in its own table and keeps the ordering stable between pages.
+// $1 is the user ID as an integer, $2 the same ID as text for JSON lookups.
+const TIMELINE_SQL = `
+  SELECT e.created_at AS occurred_at, e.event_type, e.id AS source_id, NULL::text AS device_name,
+         host(e.source_ip) AS source_ip, e.details
+  FROM user_activity_events e
+  WHERE e.user_id = $1
+
+  UNION ALL
+  SELECT dc.connected_at, 'device_connect', dc.id, d.name, host(dc.source_ip),
+         jsonb_build_object('access_level', dc.access_level, 'break_glass', dc.break_glass)
+  FROM device_connections dc
+  JOIN devices d ON dc.device_id = d.id
+  WHERE dc.user_id = $1
+
+  UNION ALL
+  SELECT dc.disconnected_at, 'device_disconnect', dc.id, d.name, host(dc.source_ip),
+         jsonb_build_object(
+           'reason', dc.disconnect_reason,
+           'note', dc.disconnect_note,
+           'disconnected_by', a.name,
+           'duration_seconds', EXTRACT(EPOCH FROM dc.disconnected_at - dc.connected_at)::integer
+         )
+  FROM device_connections dc
+  JOIN devices d ON dc.device_id = d.id
+  LEFT JOIN users a ON dc.disconnected_by = a.id
+  WHERE dc.user_id = $1 AND dc.disconnected_at IS NOT NULL
+
+  UNION ALL
+  SELECT ba.last_seen_at, 'blocked_attempt', ba.id, d.name, host(ba.source_ip),
+         jsonb_build_object(
+           'attempt_type', ba.attempt_type,
+           'reason', ba.request_details->>'blocked_reason',
+           'attempt_count', ba.attempt_count,
+           'first_seen_at', ba.first_seen_at
+         )
+  FROM blocked_attempts ba
+  LEFT JOIN devices d ON ba.target_device_id = d.id
+  WHERE ba.request_details->>'user_id' = $2
+
+  UNION ALL
+  SELECT sa.detected_at, 'security_alert', sa.id, d.name, host(sa.source_ip),
+         jsonb_build_object('alert_type', sa.alert_type, 'severity', sa.severity)
+  FROM security_alerts sa
+  LEFT JOIN devices d ON sa.device_id = d.id
+  WHERE sa.metadata->>'user_id' = $2
+
+  UNION ALL
+  SELECT ar.requested_at, 'access_requested', ar.id, d.name, host(ar.source_ip),
+         jsonb_build_object('access_level', ar.access_level)
+  FROM device_access_requests ar
+  JOIN devices d ON ar.device_id = d.id
+  WHERE ar.user_id = $1
+
+  UNION ALL
+  SELECT ar.reviewed_at, 'access_' || ar.status, ar.id, d.name, NULL,
+         jsonb_build_object(
+           'duration_minutes', ar.approved_duration_minutes,
+           'reason', ar.review_reason
+         )
+  FROM device_access_requests ar
+  JOIN devices d ON ar.device_id = d.id
+  WHERE ar.user_id = $1 AND ar.status != 'pending'
+`;
+
+/**
+ * Record an account event for a user
+ * Failures are logged and swallowed so they never break the request being audited.
+ * @param {number} userId - User ID
+ * @param {string} eventType - 'login', 'logout', 'settings_change', 'password_reset'
+ * @param {Object} context - { sourceIp, userAgent, details }
+ * @returns {Promise<void>}
+ */
+async function recordUserActivity(userId, eventType, { sourceIp = null, userAgent = null, details = {} } = {}) {
+  try {
+    await db.insert('user_activity_events', {
+      user_id: userId,
+      event_type: eventType,
+      source_ip: sourceIp,
+      user_agent: userAgent,
+      details: JSON.stringify(details),
+      created_at: new Date()
+    });
+  } catch (error) {
+    routeLogger.error('Error recording user activity', { userId, eventType, error: error.message });
+  }
+}
+
+/**
+ * Describe a timeline row for display
+ * @param {Object} row - Timeline row
+ * @returns {Object} { message, icon, iconClass }
+ */
+function describeActivity(row) {
+  const details = row.details || {};
+  const device = row.device_name || 'Unknown Device';
+
+  switch (row.event_type) {
+    case 'login':
+      return { message: 'Signed in', icon: 'bi-box-arrow-in-right', iconClass: 'text-primary' };
+    case 'logout':
+      return { message: 'Signed out', icon: 'bi-box-arrow-right', iconClass: 'text-secondary' };
+    case 'settings_change':
+      return {
+        message: `Updated account settings${details.fields ? ` (${details.fields.join(', ')})` : ''}`,
+        icon: 'bi-gear',
+        iconClass: 'text-primary'
+      };
+    case 'password_reset':
+      return { message: 'Password was reset', icon: 'bi-key', iconClass: 'text-warning' };
+    case 'device_connect':
+      if (details.break_glass) {
+        return { message: `Connected to ${device} with emergency access`, icon: 'bi-exclamation-octagon', iconClass: 'text-danger' };
+      }
+      return { message: `Connected to ${device}`, icon: 'bi-plug', iconClass: 'text-success' };
+    case 'device_disconnect':
+      if (details.reason === 'admin' || details.reason === 'lock_broken') {
+        return {
+          message: `Disconnected from ${device} by ${details.disconnected_by || 'an administrator'}: ${details.note}`,
+          icon: 'bi-plug-fill',
+          iconClass: 'text-danger'
+        };
+      }
+      return {
+        message: `Disconnected from ${device} after ${formatDuration(details.duration_seconds || 0)} (${details.reason})`,
+        icon: 'bi-plug',
+        iconClass: 'text-secondary'
+      };
+    case 'blocked_attempt':
+      return {
+        message: details.attempt_count > 1
+          ? `Access blocked to ${device} ${details.attempt_count} times (${details.reason || details.attempt_type})`
+          : `Access blocked to ${device} (${details.reason || details.attempt_type})`,
+        icon: 'bi-shield-x',
+        iconClass: 'text-danger'
+      };
+    case 'security_alert':
+      return {
+        message: `${details.alert_type} alert raised on ${device} (${details.severity})`,
+        icon: 'bi-exclamation-triangle',
+        iconClass: 'text-warning'
+      };
+    case 'access_requested':
+      return { message: `Requested access to ${device}`, icon: 'bi-hourglass-split', iconClass: 'text-primary' };
+    case 'access_approved':
+      return {
+        message: `Access to ${device} approved${details.duration_minutes ? ` for ${details.duration_minutes} minutes` : ''}`,
+        icon: 'bi-check-circle',
+        iconClass: 'text-success'
+      };
+    case 'access_denied':
+      return { message: `Access to ${device} denied: ${details.reason}`, icon: 'bi-x-circle', iconClass: 'text-danger' };
+    default:
+      return { message: row.event_type, icon: 'bi-dot', iconClass: 'text-muted' };
+  }
+}
+
+/**
+ * Get a page of a user's activity, newest first
+ * @param {number} userId - User ID
+ * @param {Object} options - { limit, offset }
+ * @returns {Promise<Object>} { events, limit, offset, hasMore }
+ */
+async function getUserActivityTimeline(userId, { limit = 20, offset = 0 } = {}) {
+  // Fetch one extra row to know whether another page exists
+  const result = await db.query(`
+    SELECT * FROM (${TIMELINE_SQL}) timeline
+    ORDER BY occurred_at DESC, event_type, source_id DESC
+    LIMIT $3 OFFSET $4
+  `, [userId, String(userId), limit + 1, offset]);
+
+  const rows = result.rows.slice(0, limit);
+  return {
+    events: rows.map(row => ({
+      type: row.event_type,
+      deviceName: row.device_name,
+      sourceIp: row.source_ip,
+      details: row.details,
+      occurredAt: row.occurred_at,
+      timestamp: new Date(row.occurred_at).toLocaleString(),
+      ...describeActivity(row)
+    })),
+    limit,
+    offset,
+    hasMore: result.rows.length > limit
+  };
+}
+
+module.exports = {
+  recordUserActivity,
+  getUserActivityTimeline
+};